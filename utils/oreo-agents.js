@@ -0,0 +1,500 @@
+/**
+ * OREO-AGENTS - Agent Adapters
+ *
+ * An adapter describes how Oroboreo drives one coding agent CLI:
+ *
+ *   launch()              Command, arguments and environment for a run
+ *   output                Output format: claude-stream-json, aider or text
+ *   createOutputParser()  Turns raw stdout into console text and extracts usage
+ *   detectCompletion()    For agents that cannot tick their own task checkbox,
+ *                         whether a clean run finished the task
+ *
+ * Built-in adapters:
+ *
+ *   claude-code   Claude Code via run-with-prompt.sh/.bat (stream-json output)
+ *   aider         Aider via run-with-aider.sh (chat-style prompts; a task is
+ *                 complete when Aider applied at least one edit)
+ *   fake          Scripted stand-in (oreo-fake-agent.js) for offline,
+ *                 deterministic runs of the loop
+ *   replay        Plays back a cassette recorded with oro-run --record
+ *                 (createReplayAdapter(), selected by oro-run --replay)
+ *   command       Any other CLI, described by a command template in
+ *                 oroboreo/oreo.config.json
+ *
+ * The adapter comes from "agent" in oroboreo/oreo.config.json, or from
+ * AI_PROVIDER when that is not set (aider -> aider, fake -> fake, anything
+ * else -> claude-code):
+ *
+ *   { "agent": "aider" }
+ *
+ *   {
+ *     "agent": {
+ *       "adapter": "command",
+ *       "command": "my-agent --model {model} --prompt-file {promptFile} {files}",
+ *       "models": { "OPUS": "big", "SONNET": "medium", "HAIKU": "small" },
+ *       "env": { "MY_AGENT_LOG": "quiet" },
+ *       "output": "text",
+ *       "completion": "^Task complete$",
+ *       "promptStyle": "tools"
+ *     }
+ *   }
+ *
+ * Command template placeholders (values are shell-quoted):
+ *   {promptFile}  Prompt file path          {model}  Model for the attempt
+ *   {tier}        OPUS, SONNET or HAIKU     {files}  Files from the task's **Files:**
+ *   {cwd}         Working directory
+ *
+ *   output       "text" (default), "aider" (Tokens:/Cost: footers) or
+ *                "claude-stream-json"
+ *   completion   "checkbox" (default - the agent edits cookie-crumbs.md itself),
+ *                "exit-code" (a clean exit completes the task) or a regex that
+ *                must match the output
+ *   promptStyle  "tools" (default - the agent reads/edits files itself) or
+ *                "chat" (Aider-style prompts; generate/feedback capture stdout)
+ *
+ * Usage:
+ *   const { getAgentAdapter, buildAgentEnv } = require('./oreo-agents.js');
+ *   const adapter = getAgentAdapter();
+ *   const { command, args, env, description } = adapter.launch({ promptPath, model, tier, cwd, taskId, attempt, provider });
+ *   const parser = adapter.createOutputParser();
+ *
+ * @version 1.0.0
+ */
+
+const path = require('path');
+const { loadCassette } = require('./oreo-cassette.js');
+const { clearProviderEnv, loadProjectConfig, getPaths } = require('./oreo-config.js');
+const { createClaudeOutputParser, parseAiderUsage } = require('./oreo-usage.js');
+
+const OUTPUT_FORMATS = ['text', 'aider', 'claude-stream-json'];
+const PROMPT_STYLES = ['tools', 'chat'];
+
+// ============================================================================
+// PROVIDER ENVIRONMENT
+// ============================================================================
+
+// Credentials captured once, before clearProviderEnv() removes them from process.env
+let savedCredentials = null;
+
+function captureCredentials() {
+  if (savedCredentials) return savedCredentials;
+  savedCredentials = {
+    AWS_ACCESS_KEY_ID: process.env.AWS_ACCESS_KEY_ID,
+    AWS_SECRET_ACCESS_KEY: process.env.AWS_SECRET_ACCESS_KEY,
+    AWS_REGION: process.env.AWS_REGION,
+    ANTHROPIC_API_KEY: process.env.ANTHROPIC_API_KEY,
+    ANTHROPIC_FOUNDRY_API_KEY: process.env.ANTHROPIC_FOUNDRY_API_KEY,
+    // Foundry: single resource (legacy)
+    ANTHROPIC_FOUNDRY_RESOURCE: process.env.ANTHROPIC_FOUNDRY_RESOURCE,
+    ANTHROPIC_FOUNDRY_BASE_URL: process.env.ANTHROPIC_FOUNDRY_BASE_URL,
+    // Foundry: per-model resources
+    ANTHROPIC_FOUNDRY_RESOURCE_OPUS: process.env.ANTHROPIC_FOUNDRY_RESOURCE_OPUS,
+    ANTHROPIC_FOUNDRY_RESOURCE_SONNET: process.env.ANTHROPIC_FOUNDRY_RESOURCE_SONNET,
+    ANTHROPIC_FOUNDRY_RESOURCE_HAIKU: process.env.ANTHROPIC_FOUNDRY_RESOURCE_HAIKU,
+    ANTHROPIC_FOUNDRY_BASE_URL_OPUS: process.env.ANTHROPIC_FOUNDRY_BASE_URL_OPUS,
+    ANTHROPIC_FOUNDRY_BASE_URL_SONNET: process.env.ANTHROPIC_FOUNDRY_BASE_URL_SONNET,
+    ANTHROPIC_FOUNDRY_BASE_URL_HAIKU: process.env.ANTHROPIC_FOUNDRY_BASE_URL_HAIKU,
+    // Aider / Azure OpenAI
+    AIDER_MODEL: process.env.AIDER_MODEL,
+    AIDER_MODEL_OPUS: process.env.AIDER_MODEL_OPUS,
+    AIDER_MODEL_SONNET: process.env.AIDER_MODEL_SONNET,
+    AIDER_MODEL_HAIKU: process.env.AIDER_MODEL_HAIKU,
+    AZURE_API_KEY: process.env.AZURE_API_KEY,
+    AZURE_API_BASE: process.env.AZURE_API_BASE,
+    AZURE_API_VERSION: process.env.AZURE_API_VERSION,
+    AZURE_AI_API_KEY: process.env.AZURE_AI_API_KEY,
+    AZURE_AI_API_BASE: process.env.AZURE_AI_API_BASE,
+    OPENAI_API_KEY: process.env.OPENAI_API_KEY
+  };
+  return savedCredentials;
+}
+
+/**
+ * Build the child process environment for a Claude Code or Aider run.
+ * @param {Object} model - Model config (id, maxOutput, maxThinking)
+ * @param {Object} options
+ * @param {string} options.provider - bedrock, foundry, anthropic, subscription or aider
+ * @param {string} options.tier - OPUS, SONNET or HAIKU
+ * @returns {{ env: Object, description: string }}
+ * @throws {Error} On an unknown provider
+ */
+function buildAgentEnv(model, { provider, tier }) {
+  // Save credentials BEFORE clearing (clearProviderEnv deletes them from process.env)
+  const credentials = captureCredentials();
+
+  // Clear ALL provider environment variables first
+  clearProviderEnv();
+
+  const env = {
+    ...process.env,  // Start fresh after clearProviderEnv()
+    CLAUDE_CODE_MAX_OUTPUT_TOKENS: String(model.maxOutput || 20000),
+    CLAUDE_CODE_MAX_THINKING_TOKENS: String(model.maxThinking || 0),
+    FORCE_COLOR: '1'
+  };
+  let description;
+
+  // Provider-specific configuration
+  if (provider === 'bedrock') {
+    // AWS Bedrock - Set Bedrock-specific vars
+    env.ANTHROPIC_MODEL = model.id;
+    env.CLAUDE_CODE_USE_BEDROCK = '1';
+    env.AWS_REGION = credentials.AWS_REGION || 'us-east-1';
+    env.AWS_ACCESS_KEY_ID = credentials.AWS_ACCESS_KEY_ID;
+    env.AWS_SECRET_ACCESS_KEY = credentials.AWS_SECRET_ACCESS_KEY;
+    description = `AWS Bedrock with model: ${model.id}`;
+
+  } else if (provider === 'foundry') {
+    // Microsoft Foundry - model-specific resource/URL, falling back to the single resource
+    const resource = credentials[`ANTHROPIC_FOUNDRY_RESOURCE_${tier}`] || credentials.ANTHROPIC_FOUNDRY_RESOURCE;
+    const baseUrl = credentials[`ANTHROPIC_FOUNDRY_BASE_URL_${tier}`] || credentials.ANTHROPIC_FOUNDRY_BASE_URL;
+
+    env.ANTHROPIC_MODEL = model.id;
+    env.CLAUDE_CODE_USE_FOUNDRY = '1';
+    env.ANTHROPIC_FOUNDRY_API_KEY = credentials.ANTHROPIC_FOUNDRY_API_KEY;
+    if (resource) env.ANTHROPIC_FOUNDRY_RESOURCE = resource;
+    if (baseUrl) env.ANTHROPIC_FOUNDRY_BASE_URL = baseUrl;
+    description = `Microsoft Foundry with model: ${model.id} (resource: ${resource || baseUrl})`;
+
+  } else if (provider === 'anthropic') {
+    // Anthropic API - Set ONLY API key (no ANTHROPIC_MODEL)
+    env.ANTHROPIC_API_KEY = credentials.ANTHROPIC_API_KEY;
+    description = `Anthropic API with model: ${model.id}`;
+
+  } else if (provider === 'subscription') {
+    // Claude Code Subscription - Set NO auth variables
+    // Claude Code will use logged-in claude.ai account
+    description = `Claude Subscription with model: ${model.id}`;
+
+  } else if (provider === 'aider') {
+    // Aider - resolve per-tier model, falling back to AIDER_MODEL
+    const resolvedModel = credentials[`AIDER_MODEL_${tier}`] || credentials.AIDER_MODEL || model.id;
+    env.AIDER_MODEL = resolvedModel;
+    // azure/* models (gpt-*, o3) → cognitiveservices.azure.com
+    env.AZURE_API_KEY = credentials.AZURE_API_KEY;
+    env.AZURE_API_BASE = credentials.AZURE_API_BASE;
+    env.AZURE_API_VERSION = credentials.AZURE_API_VERSION;
+    // azure_ai/* models (GLM-5, Kimi, DeepSeek, MiniMax, etc.) → services.ai.azure.com/models
+    env.AZURE_AI_API_KEY = credentials.AZURE_AI_API_KEY || credentials.AZURE_API_KEY;
+    env.AZURE_AI_API_BASE = credentials.AZURE_AI_API_BASE;
+    env.OPENAI_API_KEY = credentials.OPENAI_API_KEY;
+    description = `Aider [${tier}] with model: ${resolvedModel}`;
+
+  } else {
+    throw new Error(`Invalid AI_PROVIDER: ${provider}. Valid options: bedrock, foundry, anthropic, subscription, aider`);
+  }
+
+  return { env, description };
+}
+
+// ============================================================================
+// OUTPUT PARSING
+// ============================================================================
+
+/**
+ * Pass-through parser for agents that print plain text.
+ * @param {Function} parseUsage - (capturedText) => usage record or null
+ * @returns {{ write: Function, end: Function, getUsage: Function, getText: Function }}
+ */
+function createTextOutputParser(parseUsage) {
+  let text = '';
+  return {
+    write(chunk) {
+      const str = chunk.toString();
+      text += str;
+      return str;
+    },
+    end: () => '',
+    getUsage: () => parseUsage(text),
+    getText: () => text
+  };
+}
+
+function createOutputParserFor(format) {
+  if (format === 'claude-stream-json') return createClaudeOutputParser();
+  if (format === 'aider') return createTextOutputParser(parseAiderUsage);
+  return createTextOutputParser(() => null);
+}
+
+// ============================================================================
+// BUILT-IN ADAPTERS
+// ============================================================================
+
+function currentProvider() {
+  return (process.env.AI_PROVIDER || 'subscription').toLowerCase();
+}
+
+// Use .bat on Windows, .sh on Linux/macOS
+function runScript(name) {
+  return path.join(__dirname, `${name}${process.platform === 'win32' ? '.bat' : '.sh'}`);
+}
+
+const claudeCodeAdapter = {
+  name: 'claude-code',
+  label: 'Claude Code',
+  output: 'claude-stream-json',
+  promptStyle: 'tools',
+  marksCompletion: true,
+  usesFiles: false,
+
+  launch({ promptPath, model, tier, provider = currentProvider() }) {
+    const { env, description } = buildAgentEnv(model, { provider, tier });
+    return { command: runScript('run-with-prompt'), args: [promptPath], env, description };
+  },
+
+  // Claude Code prints stream-json events - render them and keep the final usage
+  createOutputParser: () => createOutputParserFor('claude-stream-json'),
+  detectCompletion: () => null
+};
+
+const aiderAdapter = {
+  name: 'aider',
+  label: 'Aider',
+  output: 'aider',
+  promptStyle: 'chat',
+  marksCompletion: false,
+  // Files from the task's **Files:** section are passed as --file args, so
+  // Aider doesn't ask "please add these files to the chat" on attempt 1
+  usesFiles: true,
+
+  launch({ promptPath, model, tier, files = [] }) {
+    const { env, description } = buildAgentEnv(model, { provider: 'aider', tier });
+    return { command: path.join(__dirname, 'run-with-aider.sh'), args: [promptPath, ...files], env, description };
+  },
+
+  // Aider reports usage in Tokens:/Cost: footers instead of a result event
+  createOutputParser: () => createOutputParserFor('aider'),
+
+  // Aider cannot mark its own tasks complete - it counts as done once it
+  // actually edited a file
+  detectCompletion(output) {
+    const edit = output.match(/^Applied edit to (.+)$/m);
+    return edit ? `edited: ${edit[1]}` : null;
+  }
+};
+
+const fakeAdapter = {
+  name: 'fake',
+  label: 'Fake',
+  output: 'aider',
+  promptStyle: 'tools',
+  marksCompletion: true,
+  usesFiles: false,
+
+  launch({ promptPath, model, tier, taskId, attempt = 1 }) {
+    const env = {
+      ...process.env,
+      // Resolved here - in --parallel mode the agent runs inside a worktree
+      OREO_FAKE_SCRIPT: getFakeScriptPath(),
+      OREO_FAKE_TASK_ID: taskId === undefined ? '' : String(taskId),
+      OREO_FAKE_ATTEMPT: String(attempt),
+      OREO_FAKE_PROMPT: promptPath
+    };
+    return {
+      command: `${shellQuote(process.execPath)} ${shellQuote(path.join(__dirname, 'oreo-fake-agent.js'))}`,
+      args: [],
+      env,
+      description: `fake agent [${tier}] scripted by ${path.relative(process.cwd(), env.OREO_FAKE_SCRIPT)} (model: ${model.id})`
+    };
+  },
+
+  // Usage is printed as an Aider-style Tokens:/Cost: footer
+  createOutputParser: () => createOutputParserFor('aider'),
+  detectCompletion: () => null
+};
+
+/**
+ * Adapter that plays back runs recorded with oro-run --record: the recorded
+ * stdout is re-emitted and the recorded diff applied, by oreo-fake-agent.js.
+ * @param {string} cassettePath - cassette.jsonl (e.g. from an archived session)
+ * @throws {Error} If the cassette is missing, invalid or empty
+ */
+function createReplayAdapter(cassettePath) {
+  const resolved = path.resolve(cassettePath);
+  const entries = loadCassette(resolved);
+  if (entries.length === 0) throw new Error(`Cassette is empty: ${resolved}`);
+
+  // Parse the output the way the recorded agent's output was parsed
+  const output = entries[0].output || 'text';
+
+  return {
+    name: 'replay',
+    label: 'Replay',
+    output,
+    promptStyle: 'tools',
+    marksCompletion: true,
+    usesFiles: false,
+    cassettePath: resolved,
+
+    launch({ promptPath, model, taskId, attempt = 1 }) {
+      const env = {
+        ...process.env,
+        OREO_REPLAY_CASSETTE: resolved,
+        OREO_FAKE_TASK_ID: taskId === undefined ? '' : String(taskId),
+        OREO_FAKE_ATTEMPT: String(attempt),
+        OREO_FAKE_PROMPT: promptPath
+      };
+      return {
+        command: `${shellQuote(process.execPath)} ${shellQuote(path.join(__dirname, 'oreo-fake-agent.js'))}`,
+        args: [],
+        env,
+        description: `replay of ${cassettePath} (model: ${model.id})`
+      };
+    },
+
+    createOutputParser: () => createOutputParserFor(output),
+    detectCompletion: () => null
+  };
+}
+
+/**
+ * Script file for AI_PROVIDER=fake (OREO_FAKE_SCRIPT, default oroboreo/fake-agent.json).
+ */
+function getFakeScriptPath() {
+  return path.resolve(process.env.OREO_FAKE_SCRIPT || path.join(getPaths().oroboreoDir, 'fake-agent.json'));
+}
+
+const BUILT_IN_ADAPTERS = {
+  'claude-code': claudeCodeAdapter,
+  'aider': aiderAdapter,
+  'fake': fakeAdapter
+};
+
+// ============================================================================
+// COMMAND TEMPLATE ADAPTER
+// ============================================================================
+
+function shellQuote(value) {
+  const str = String(value);
+  if (process.platform === 'win32') return `"${str.replace(/"/g, '""')}"`;
+  return `'${str.replace(/'/g, `'\\''`)}'`;
+}
+
+/**
+ * Fill in {placeholder}s in a command template. Unknown placeholders are an error.
+ */
+function expandCommandTemplate(template, values) {
+  return template.replace(/\{(\w+)\}/g, (match, key) => {
+    if (!Object.prototype.hasOwnProperty.call(values, key)) {
+      throw new Error(`Unknown placeholder ${match} in agent.command`);
+    }
+    const value = values[key];
+    return Array.isArray(value) ? value.map(shellQuote).join(' ') : shellQuote(value);
+  });
+}
+
+/**
+ * Build a "command" adapter from the agent section of oreo.config.json.
+ * @throws {Error} If the settings are invalid
+ */
+function createCommandAdapter(settings) {
+  const {
+    command,
+    label = 'Custom',
+    models = {},
+    env: extraEnv = {},
+    output = 'text',
+    completion = 'checkbox',
+    promptStyle = 'tools'
+  } = settings;
+
+  if (typeof command !== 'string' || !command.trim()) {
+    throw new Error('agent.command is required for the "command" adapter');
+  }
+  if (!OUTPUT_FORMATS.includes(output)) {
+    throw new Error(`Invalid agent.output "${output}" - use one of: ${OUTPUT_FORMATS.join(', ')}`);
+  }
+  if (!PROMPT_STYLES.includes(promptStyle)) {
+    throw new Error(`Invalid agent.promptStyle "${promptStyle}" - use one of: ${PROMPT_STYLES.join(', ')}`);
+  }
+
+  let completionPattern = null;
+  if (completion !== 'checkbox' && completion !== 'exit-code') {
+    try {
+      completionPattern = new RegExp(completion, 'm');
+    } catch (e) {
+      throw new Error(`Invalid agent.completion regex: ${e.message}`);
+    }
+  }
+
+  // Validate the template once up front rather than on the first task
+  expandCommandTemplate(command, { promptFile: '', model: '', tier: '', files: [], cwd: '' });
+
+  return {
+    name: 'command',
+    label,
+    output,
+    promptStyle,
+    marksCompletion: completion === 'checkbox',
+    usesFiles: command.includes('{files}'),
+
+    launch({ promptPath, model, tier, files = [], cwd = process.cwd() }) {
+      const modelId = models[tier] || model.id;
+      // Provider credentials stay available - the custom agent may need them
+      const env = { ...process.env, FORCE_COLOR: '1', ...extraEnv };
+      for (const [key, value] of Object.entries(captureCredentials())) {
+        if (value !== undefined && env[key] === undefined) env[key] = value;
+      }
+      return {
+        command: expandCommandTemplate(command, { promptFile: promptPath, model: modelId, tier, files, cwd }),
+        args: [],
+        env,
+        description: `${label} with model: ${modelId}`
+      };
+    },
+
+    createOutputParser: () => createOutputParserFor(output),
+
+    detectCompletion(text) {
+      if (completion === 'exit-code') return 'clean exit';
+      const match = completionPattern && text.match(completionPattern);
+      return match ? `matched: ${match[0].trim().substring(0, 80)}` : null;
+    }
+  };
+}
+
+// ============================================================================
+// ADAPTER SELECTION
+// ============================================================================
+
+/**
+ * Built-in adapter for an AI_PROVIDER value (also used for [provider:...]
+ * task directives): Aider and fake have their own, the Claude providers run
+ * Claude Code.
+ */
+function getProviderAdapter(provider) {
+  if (provider === 'aider') return aiderAdapter;
+  if (provider === 'fake') return fakeAdapter;
+  return claudeCodeAdapter;
+}
+
+/**
+ * Resolve the agent adapter for this project.
+ * @param {Object} [projectConfig] - Parsed oreo.config.json (read from disk if omitted)
+ * @returns {Object} Adapter
+ * @throws {Error} If oreo.config.json names an unknown adapter or is invalid
+ */
+function getAgentAdapter(projectConfig = loadProjectConfig()) {
+  const agent = projectConfig.agent;
+  if (agent === undefined || agent === null) {
+    return getProviderAdapter(currentProvider());
+  }
+
+  const settings = typeof agent === 'string' ? { adapter: agent } : agent;
+  const name = settings.adapter || (settings.command ? 'command' : null);
+  if (name === 'command') return createCommandAdapter(settings);
+  if (BUILT_IN_ADAPTERS[name]) return BUILT_IN_ADAPTERS[name];
+
+  const valid = [...Object.keys(BUILT_IN_ADAPTERS), 'command'].join(', ');
+  throw new Error(`Unknown agent adapter "${name}" in oroboreo/oreo.config.json - use one of: ${valid}`);
+}
+
+module.exports = {
+  BUILT_IN_ADAPTERS,
+  getAgentAdapter,
+  getProviderAdapter,
+  getFakeScriptPath,
+  createCommandAdapter,
+  createReplayAdapter,
+  buildAgentEnv,
+  captureCredentials
+};
@@ -16,7 +16,13 @@
  * | progress.txt       | Session memory - archived then reset              |
  * | costs.json | Cost tracking - archived then reset               |
  * | oreo-execution.log | Execution log - archived then cleared             |
+ * | oreo-events.jsonl  | Typed session events - archived (timeline in SUMMARY.md) then deleted |
  * | human-feedback.md  | Human feedback - archived then reset to template  |
+ * | quarantine-report.md | Tasks that ran out of retries - archived then deleted |
+ * | .oreo-state.json   | Retry counts/attempt history - archived then deleted |
+ * | cassette.jsonl     | Recorded agent runs (oro-run --record) - archived then deleted |
+ * | .oreo-status.json  | Live session status for oro-status - deleted      |
+ * | failed-attempts/   | Patches of rolled-back attempts - archived then deleted |
  * | archives/          | Destination folder                                |
  *
  * ============================================================================
@@ -39,6 +45,9 @@
 const fs = require('fs');
 const path = require('path');
 const { execSync } = require('child_process');
+const { readEvents, summarizeTasks, appendEvent } = require('./oreo-events.js');
+const { envBool, getPaths } = require('./oreo-config.js');
+const { loadEnvSecrets, unstageSecrets } = require('./oreo-secrets.js');
 
 // ============================================================================
 // CONFIGURATION
@@ -55,7 +64,16 @@ const FILES_TO_ARCHIVE = [
   'progress.txt',
   'costs.json',
   'oreo-execution.log',
-  'human-feedback.md'
+  'oreo-events.jsonl',
+  'human-feedback.md',
+  'quarantine-report.md',
+  '.oreo-state.json',
+  'cassette.jsonl'
+];
+
+// Directories to archive, then remove on reset
+const DIRS_TO_ARCHIVE = [
+  'failed-attempts'
 ];
 
 // Temp files to clean up after archive
@@ -63,7 +81,12 @@ const TEMP_FILES_TO_CLEAN = [
   '.oreo-prompt.txt',
   '.architect-prompt.txt',
   '.generate-prompt.txt',
-  '.init-prompt.txt'
+  '.init-prompt.txt',
+  'quarantine-report.md',
+  '.oreo-state.json',
+  'cassette.jsonl',
+  'oreo-events.jsonl',
+  '.oreo-status.json'
 ];
 
 const colors = {
@@ -171,6 +194,14 @@ function archiveSession() {
     }
   });
 
+  DIRS_TO_ARCHIVE.forEach(dir => {
+    const sourcePath = path.join(OROBOREO_DIR, dir);
+    if (fs.existsSync(sourcePath)) {
+      fs.cpSync(sourcePath, path.join(archivePath, dir), { recursive: true });
+      log(`  Archived: ${dir}/`, 'green');
+    }
+  });
+
   if (archivedCount > 0) {
     log(`\nArchived ${archivedCount} file(s) to:`, 'bright');
     log(`  ${path.relative(process.cwd(), archivePath)}`, 'cyan');
@@ -217,7 +248,7 @@ function generateArchiveSummary(archivePath, timestamp) {
 
     // Only count actual tasks (with **Task N:** format), not Human UI Verification checkboxes
     const completedTasks = (content.match(/- \[x\] \*\*Task \d+:/gi) || []).length;
-    const totalTasks = (content.match(/- \[[ x]\] \*\*Task \d+:/gi) || []).length;
+    const totalTasks = (content.match(/- \[[ x!-]\] \*\*Task \d+:/gi) || []).length;
 
     summary += `## Session: ${session}\n\n`;
     summary += `**Tasks Completed:** ${completedTasks}/${totalTasks}\n\n`;
@@ -256,12 +287,43 @@ function generateArchiveSummary(archivePath, timestamp) {
     }
   }
 
+  summary += generateTimeline(path.join(archivePath, 'oreo-events.jsonl'));
+
   summary += `---\n\n`;
   summary += `*Archived by Oroboreo- The Golden Loop*\n`;
 
   return summary;
 }
 
+/**
+ * Per-task timeline for SUMMARY.md, from the session's oreo-events.jsonl.
+ */
+function generateTimeline(eventsPath) {
+  const tasks = summarizeTasks(readEvents(eventsPath));
+  if (tasks.length === 0) return '';
+
+  let timeline = `## Timeline\n\n`;
+  timeline += `| Task | Status | Attempts | Models | Duration | Cost |\n`;
+  timeline += `|------|--------|----------|--------|----------|------|\n`;
+  tasks.forEach(task => {
+    const models = [...new Set(task.attempts.map(a => a.model).filter(Boolean))].join(', ') || '-';
+    const duration = task.completedAt
+      ? `${Math.round((new Date(task.completedAt) - new Date(task.firstStartedAt)) / 1000)}s`
+      : '-';
+    const title = (task.title || '').replace(/\|/g, '/');
+    timeline += `| ${task.id}: ${title} | ${task.status} | ${task.attempts.length} | ${models} | ${duration} | $${task.costUSD.toFixed(4)} |\n`;
+  });
+  timeline += `\n`;
+
+  const failures = tasks.flatMap(task => task.attempts
+    .filter(a => a.outcome && a.outcome !== 'completed' && a.outcome !== 'skipped')
+    .map(a => `- Task ${task.id}, attempt ${a.attempt}: ${a.outcome}${a.error ? ` - ${a.error}` : ''}`));
+  if (failures.length > 0) {
+    timeline += `### Failed Attempts\n\n${failures.join('\n')}\n\n`;
+  }
+  return timeline;
+}
+
 // ============================================================================
 // SMART TEST ARCHIVAL
 // ============================================================================
@@ -410,7 +472,7 @@ function extractSessionSummary(archivePath) {
 
   // Count only actual tasks (with **Task N:** format), not verification checkboxes
   const completed = (content.match(/- \[x\] \*\*Task \d+:/gi) || []).length;
-  const total = (content.match(/- \[[ x]\] \*\*Task \d+:/gi) || []).length;
+  const total = (content.match(/- \[[ x!-]\] \*\*Task \d+:/gi) || []).length;
 
   // Generate 2-sentence summary
   return `Session "${session}" completed ${completed}/${total} tasks. See archives/${path.basename(archivePath)} for details.`;
@@ -438,8 +500,9 @@ COOKIE-CRUMBS.MD - The Task List (like PRD.md)
 ============================================================================
 
 This file contains the tasks that oreo-run.js will execute autonomously.
-Each task is processed in order. When a task is complete, the agent marks
-it [x] and moves to the next one.
+Tasks run top to bottom unless a task declares **Depends:** - then it
+waits until every task it depends on is marked [x]. When a task is
+complete, the agent marks it [x] and moves to the next runnable one.
 
 USAGE:
   1. Define your feature/session name
@@ -451,6 +514,7 @@ TASK FORMAT:
   - [ ] **Task N: Title** [SIMPLE|COMPLEX|CRITICAL]
     - **Objective:** What needs to be done
     - **Files:** Which files to modify
+    - **Depends:** Task 1, Task 2 (optional - omit if none)
     - **Details:**
       - Step 1
       - Step 2
@@ -560,11 +624,18 @@ ${sessionSummary}
       log(`  Deleted: ${file}`, 'yellow');
     }
   });
+  DIRS_TO_ARCHIVE.forEach(dir => {
+    const dirPath = path.join(OROBOREO_DIR, dir);
+    if (fs.existsSync(dirPath)) {
+      fs.rmSync(dirPath, { recursive: true, force: true });
+      log(`  Deleted: ${dir}/`, 'yellow');
+    }
+  });
 
   log('\nSession files reset for next run', 'bright');
 
-  // 7. Git commit and push
-  gitCommitArchive(sessionName);
+  // 7. Git commit and push (no PR for an archive the secret scan kept back)
+  if (!gitCommitArchive(sessionName)) return;
 
   // 8. Create pull request if enabled
   const prUrl = createPullRequest(sessionName, archivePath);
@@ -573,8 +644,31 @@ ${sessionSummary}
   }
 }
 
+/**
+ * Report secret scan hits like oro-run does: on screen, in
+ * oreo-execution.log and as a secret_detected event. The archive has been
+ * reset by now, so both land at the start of the next session's files.
+ */
+function recordSecretFindings(findings) {
+  if (findings.length === 0) return;
+  const paths = getPaths();
+  const timestamp = new Date().toISOString();
+  const lines = findings.map(f => `Secret scan: ${f.rule} in ${f.file}:${f.line} (${f.excerpt}) - commit blocked`);
+
+  lines.forEach(line => log(`  ${line}`, 'red'));
+  try {
+    fs.appendFileSync(paths.log, lines.map(line => `[${timestamp}] [ERROR] ${line}\n`).join(''));
+    appendEvent(paths.events, 'secret_detected', {
+      files: findings.map(({ file, line, rule }) => ({ file, line, rule }))
+    });
+  } catch (e) {
+    log(`  Could not record the secret scan findings: ${e.message}`, 'yellow');
+  }
+}
+
 /**
  * Commit archive and reset files to Git
+ * @returns {boolean} False when a secret scan hit blocked the commit
  */
 function gitCommitArchive(sessionName) {
   log('\n===============================================================================', 'magenta');
@@ -587,7 +681,7 @@ function gitCommitArchive(sessionName) {
       execSync('git rev-parse --is-inside-work-tree', { cwd: PROJECT_ROOT, stdio: 'ignore' });
     } catch (e) {
       log('  Not a git repository, skipping backup', 'yellow');
-      return;
+      return true;
     }
 
     log('  Staging archive and reset files...', 'cyan');
@@ -611,11 +705,31 @@ function gitCommitArchive(sessionName) {
       }
     });
 
+    // Stage the deletion of session files older sessions committed (oro-run
+    // no longer does), so they don't linger as unstaged deletions
+    const deletedPaths = [...TEMP_FILES_TO_CLEAN, ...DIRS_TO_ARCHIVE].map(file => `"oroboreo/${file}"`).join(' ');
+    execSync(`git rm -r -q --cached --ignore-unmatch -- ${deletedPaths}`, { stdio: 'ignore', cwd: PROJECT_ROOT });
+
+    // Keep secrets out of a commit that is pushed straight away
+    if (envBool('OREO_SECRET_SCAN', true)) {
+      let findings = [];
+      try {
+        ({ findings } = unstageSecrets(PROJECT_ROOT, { envSecrets: loadEnvSecrets(getPaths().env) }));
+      } catch (e) {
+        log(`  Secret scan failed: ${e.message}`, 'yellow');
+      }
+      if (findings.length > 0) {
+        recordSecretFindings(findings);
+        log('  Not committing or pushing the archive - remove the secrets (or mark fixture lines with oreo:allow-secret) and commit it yourself', 'red');
+        return false;
+      }
+    }
+
     // Check if there are changes to commit
-    const status = execSync('git status --porcelain', { cwd: PROJECT_ROOT }).toString();
+    const status = execSync('git diff --cached --name-only', { cwd: PROJECT_ROOT }).toString();
     if (!status.trim()) {
       log('  No changes to commit', 'yellow');
-      return;
+      return true;
     }
 
     // Commit
@@ -634,6 +748,7 @@ function gitCommitArchive(sessionName) {
   } catch (e) {
     log(`  Git backup failed: ${e.message}`, 'yellow');
   }
+  return true;
 }
 
 /**
@@ -0,0 +1,78 @@
+/**
+ * OREO-CASSETTE - Recorded Agent Runs
+ *
+ * `oro-run --record` appends one JSON line per agent invocation to
+ * oroboreo/cassette.jsonl, which is archived with the session.
+ * `oro-run --replay <cassette>` plays those runs back instead of calling a
+ * model (see the "replay" adapter in oreo-agents.js), so changes to prompts
+ * and orchestration can be tested against real historical sessions.
+ *
+ * Entry:
+ *   {
+ *     "recordedAt": "...", "taskId": 3, "taskTitle": "...", "attempt": 1,
+ *     "adapter": "claude-code", "output": "claude-stream-json",
+ *     "model": "sonnet", "tier": "SONNET",
+ *     "prompt": "...",        Prompt the agent was given
+ *     "stdout": "...",        Raw stdout, exactly as the agent printed it
+ *     "exitCode": 0,          null if the agent was killed (timeout, zombie, oro-ctl)
+ *     "error": null,          Why the run failed, as oro-run reported it
+ *     "completed": true,      Whether the task ended up ticked in cookie-crumbs.md
+ *     "diff": "...",          git diff of the project (outside oroboreo/) made by the run
+ *     "durationMs": 81234
+ *   }
+ *
+ * Usage:
+ *   const { appendCassetteEntry, loadCassette, findCassetteEntry } = require('./oreo-cassette.js');
+ *   appendCassetteEntry(cassettePath, entry);
+ *   const entry = findCassetteEntry(loadCassette(cassettePath), 3, 2);
+ *
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Append one recorded run.
+ */
+function appendCassetteEntry(cassettePath, entry) {
+  fs.mkdirSync(path.dirname(cassettePath), { recursive: true });
+  fs.appendFileSync(cassettePath, JSON.stringify(entry) + '\n');
+}
+
+/**
+ * Read all recorded runs, oldest first.
+ * @throws {Error} If the file is missing or a line is not valid JSON
+ */
+function loadCassette(cassettePath) {
+  if (!fs.existsSync(cassettePath)) {
+    throw new Error(`Cassette not found: ${cassettePath}`);
+  }
+  return fs.readFileSync(cassettePath, 'utf8')
+    .split('\n')
+    .filter(line => line.trim())
+    .map((line, i) => {
+      try {
+        return JSON.parse(line);
+      } catch (e) {
+        throw new Error(`Invalid cassette ${cassettePath} (line ${i + 1}): ${e.message}`);
+      }
+    });
+}
+
+/**
+ * The recorded run for a task attempt. Attempts past the last one recorded
+ * for the task get that last one again.
+ * @returns {Object|null} Entry, or null if the task was never recorded
+ */
+function findCassetteEntry(entries, taskId, attempt) {
+  const runs = entries.filter(e => String(e.taskId) === String(taskId));
+  if (runs.length === 0) return null;
+  return runs.find(e => e.attempt === attempt) || runs[runs.length - 1];
+}
+
+module.exports = {
+  appendCassetteEntry,
+  loadCassette,
+  findCassetteEntry
+};
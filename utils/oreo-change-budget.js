@@ -0,0 +1,166 @@
+/**
+ * OREO-CHANGE-BUDGET - Per-Task Change Budget
+ *
+ * A [SIMPLE] task that comes back with half the repo rewritten has ignored
+ * the "Stay Focused" law. oro-run measures what each attempt changed since its
+ * checkpoint (files outside oroboreo/, lines added, lines removed) and fails
+ * the attempt when it goes over the task's budget; the failed-attempt policy
+ * then decides whether the edits are rolled back.
+ *
+ * Defaults per complexity go under "changeBudget" in oroboreo/oreo.config.json:
+ *
+ *   {
+ *     "changeBudget": {
+ *       "SIMPLE":   { "maxFiles": 5,  "maxLinesAdded": 200,  "maxLinesRemoved": 100 },
+ *       "COMPLEX":  { "maxFiles": 20, "maxLinesAdded": 1500 },
+ *       "default":  { "maxFiles": 30 }
+ *     }
+ *   }
+ *
+ * Keys are SIMPLE, COMPLEX, CRITICAL (the task's tag, or SIMPLE/COMPLEX from
+ * keyword routing) and "default" for complexities without their own entry.
+ * Omitted limits are not enforced.
+ *
+ * A task overrides them with a **Budget:** line in cookie-crumbs.md:
+ *
+ *   - **Budget:** 3 files, 150 added, 40 removed
+ *   - **Budget:** none
+ *
+ * Limits it names replace the default ones; "none" turns the budget off.
+ *
+ * Usage:
+ *   const { loadChangeBudgets, parseTaskBudget, resolveChangeBudget, checkChangeBudget } = require('./oreo-change-budget.js');
+ *   const budgets = loadChangeBudgets(loadProjectConfig());
+ *   const limits = resolveChangeBudget(budgets, 'SIMPLE', parseTaskBudget(task.details));
+ *   const over = checkChangeBudget({ files: 7, added: 90, removed: 10 }, limits);
+ *
+ * @version 1.0.0
+ */
+
+const COMPLEXITIES = ['SIMPLE', 'COMPLEX', 'CRITICAL', 'default'];
+
+// Limit -> what it counts, and the **Budget:** word that sets it
+const LIMITS = {
+  maxFiles: { stat: 'files', word: 'files', label: 'files changed' },
+  maxLinesAdded: { stat: 'added', word: 'added', label: 'lines added' },
+  maxLinesRemoved: { stat: 'removed', word: 'removed', label: 'lines removed' }
+};
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+function validateLimits(limits, where) {
+  if (!limits || typeof limits !== 'object' || Array.isArray(limits)) {
+    throw new Error(`Invalid ${where} - expected an object like { "maxFiles": 5, "maxLinesAdded": 200 }`);
+  }
+  for (const [key, value] of Object.entries(limits)) {
+    if (!LIMITS[key]) {
+      throw new Error(`Unknown limit "${key}" in ${where} - use ${Object.keys(LIMITS).join(', ')}`);
+    }
+    if (!Number.isInteger(value) || value < 0) {
+      throw new Error(`Invalid ${where}.${key} - expected a whole number >= 0`);
+    }
+  }
+  return { ...limits };
+}
+
+/**
+ * Read "changeBudget" from the project config.
+ * @param {Object} projectConfig - Parsed oroboreo/oreo.config.json
+ * @returns {Object|null} Limits per complexity, or null when none are set
+ * @throws {Error} On an unknown complexity, limit or a non-integer value
+ */
+function loadChangeBudgets(projectConfig) {
+  const declared = projectConfig && projectConfig.changeBudget;
+  if (declared === undefined || declared === null) return null;
+  if (typeof declared !== 'object' || Array.isArray(declared)) {
+    throw new Error('Invalid "changeBudget" in oroboreo/oreo.config.json - expected an object keyed by SIMPLE, COMPLEX, CRITICAL or default');
+  }
+
+  const budgets = {};
+  for (const [complexity, limits] of Object.entries(declared)) {
+    if (!COMPLEXITIES.includes(complexity)) {
+      throw new Error(`Unknown complexity "${complexity}" in changeBudget - use ${COMPLEXITIES.join(', ')}`);
+    }
+    budgets[complexity] = validateLimits(limits, `changeBudget.${complexity}`);
+  }
+  return Object.keys(budgets).length > 0 ? budgets : null;
+}
+
+/**
+ * Read a task's "**Budget:** 3 files, 150 added, 40 removed" line.
+ * @param {string} details - Task details from parseTasks()
+ * @returns {Object|string|null} Limits it sets, 'none', or null without a Budget line
+ */
+function parseTaskBudget(details) {
+  const match = (details || '').match(/\*\*Budget:\*\*\s*(.*)$/im);
+  if (!match) return null;
+  if (/^none\b/i.test(match[1].trim())) return 'none';
+
+  const limits = {};
+  for (const [, count, word] of match[1].matchAll(/(\d+)\s*(?:lines?\s+)?(files?|added|removed)/gi)) {
+    const key = Object.keys(LIMITS).find(k => word.toLowerCase().startsWith(LIMITS[k].word.replace(/s$/, '')));
+    limits[key] = parseInt(count, 10);
+  }
+  return Object.keys(limits).length > 0 ? limits : null;
+}
+
+/**
+ * The limits that apply to one task.
+ * @param {Object|null} budgets - From loadChangeBudgets()
+ * @param {string} complexity - SIMPLE, COMPLEX or CRITICAL
+ * @param {Object|string|null} taskBudget - From parseTaskBudget()
+ * @returns {Object|null} { maxFiles?, maxLinesAdded?, maxLinesRemoved? }, or null when unlimited
+ */
+function resolveChangeBudget(budgets, complexity, taskBudget) {
+  if (taskBudget === 'none') return null;
+  const defaults = budgets ? (budgets[complexity] || budgets.default || {}) : {};
+  const limits = { ...defaults, ...(taskBudget || {}) };
+  return Object.keys(limits).length > 0 ? limits : null;
+}
+
+// ============================================================================
+// CHECKING
+// ============================================================================
+
+/**
+ * Compare what an attempt changed with its limits.
+ * @param {{ files: number, added: number, removed: number }} stat - Size of the attempt's diff
+ * @param {Object|null} limits - From resolveChangeBudget()
+ * @returns {Array<{ limit: string, actual: number, max: number }>} Limits exceeded ([] if within budget)
+ */
+function checkChangeBudget(stat, limits) {
+  if (!limits) return [];
+  return Object.entries(limits)
+    .filter(([key, max]) => stat[LIMITS[key].stat] > max)
+    .map(([key, max]) => ({ limit: key, actual: stat[LIMITS[key].stat], max }));
+}
+
+/**
+ * "3 files, 150 added, 40 removed" - the same form a **Budget:** line takes.
+ */
+function formatChangeBudget(limits) {
+  if (!limits) return 'none';
+  return Object.keys(LIMITS)
+    .filter(key => limits[key] !== undefined)
+    .map(key => `${limits[key]} ${limits[key] === 1 ? LIMITS[key].word.replace(/s$/, '') : LIMITS[key].word}`)
+    .join(', ');
+}
+
+/**
+ * "7 files changed (max 5), 320 lines added (max 200)"
+ * @param {Array} exceeded - From checkChangeBudget()
+ */
+function formatBudgetOverrun(exceeded) {
+  return exceeded.map(e => `${e.actual} ${LIMITS[e.limit].label} (max ${e.max})`).join(', ');
+}
+
+module.exports = {
+  loadChangeBudgets,
+  parseTaskBudget,
+  resolveChangeBudget,
+  checkChangeBudget,
+  formatChangeBudget,
+  formatBudgetOverrun
+};
@@ -0,0 +1,194 @@
+/**
+ * OREO-CHECKPOINT - Working Tree Checkpoints for Failed Attempts
+ *
+ * oro-run takes a checkpoint before each attempt. When the attempt fails, the
+ * OREO_FAILED_ATTEMPT_POLICY decides what happens to the half-written edits:
+ *
+ *   keep       Leave them in the working tree (the next attempt builds on them) - default
+ *   rollback   Restore the working tree to the checkpoint
+ *   patch      Save them to oroboreo/failed-attempts/ as a patch, then roll back
+ *
+ * A checkpoint is the HEAD commit plus, when the tree already had uncommitted
+ * changes, a `git stash create` commit of them - nothing is stashed or
+ * committed, so the user's own uncommitted work survives a rollback. Untracked
+ * files that existed at checkpoint time are left alone, and so is everything
+ * under oroboreo/ (task list, progress, costs and loop state are the runner's).
+ *
+ * Usage:
+ *   const { createCheckpoint, saveFailedAttemptPatch, rollbackToCheckpoint } = require('./oreo-checkpoint.js');
+ *   const checkpoint = createCheckpoint(projectRoot);
+ *   ...attempt fails...
+ *   saveFailedAttemptPatch(checkpoint, patchPath);
+ *   rollbackToCheckpoint(checkpoint);
+ *
+ * diffStatSinceCheckpoint() sizes an attempt's changes for the change budget
+ * (see oreo-change-budget.js).
+ *
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execSync } = require('child_process');
+
+const FAILED_ATTEMPT_POLICIES = ['keep', 'rollback', 'patch'];
+
+// Everything outside oroboreo/ - the runner's own files are never rolled back
+const PROJECT_PATHSPEC = '-- . ":(exclude)oroboreo"';
+
+function git(command, cwd, timeoutMs) {
+  return execSync(`git ${command}`, {
+    cwd,
+    timeout: timeoutMs,
+    maxBuffer: 50 * 1024 * 1024,
+    stdio: ['ignore', 'pipe', 'pipe']
+  }).toString();
+}
+
+function listUntracked(cwd, timeoutMs) {
+  return git(`ls-files --others --exclude-standard ${PROJECT_PATHSPEC}`, cwd, timeoutMs)
+    .split('\n')
+    .filter(Boolean);
+}
+
+/**
+ * Parse and validate OREO_FAILED_ATTEMPT_POLICY.
+ * @returns {{ policy: string|null, error: string|null }}
+ */
+function parseFailedAttemptPolicy(value, fallback = 'keep') {
+  const policy = (value || fallback).trim().toLowerCase();
+  if (!FAILED_ATTEMPT_POLICIES.includes(policy)) {
+    return { policy: null, error: `Invalid OREO_FAILED_ATTEMPT_POLICY "${value}" - use one of: ${FAILED_ATTEMPT_POLICIES.join(', ')}` };
+  }
+  return { policy, error: null };
+}
+
+/**
+ * Record the current state of the working tree.
+ * @param {string} cwd - Repository checkout
+ * @param {number} timeoutMs - Timeout per git command
+ * @returns {Object|null} Checkpoint, or null if cwd has no commits to return to
+ */
+function createCheckpoint(cwd, timeoutMs = 60000) {
+  let head;
+  try {
+    head = git('rev-parse HEAD', cwd, timeoutMs).trim();
+  } catch (e) {
+    return null;
+  }
+
+  // Commit object for uncommitted tracked changes ('' when the tree is clean)
+  const stash = git('stash create', cwd, timeoutMs).trim();
+
+  return {
+    cwd,
+    timeoutMs,
+    head,
+    tree: stash || head,
+    untracked: listUntracked(cwd, timeoutMs),
+    createdAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Files the attempt created that did not exist at checkpoint time.
+ */
+function newUntrackedFiles(checkpoint) {
+  const existing = new Set(checkpoint.untracked);
+  return listUntracked(checkpoint.cwd, checkpoint.timeoutMs).filter(f => !existing.has(f));
+}
+
+/**
+ * Run a diff against the checkpoint with the attempt's new files included.
+ * Intent-to-add makes them show up in the diff; it is undone right after.
+ */
+function diffWithNewFiles(checkpoint, options) {
+  const { cwd, timeoutMs } = checkpoint;
+  const created = newUntrackedFiles(checkpoint);
+
+  if (created.length > 0) {
+    git(`add -N -- ${created.map(f => JSON.stringify(f)).join(' ')}`, cwd, timeoutMs);
+  }
+  const output = git(`diff ${options} ${checkpoint.tree} ${PROJECT_PATHSPEC}`, cwd, timeoutMs);
+  if (created.length > 0) {
+    git(`reset -q -- ${created.map(f => JSON.stringify(f)).join(' ')}`, cwd, timeoutMs);
+  }
+  return output;
+}
+
+/**
+ * Everything changed since the checkpoint (tracked edits and new files,
+ * outside oroboreo/) as a patch that `git apply` can replay.
+ * @returns {string} Patch ('' if nothing changed)
+ */
+function diffSinceCheckpoint(checkpoint) {
+  return diffWithNewFiles(checkpoint, '--binary');
+}
+
+/**
+ * Size of everything changed since the checkpoint (outside oroboreo/).
+ * Binary files count as changed files with no lines.
+ * @returns {{ files: number, added: number, removed: number, paths: string[] }}
+ */
+function diffStatSinceCheckpoint(checkpoint) {
+  const stat = { files: 0, added: 0, removed: 0, paths: [] };
+  for (const line of diffWithNewFiles(checkpoint, '--numstat').split('\n')) {
+    const [added, removed, file] = line.split('\t');
+    if (!file) continue;
+    stat.files++;
+    stat.added += parseInt(added, 10) || 0;
+    stat.removed += parseInt(removed, 10) || 0;
+    stat.paths.push(file);
+  }
+  return stat;
+}
+
+/**
+ * Write everything the attempt changed since the checkpoint to a patch file.
+ * @returns {boolean} true if a non-empty patch was written
+ */
+function saveFailedAttemptPatch(checkpoint, patchPath) {
+  const patch = diffSinceCheckpoint(checkpoint);
+  if (!patch.trim()) return false;
+  fs.mkdirSync(path.dirname(patchPath), { recursive: true });
+  fs.writeFileSync(patchPath, patch);
+  return true;
+}
+
+/**
+ * Put the working tree back the way it was at the checkpoint (outside oroboreo/).
+ * Commits the agent made since are undone too; the index ends up matching HEAD.
+ * @returns {string[]} Files created by the attempt that were deleted
+ */
+function rollbackToCheckpoint(checkpoint) {
+  const { cwd, timeoutMs } = checkpoint;
+  const created = newUntrackedFiles(checkpoint);
+
+  git(`reset -q ${checkpoint.head}`, cwd, timeoutMs);
+  git(`checkout ${checkpoint.tree} ${PROJECT_PATHSPEC}`, cwd, timeoutMs);
+  git('reset -q', cwd, timeoutMs);
+
+  // Files the agent added to the index count as new once the index is reset
+  const deleted = [...new Set([...created, ...newUntrackedFiles(checkpoint)])];
+  for (const file of deleted) {
+    try { fs.rmSync(path.join(cwd, file), { force: true }); } catch (e) {}
+
+    // Drop directories the attempt created that are now empty
+    let dir = path.dirname(file);
+    while (dir !== '.') {
+      try { fs.rmdirSync(path.join(cwd, dir)); } catch (e) { break; }
+      dir = path.dirname(dir);
+    }
+  }
+  return deleted;
+}
+
+module.exports = {
+  FAILED_ATTEMPT_POLICIES,
+  parseFailedAttemptPolicy,
+  createCheckpoint,
+  diffSinceCheckpoint,
+  diffStatSinceCheckpoint,
+  saveFailedAttemptPatch,
+  rollbackToCheckpoint
+};
@@ -181,12 +181,15 @@ function hasFoundryConfig() {
   return false;
 }
 
+// Valid AI_PROVIDER values (and [provider:...] task directives)
+const AI_PROVIDERS = ['bedrock', 'foundry', 'anthropic', 'subscription', 'aider', 'fake'];
+
 /**
  * Returns the appropriate model configuration based on AI_PROVIDER env var
+ * @param {string} [provider] - Provider to use instead of AI_PROVIDER
  * @returns {Object} MODELS object (Bedrock, Anthropic API, Foundry, or Subscription)
  */
-function getModelConfig() {
-  const provider = (process.env.AI_PROVIDER || 'subscription').toLowerCase();
+function getModelConfig(provider = (process.env.AI_PROVIDER || 'subscription').toLowerCase()) {
 
   if (provider === 'bedrock') {
     return MODELS;
@@ -195,19 +198,21 @@ function getModelConfig() {
   } else if (provider === 'aider') {
     // Aider supports per-tier models via AIDER_MODEL_OPUS/SONNET/HAIKU env vars.
     // Falls back to AIDER_MODEL for all tiers if per-tier vars are not set.
-    // Cost values default to gpt-4o pricing; update to match your deployed models.
+    // Cost values default to gpt-4o pricing and are only used when Aider doesn't
+    // report a cost itself (see parseAiderUsage in oreo-usage.js).
     const fallback = process.env.AIDER_MODEL || 'azure/gpt-4o';
     const opusId   = process.env.AIDER_MODEL_OPUS   || fallback;
     const sonnetId = process.env.AIDER_MODEL_SONNET || fallback;
     const haikuId  = process.env.AIDER_MODEL_HAIKU  || fallback;
     return {
-      OPUS:   { name: opusId,   id: opusId,   inputCostPer1M: 10, outputCostPer1M: 30,  maxOutput: 16384, maxThinking: 0 },
-      SONNET: { name: sonnetId, id: sonnetId, inputCostPer1M: 5,  outputCostPer1M: 15,  maxOutput: 16384, maxThinking: 0 },
-      HAIKU:  { name: haikuId,  id: haikuId,  inputCostPer1M: 0.15, outputCostPer1M: 0.6, maxOutput: 16384, maxThinking: 0 },
+      OPUS:   { name: opusId,   id: opusId,   inputCost: 10, outputCost: 30,  maxOutput: 16384, maxThinking: 0 },
+      SONNET: { name: sonnetId, id: sonnetId, inputCost: 5,  outputCost: 15,  maxOutput: 16384, maxThinking: 0 },
+      HAIKU:  { name: haikuId,  id: haikuId,  inputCost: 0.15, outputCost: 0.6, maxOutput: 16384, maxThinking: 0 },
     };
   } else {
-    // Both 'anthropic' and 'subscription' use the same model aliases
+    // 'anthropic' and 'subscription' use the same model aliases
     // The difference is in authentication (API key vs. claude.ai account)
+    // 'fake' (scripted offline agent) borrows them so routing and budgets behave as usual
     return ANTHROPIC_MODELS;
   }
 }
@@ -230,13 +235,68 @@ function getPaths() {
     costs: path.join(oroboreoDir, 'costs.json'),
     progress: path.join(oroboreoDir, 'progress.txt'),
     feedback: path.join(oroboreoDir, 'human-feedback.md'),
+    quarantineReport: path.join(oroboreoDir, 'quarantine-report.md'),
+    config: path.join(oroboreoDir, 'oreo.config.json'),
     env: path.join(oroboreoDir, '.env'),
     log: path.join(oroboreoDir, 'oreo-execution.log'),
+    events: path.join(oroboreoDir, 'oreo-events.jsonl'),
+    status: path.join(oroboreoDir, '.oreo-status.json'),
     archives: path.join(oroboreoDir, 'archives'),
     projectRoot: process.cwd()
   };
 }
 
+/**
+ * Files under `dir` modified in the last `withinMs`, newest first. Skips
+ * node_modules, .git and oroboreo/archives. Walks the tree with fs so it
+ * works the same everywhere (BSD find has no -printf).
+ * @returns {Array<{ path: string, mtimeMs: number }>}
+ */
+function findRecentFiles(dir, withinMs) {
+  const cutoff = Date.now() - withinMs;
+  const found = [];
+  const walk = (current) => {
+    let entries;
+    try {
+      entries = fs.readdirSync(current, { withFileTypes: true });
+    } catch (e) {
+      return; // Unreadable or vanished mid-walk
+    }
+    for (const entry of entries) {
+      const fullPath = path.join(current, entry.name);
+      if (entry.isDirectory()) {
+        const skipped = entry.name === 'node_modules' || entry.name === '.git' ||
+          (entry.name === 'archives' && path.basename(current) === 'oroboreo');
+        if (!skipped) walk(fullPath);
+      } else if (entry.isFile()) {
+        try {
+          const { mtimeMs } = fs.statSync(fullPath);
+          if (mtimeMs >= cutoff) found.push({ path: fullPath, mtimeMs });
+        } catch (e) {
+          // Deleted between readdir and stat
+        }
+      }
+    }
+  };
+  walk(dir);
+  return found.sort((a, b) => b.mtimeMs - a.mtimeMs);
+}
+
+/**
+ * Reads the optional project settings file oroboreo/oreo.config.json.
+ * @returns {Object} Parsed settings, or {} if the file does not exist
+ * @throws {Error} If the file exists but is not valid JSON
+ */
+function loadProjectConfig() {
+  const configPath = getPaths().config;
+  if (!fs.existsSync(configPath)) return {};
+  try {
+    return JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  } catch (e) {
+    throw new Error(`Invalid oroboreo/oreo.config.json: ${e.message}`);
+  }
+}
+
 // ============================================================================
 // COLORS
 // ============================================================================
@@ -410,13 +470,17 @@ module.exports = {
   MODELS,
   ANTHROPIC_MODELS,
   FOUNDRY_MODELS,
+  AI_PROVIDERS,
   getModelConfig,
   clearProviderEnv,
   getFoundryResource,
   hasFoundryConfig,
   getPaths,
+  findRecentFiles,
+  loadProjectConfig,
   syncReusableUtils,
   COLORS,
   COST_FACTORS,
-  getGitConfig
+  getGitConfig,
+  envBool
 };
@@ -0,0 +1,147 @@
+/**
+ * OREO-CONTROL - Control Channel for a Running oro-run Session
+ *
+ * Commands are JSON files dropped into oroboreo/.oreo-control/. oro-ctl (or
+ * anything else) writes them atomically; oreo-run.js polls the directory,
+ * applies each command in order and deletes the file.
+ *
+ * The directory only exists while oro-run is running, so its presence is how
+ * oro-ctl knows there is a session to talk to.
+ *
+ * Commands:
+ *   pause              Finish the current task, then wait
+ *   resume             Continue after pause
+ *   skip <taskId>      Mark the task skipped ([-]) and move on
+ *   drain              Finish the current task, save state and exit
+ *   abort-task [id]    Kill the running agent; counts as a failed attempt
+ *
+ * Usage:
+ *   const { sendControlCommand, readControlCommands } = require('./oreo-control.js');
+ *   sendControlCommand('skip', ['4']);
+ *
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getPaths } = require('./oreo-config.js');
+
+// command -> whether it takes a task id ('required', 'optional' or null)
+const CONTROL_COMMANDS = {
+  'pause': null,
+  'resume': null,
+  'skip': 'required',
+  'drain': null,
+  'abort-task': 'optional'
+};
+
+function getControlDir() {
+  return path.join(getPaths().oroboreoDir, '.oreo-control');
+}
+
+/**
+ * Validate a command and its arguments.
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateControlCommand(command, args = []) {
+  if (!Object.prototype.hasOwnProperty.call(CONTROL_COMMANDS, command)) {
+    return `Unknown command: ${command}. Valid commands: ${Object.keys(CONTROL_COMMANDS).join(', ')}`;
+  }
+  const taskArg = CONTROL_COMMANDS[command];
+  if (taskArg === 'required' && args.length === 0) {
+    return `${command} needs a task id, e.g. oro-ctl ${command} 4`;
+  }
+  if (args.length > 0 && (!taskArg || !/^\d+$/.test(args[0]))) {
+    return taskArg ? `Invalid task id: ${args[0]}` : `${command} takes no arguments`;
+  }
+  return null;
+}
+
+/**
+ * Whether an oro-run session is listening in this project.
+ */
+function isControlChannelOpen() {
+  return fs.existsSync(getControlDir());
+}
+
+/**
+ * Queue a command for the running session.
+ * Written to a temp file and renamed so the reader never sees a partial file.
+ * @returns {string} Path of the command file
+ */
+function sendControlCommand(command, args = []) {
+  const error = validateControlCommand(command, args);
+  if (error) throw new Error(error);
+
+  const controlDir = getControlDir();
+  const id = `${Date.now()}-${process.pid}-${Math.random().toString(36).slice(2, 8)}`;
+  const filePath = path.join(controlDir, `${id}.json`);
+  const tmpPath = path.join(controlDir, `.${id}.tmp`);
+
+  const payload = {
+    command,
+    taskId: args.length > 0 ? parseInt(args[0], 10) : null,
+    sentAt: new Date().toISOString()
+  };
+  fs.writeFileSync(tmpPath, JSON.stringify(payload, null, 2));
+  fs.renameSync(tmpPath, filePath);
+  return filePath;
+}
+
+/**
+ * Take all queued commands, oldest first. Each file is deleted once read;
+ * unreadable files are deleted and skipped.
+ * @returns {Array<{ command: string, taskId: number|null, sentAt: string }>}
+ */
+function readControlCommands() {
+  const controlDir = getControlDir();
+  if (!fs.existsSync(controlDir)) return [];
+
+  const commands = [];
+  const files = fs.readdirSync(controlDir).filter(f => f.endsWith('.json')).sort();
+  for (const file of files) {
+    const filePath = path.join(controlDir, file);
+    try {
+      const payload = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      if (!validateControlCommand(payload.command, payload.taskId !== null && payload.taskId !== undefined ? [String(payload.taskId)] : [])) {
+        commands.push(payload);
+      }
+    } catch (e) {
+      // Ignore malformed command files
+    }
+    try { fs.unlinkSync(filePath); } catch (e) {}
+  }
+  return commands;
+}
+
+/**
+ * Create the control directory (oro-run startup). Stale commands from a
+ * previous run are discarded.
+ */
+function openControlChannel() {
+  const controlDir = getControlDir();
+  fs.rmSync(controlDir, { recursive: true, force: true });
+  fs.mkdirSync(controlDir, { recursive: true });
+}
+
+/**
+ * Remove the control directory (oro-run exit).
+ */
+function closeControlChannel() {
+  try {
+    fs.rmSync(getControlDir(), { recursive: true, force: true });
+  } catch (e) {
+    // Ignore - nothing to clean up
+  }
+}
+
+module.exports = {
+  CONTROL_COMMANDS,
+  getControlDir,
+  validateControlCommand,
+  isControlChannelOpen,
+  sendControlCommand,
+  readControlCommands,
+  openControlChannel,
+  closeControlChannel
+};
@@ -95,7 +95,7 @@ function exportToCSV() {
 
   // Create CSV header
   const csvLines = [
-    'Task ID,Task Title,Timestamp,Model,Input Tokens,Output Tokens,Total Cost'
+    'Task ID,Task Title,Timestamp,Model,Attempt,Routed Model,Escalated,Input Tokens,Output Tokens,Cache Read Tokens,Cache Write Tokens,Total Cost,Estimated'
   ];
 
   // Add task rows
@@ -105,15 +105,22 @@ function exportToCSV() {
       `"${(task.taskTitle || '').replace(/"/g, '""')}"`,
       task.timestamp,
       `"${task.model}"`,
+      task.attempt || '',
+      task.routedModel ? `"${task.routedModel}"` : '',
+      task.escalated ? 'yes' : 'no',
       task.inputTokens,
       task.outputTokens,
-      task.totalCostUSD.toFixed(6)
+      task.cacheReadTokens || 0,
+      task.cacheCreationTokens || 0,
+      task.totalCostUSD.toFixed(6),
+      // Entries written before real usage tracking have no flag - they were estimates
+      task.estimated === false ? 'no' : 'yes'
     ].join(','));
   });
 
   // Add summary row
   csvLines.push('');
-  csvLines.push(`TOTAL,,,,,,$${costs.session.totalCost.toFixed(6)}`);
+  csvLines.push(`TOTAL,,,,,,,,,,,$${costs.session.totalCost.toFixed(6)}`);
 
   const csvContent = csvLines.join('\n');
   const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
@@ -126,6 +133,14 @@ function exportToCSV() {
   log(`\nSummary:`, 'bright');
   log(`  Tasks: ${costs.tasks.length}`, 'reset');
   log(`  Total Cost: $${costs.session.totalCost.toFixed(4)}`, 'reset');
+  const estimated = costs.tasks.filter(t => t.estimated !== false).length;
+  if (estimated > 0) {
+    log(`  Estimated Entries: ${estimated}/${costs.tasks.length} (no usage or cost reported by the agent)`, 'reset');
+  }
+  const escalated = costs.tasks.filter(t => t.escalated).length;
+  if (escalated > 0) {
+    log(`  Escalated Attempts: ${escalated}/${costs.tasks.length}`, 'reset');
+  }
   if (costs.tasks.length > 0) {
     log(`  Average Cost per Task: $${(costs.session.totalCost / costs.tasks.length).toFixed(4)}`, 'reset');
   }
@@ -0,0 +1,74 @@
+#!/usr/bin/env node
+/**
+ * OREO-CTL - Control a Running oro-run Session
+ *
+ * Sends pause/resume/skip/drain/abort-task commands to the oro-run loop
+ * running in this project, via oroboreo/.oreo-control/ (see oreo-control.js).
+ *
+ * ============================================================================
+ * USAGE
+ * ============================================================================
+ *
+ *   oro-ctl pause             # Finish the current task, then wait
+ *   oro-ctl resume            # Continue after pause
+ *   oro-ctl skip 4            # Mark Task 4 skipped and move on
+ *   oro-ctl drain             # Finish the current task, save state and exit
+ *   oro-ctl abort-task        # Kill the running agent (counts as a failed attempt)
+ *   oro-ctl abort-task 4      # Same, for Task 4 only (--parallel mode)
+ *
+ * @author Oroboreo- The Golden Loop
+ * @version 1.0.0
+ */
+
+const { CONTROL_COMMANDS, validateControlCommand, isControlChannelOpen, sendControlCommand } = require('./oreo-control.js');
+
+const colors = {
+  reset: '\x1b[0m',
+  bright: '\x1b[1m',
+  yellow: '\x1b[33m',
+  green: '\x1b[32m',
+  cyan: '\x1b[36m'
+};
+
+function log(message, color = 'reset') {
+  console.log(`${colors[color]}${message}${colors.reset}`);
+}
+
+function printUsage() {
+  log('Usage:', 'cyan');
+  log('  oro-ctl pause             # Finish the current task, then wait', 'reset');
+  log('  oro-ctl resume            # Continue after pause', 'reset');
+  log('  oro-ctl skip <taskId>     # Mark the task skipped and move on', 'reset');
+  log('  oro-ctl drain             # Finish the current task, save state and exit', 'reset');
+  log('  oro-ctl abort-task [id]   # Kill the running agent (counts as a failed attempt)', 'reset');
+  log('', 'reset');
+}
+
+function main() {
+  const [command, ...args] = process.argv.slice(2);
+
+  if (!command || command === '--help' || command === '-h') {
+    printUsage();
+    process.exit(command ? 0 : 1);
+  }
+
+  const error = validateControlCommand(command, args);
+  if (error) {
+    log(error, 'yellow');
+    printUsage();
+    process.exit(1);
+  }
+
+  if (!isControlChannelOpen()) {
+    log('No running oro-run session found in this project (oroboreo/.oreo-control/ is missing).', 'yellow');
+    log('Run oro-ctl from the same directory you started oro-run in.', 'reset');
+    process.exit(1);
+  }
+
+  sendControlCommand(command, args);
+  const target = CONTROL_COMMANDS[command] && args.length > 0 ? ` ${args[0]}` : '';
+  log(`Sent: ${command}${target}`, 'green');
+  log('oro-run picks it up within a few seconds - check its output or oreo-execution.log.', 'reset');
+}
+
+main();
@@ -2,7 +2,9 @@
 /**
  * OREO-DIAGNOSE - Post-Mortem Analysis Tool
  *
- * Analyzes oreo-execution.log to identify hangs, timeouts, and failures.
+ * Analyzes oreo-events.jsonl (the typed event log written by oreo-run.js) to
+ * identify hangs, timeouts, and failures. Sessions without an event log fall
+ * back to scanning oreo-execution.log.
  * Helps diagnose what went wrong in failed or hung Oroboreo sessions.
  *
  * ============================================================================
@@ -11,7 +13,8 @@
  *
  *   node oroboreo/utils/oreo-diagnose.js
  *
- *   # Or specify a custom log file
+ *   # Or specify an event log (.jsonl) or execution log, e.g. from an archive
+ *   node oroboreo/utils/oreo-diagnose.js oroboreo/archives/2026/10/<session>/oreo-events.jsonl
  *   node oroboreo/utils/oreo-diagnose.js path/to/custom.log
  *
  * @author Oroboreo - The Golden Loop
@@ -19,6 +22,7 @@
  */
 
 const fs = require('fs');
+const { readEvents, summarizeTasks } = require('./oreo-events.js');
 
 const COLORS = {
   reset: '\x1b[0m',
@@ -203,6 +207,117 @@ function analyzeLog(logPath) {
   }
 }
 
+function analyzeEvents(eventsPath) {
+  if (!fs.existsSync(eventsPath)) {
+    console.log(colorize(`\nError: Event log not found: ${eventsPath}`, 'red'));
+    console.log('Run oreo-run.js at least once to generate it.\n');
+    return;
+  }
+
+  const events = readEvents(eventsPath);
+  const tasks = summarizeTasks(events);
+  const lastEvent = events[events.length - 1];
+  const sessionEnded = lastEvent && lastEvent.type === 'session_end';
+
+  console.log('\n' + '='.repeat(80));
+  console.log(colorize('OROBOREO POST-MORTEM ANALYSIS', 'cyan'));
+  console.log('='.repeat(80) + '\n');
+
+  console.log(colorize(`Event log: ${eventsPath}`, 'white'));
+  console.log(colorize(`Total tasks found: ${tasks.length}`, 'white'));
+  if (lastEvent) {
+    const state = sessionEnded
+      ? `ended (${lastEvent.status}, exit code ${lastEvent.exitCode})`
+      : `no session_end - oro-run is still running or was killed (last event: ${lastEvent.type} at ${lastEvent.ts})`;
+    console.log(colorize(`Session: ${state}`, sessionEnded ? 'white' : 'yellow'));
+  }
+  console.log('');
+
+  // An agent that was spawned but never reported an exit
+  console.log(colorize('=== HUNG TASKS (spawned but never completed) ===', 'yellow'));
+  console.log('');
+
+  const hung = [];
+  for (const task of tasks) {
+    for (const attempt of task.attempts) {
+      if (attempt.spawnedAt && !attempt.exitedAt) hung.push({ task, attempt });
+    }
+  }
+  for (const { task, attempt } of hung) {
+    console.log(colorize(`Task ${task.id}: ${task.title}`, 'red'));
+    console.log(`  Attempt:  ${attempt.attempt} (${attempt.model || 'unknown model'})`);
+    console.log(`  Started:  ${attempt.spawnedAt}`);
+    if (attempt.pid) console.log(`  PID:      ${attempt.pid}`);
+    console.log(`  Status:   ${colorize('HUNG (no agent_exit event)', 'red')}`);
+    const lastSeen = attempt.lastHeartbeatAt || attempt.spawnedAt;
+    console.log(`  Duration: ${calculateDuration(attempt.spawnedAt, lastSeen)} until the last heartbeat`);
+    console.log('');
+  }
+  if (hung.length === 0) {
+    console.log(colorize('  No hung tasks found ✓', 'green'));
+    console.log('');
+  }
+
+  console.log(colorize('=== COMPLETED TASKS ===', 'green'));
+  console.log('');
+
+  const completed = tasks.filter(t => t.status === 'completed');
+  for (const task of completed) {
+    const duration = calculateDuration(task.firstStartedAt, task.completedAt);
+    const attempts = task.attempts.length > 1 ? `, ${task.attempts.length} attempts` : '';
+    console.log(colorize(`Task ${task.id}: ${duration}${attempts}, $${task.costUSD.toFixed(4)}`, 'green'));
+  }
+  if (completed.length === 0) {
+    console.log(colorize('  No completed tasks found', 'yellow'));
+  }
+  console.log('');
+
+  console.log(colorize('=== FAILED/INCOMPLETE TASKS ===', 'yellow'));
+  console.log('');
+
+  const failed = tasks.filter(t => t.status !== 'completed');
+  for (const task of failed) {
+    console.log(colorize(`Task ${task.id}: ${task.title}`, 'yellow'));
+    console.log(`  Status: ${task.status}`);
+    for (const attempt of task.attempts) {
+      const exit = attempt.exitReason || (attempt.exitCode !== null ? `exit code ${attempt.exitCode}` : 'no exit recorded');
+      const outcome = attempt.outcome || 'unfinished';
+      console.log(`  Attempt ${attempt.attempt}: ${outcome} (${exit})${attempt.error ? ` - ${attempt.error}` : ''}`);
+    }
+    console.log('');
+  }
+  if (failed.length === 0) {
+    console.log(colorize('  No failed tasks found ✓', 'green'));
+  }
+  console.log('');
+
+  // Attempts that failed on the way to completing
+  const retried = tasks.reduce((n, t) => n + t.attempts.filter(a => a.outcome && a.outcome !== 'completed' && a.outcome !== 'skipped').length, 0);
+  const timeouts = tasks.reduce((n, t) => n + t.attempts.filter(a => a.exitReason === 'timeout').length, 0);
+
+  console.log('='.repeat(80));
+  console.log(colorize('SUMMARY', 'cyan'));
+  console.log('='.repeat(80) + '\n');
+
+  console.log(`Total tasks:      ${tasks.length}`);
+  console.log(colorize(`Completed:        ${completed.length}`, 'green'));
+  console.log(colorize(`Hung:             ${hung.length}`, hung.length > 0 ? 'red' : 'green'));
+  console.log(colorize(`Failed:           ${failed.length}`, failed.length > 0 ? 'yellow' : 'green'));
+  console.log(colorize(`Failed attempts:  ${retried}${timeouts > 0 ? ` (${timeouts} timed out)` : ''}`, retried > 0 ? 'yellow' : 'green'));
+  console.log('');
+
+  if (hung.length > 0) {
+    console.log(colorize('⚠️  RECOMMENDATION:', 'yellow'));
+    console.log('  - Hung tasks detected. Check whether the PID above is still running.');
+    console.log('  - Check network connectivity, GitHub status, and AWS Bedrock status.');
+    console.log('  - Review oreo-execution.log around the last heartbeat for details.');
+    console.log('');
+  } else if (completed.length === tasks.length && tasks.length > 0) {
+    console.log(colorize('✅ All tasks completed successfully!', 'green'));
+    console.log('');
+  }
+}
+
 function calculateDuration(startTime, endTime) {
   try {
     const start = new Date(startTime);
@@ -229,7 +344,13 @@ function calculateDuration(startTime, endTime) {
 const { getPaths } = require('./oreo-config.js');
 
 const customLogPath = process.argv[2];
-const defaultLogPath = getPaths().log;
-const logPath = customLogPath || defaultLogPath;
-
-analyzeLog(logPath);
+const { events: defaultEventsPath, log: defaultLogPath } = getPaths();
+
+if (customLogPath) {
+  if (customLogPath.endsWith('.jsonl')) analyzeEvents(customLogPath);
+  else analyzeLog(customLogPath);
+} else if (fs.existsSync(defaultEventsPath)) {
+  analyzeEvents(defaultEventsPath);
+} else {
+  analyzeLog(defaultLogPath);
+}
@@ -0,0 +1,127 @@
+/**
+ * OREO-DIRECTIVES - Inline Task Directives
+ *
+ * The [SIMPLE]/[COMPLEX]/[CRITICAL] tag only picks a model tier; timeout,
+ * retries and provider are session-wide. A task line can override them for
+ * that one task with [key:value] directives after the bold title:
+ *
+ *   - [ ] **Task 4: Migrate orders table** [COMPLEX] [timeout:60m] [retries:2]
+ *   - [ ] **Task 5: Rename helper** [model:haiku] [provider:aider]
+ *
+ *   model      opus, sonnet or haiku - replaces the tier the tag or keywords
+ *              would route to (escalation on retries still applies)
+ *   timeout    Agent timeout per attempt: 45m, 90s, 1h30m (a bare number is
+ *              minutes) - replaces OREO_TASK_TIMEOUT_MS
+ *   retries    Attempts before the task counts as failed - replaces the
+ *              session's 5
+ *   provider   AI_PROVIDER for this task's runs (bedrock, foundry, anthropic,
+ *              subscription, aider or fake); its credentials must be in .env
+ *
+ * Brackets with other keys are left in the title untouched.
+ *
+ * Usage:
+ *   const { parseDirectives, formatDirectives } = require('./oreo-directives.js');
+ *   const { directives, errors, rest } = parseDirectives(' [COMPLEX] [timeout:45m]');
+ *   // directives = { timeoutMs: 2700000 }, rest = ' [COMPLEX]'
+ *   formatDirectives(directives); // '[timeout:45m]'
+ *
+ * @version 1.0.0
+ */
+
+const { AI_PROVIDERS } = require('./oreo-config.js');
+
+const MODEL_TIERS = ['OPUS', 'SONNET', 'HAIKU'];
+
+const DIRECTIVE = /\[(model|timeout|retries|provider):\s*([^\]]*)\]/gi;
+
+// ============================================================================
+// DURATIONS
+// ============================================================================
+
+/**
+ * "45m", "90s", "1h30m" or "45" (minutes) to milliseconds.
+ * @returns {number|null} null if the value is not a positive duration
+ */
+function parseDuration(value) {
+  const text = value.trim().toLowerCase();
+  if (/^\d+$/.test(text)) return parseInt(text, 10) * 60000 || null;
+
+  const match = text.match(/^(?:(\d+)h)?\s*(?:(\d+)m)?\s*(?:(\d+)s)?$/);
+  if (!match || !text) return null;
+  const [, hours = 0, minutes = 0, seconds = 0] = match;
+  const ms = ((parseInt(hours, 10) * 60 + parseInt(minutes, 10)) * 60 + parseInt(seconds, 10)) * 1000;
+  return ms > 0 ? ms : null;
+}
+
+/**
+ * Milliseconds back to the shortest directive form ("1h30m", "45m", "90s").
+ */
+function formatDuration(ms) {
+  const totalSeconds = Math.round(ms / 1000);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+  return `${hours ? `${hours}h` : ''}${minutes ? `${minutes}m` : ''}${seconds ? `${seconds}s` : ''}` || '0s';
+}
+
+// ============================================================================
+// PARSING
+// ============================================================================
+
+/**
+ * Pull the directives out of the text after a task's bold title.
+ * @param {string} text - Rest of the task line
+ * @returns {{ directives: Object, errors: string[], rest: string }}
+ *   directives has model (tier), timeoutMs, retries and provider when set;
+ *   errors describes invalid values; rest is the text without the directives
+ */
+function parseDirectives(text) {
+  const directives = {};
+  const errors = [];
+
+  const rest = (text || '').replace(DIRECTIVE, (whole, rawKey, rawValue) => {
+    const key = rawKey.toLowerCase();
+    const value = rawValue.trim();
+
+    if (key === 'model') {
+      const tier = value.toUpperCase();
+      if (MODEL_TIERS.includes(tier)) directives.model = tier;
+      else errors.push(`${whole}: model must be one of ${MODEL_TIERS.map(t => t.toLowerCase()).join(', ')}`);
+    } else if (key === 'timeout') {
+      const ms = parseDuration(value);
+      if (ms) directives.timeoutMs = ms;
+      else errors.push(`${whole}: timeout must be a duration like 45m, 90s or 1h30m`);
+    } else if (key === 'retries') {
+      const retries = /^\d+$/.test(value) ? parseInt(value, 10) : 0;
+      if (retries > 0) directives.retries = retries;
+      else errors.push(`${whole}: retries must be a whole number of attempts, 1 or more`);
+    } else if (key === 'provider') {
+      const provider = value.toLowerCase();
+      if (AI_PROVIDERS.includes(provider)) directives.provider = provider;
+      else errors.push(`${whole}: provider must be one of ${AI_PROVIDERS.join(', ')}`);
+    }
+    return '';
+  });
+
+  return { directives, errors, rest };
+}
+
+/**
+ * Directives in task-line form: "[model:opus] [timeout:45m]" ('' when none).
+ */
+function formatDirectives(directives) {
+  if (!directives) return '';
+  const parts = [];
+  if (directives.model) parts.push(`[model:${directives.model.toLowerCase()}]`);
+  if (directives.timeoutMs) parts.push(`[timeout:${formatDuration(directives.timeoutMs)}]`);
+  if (directives.retries) parts.push(`[retries:${directives.retries}]`);
+  if (directives.provider) parts.push(`[provider:${directives.provider}]`);
+  return parts.join(' ');
+}
+
+module.exports = {
+  parseDirectives,
+  formatDirectives,
+  parseDuration,
+  formatDuration
+};
@@ -0,0 +1,218 @@
+/**
+ * OREO-EVENTS - Structured Event Log (oreo-events.jsonl)
+ *
+ * oreo-execution.log is for people: our log lines mixed with raw agent
+ * output, colour codes and heartbeat chatter. oro-run also appends typed
+ * events, one JSON object per line, to oroboreo/oreo-events.jsonl so tools
+ * (oro-diagnose, oreo-status, oro-archive) can read a session without
+ * scraping the log. The file is archived with the session.
+ *
+ * Every event has "ts", "type", "taskId" and "attempt" (null for session
+ * events), plus:
+ *
+ *   session_start    branch, provider, agent, parallel, pid
+ *   task_start       title, maxAttempts
+ *   model_selected   model, modelId, tier, routedModel, escalated
+ *   agent_spawned    pid, adapter, cwd
+ *   heartbeat        pid, elapsedMs, silentMs
+ *   agent_exit       pid, exitCode, durationMs, reason (timeout, zombie,
+ *                    aborted or spawn-error; null for a normal exit)
+ *   cost             model, costUSD, inputTokens, outputTokens, estimated,
+ *                    sessionCostUSD
+ *   task_complete    durationMs
+ *   retry            outcome, error, willRetry (false once retries run out)
+ *   task_skipped     -
+ *   task_quarantined reason
+ *   protected_path_violation
+ *                    files ([{ path, change, pattern }], reverted)
+ *   change_budget_exceeded
+ *                    budget, files, added, removed
+ *   secret_detected  files ([{ file, line, rule }]) - left out of the commit
+ *   git_commit       sha, message
+ *   session_end      status, exitCode, costUSD
+ *
+ * Usage:
+ *   const { appendEvent, readEvents, summarizeTasks } = require('./oreo-events.js');
+ *   appendEvent(eventsPath, 'task_start', { taskId: 3, attempt: 1, title: '...' });
+ *   const tasks = summarizeTasks(readEvents(eventsPath));
+ *
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+
+const EVENT_TYPES = [
+  'session_start',
+  'task_start',
+  'model_selected',
+  'agent_spawned',
+  'heartbeat',
+  'agent_exit',
+  'cost',
+  'task_complete',
+  'retry',
+  'task_skipped',
+  'task_quarantined',
+  'protected_path_violation',
+  'change_budget_exceeded',
+  'secret_detected',
+  'git_commit',
+  'session_end'
+];
+
+/**
+ * Append one event.
+ * @returns {Object} The event as written
+ * @throws {Error} On an unknown event type
+ */
+function appendEvent(eventsPath, type, fields = {}) {
+  if (!EVENT_TYPES.includes(type)) {
+    throw new Error(`Unknown event type "${type}"`);
+  }
+  const event = { ts: new Date().toISOString(), type, taskId: null, attempt: null, ...fields };
+  fs.appendFileSync(eventsPath, JSON.stringify(event) + '\n');
+  return event;
+}
+
+/**
+ * Read all events, oldest first. Lines that do not parse (a run killed
+ * mid-write) are skipped.
+ * @returns {Object[]} Events ([] if the file does not exist)
+ */
+function readEvents(eventsPath) {
+  if (!fs.existsSync(eventsPath)) return [];
+  const events = [];
+  for (const line of fs.readFileSync(eventsPath, 'utf8').split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      events.push(JSON.parse(line));
+    } catch (e) {
+      // Partial line - ignore
+    }
+  }
+  return events;
+}
+
+/**
+ * Fold events into one entry per task, with its attempts in order.
+ *
+ * Task: { id, title, status, attempts, costUSD, firstStartedAt, completedAt }
+ *   status is 'completed', 'running', 'failed', 'skipped' or 'quarantined'
+ * Attempt: { attempt, startedAt, model, escalated, pid, spawnedAt,
+ *   lastHeartbeatAt, exitedAt, exitCode, exitReason, outcome, error, costUSD }
+ *   outcome is null while the attempt has not finished (or never did)
+ *
+ * @returns {Object[]} Tasks in the order they first started
+ */
+function summarizeTasks(events) {
+  const tasks = new Map();
+  const taskFor = (event) => {
+    if (!tasks.has(event.taskId)) {
+      tasks.set(event.taskId, {
+        id: event.taskId,
+        title: null,
+        status: 'running',
+        attempts: [],
+        costUSD: 0,
+        firstStartedAt: event.ts,
+        completedAt: null
+      });
+    }
+    return tasks.get(event.taskId);
+  };
+  const newAttempt = (task, event) => {
+    const attempt = {
+      attempt: event.attempt,
+      startedAt: event.ts,
+      model: null,
+      escalated: false,
+      pid: null,
+      spawnedAt: null,
+      lastHeartbeatAt: null,
+      exitedAt: null,
+      exitCode: null,
+      exitReason: null,
+      outcome: null,
+      error: null,
+      costUSD: 0
+    };
+    task.attempts.push(attempt);
+    return attempt;
+  };
+  // Latest run of this attempt number (a restarted session can repeat one)
+  const attemptFor = (task, event) => {
+    const runs = task.attempts.filter(a => a.attempt === event.attempt);
+    return runs.length > 0 ? runs[runs.length - 1] : newAttempt(task, event);
+  };
+
+  for (const event of events) {
+    if (event.taskId === null || event.taskId === undefined) continue;
+    const task = taskFor(event);
+
+    switch (event.type) {
+      case 'task_start':
+        task.title = event.title || task.title;
+        task.status = 'running';
+        newAttempt(task, event);
+        break;
+      case 'model_selected': {
+        const attempt = attemptFor(task, event);
+        attempt.model = event.model;
+        attempt.escalated = !!event.escalated;
+        break;
+      }
+      case 'agent_spawned': {
+        const attempt = attemptFor(task, event);
+        attempt.pid = event.pid;
+        attempt.spawnedAt = event.ts;
+        break;
+      }
+      case 'heartbeat':
+        attemptFor(task, event).lastHeartbeatAt = event.ts;
+        break;
+      case 'agent_exit': {
+        const attempt = attemptFor(task, event);
+        attempt.exitedAt = event.ts;
+        attempt.exitCode = event.exitCode;
+        attempt.exitReason = event.reason || null;
+        break;
+      }
+      case 'cost': {
+        const attempt = attemptFor(task, event);
+        attempt.costUSD += event.costUSD || 0;
+        task.costUSD += event.costUSD || 0;
+        break;
+      }
+      case 'task_complete':
+        attemptFor(task, event).outcome = 'completed';
+        task.status = 'completed';
+        task.completedAt = event.ts;
+        break;
+      case 'retry': {
+        const attempt = attemptFor(task, event);
+        attempt.outcome = event.outcome;
+        attempt.error = event.error || null;
+        task.status = event.willRetry === false ? 'failed' : 'running';
+        break;
+      }
+      case 'task_skipped':
+        if (event.attempt !== null) attemptFor(task, event).outcome = 'skipped';
+        task.status = 'skipped';
+        break;
+      case 'task_quarantined':
+        task.status = 'quarantined';
+        break;
+      default:
+        break;
+    }
+  }
+
+  return [...tasks.values()];
+}
+
+module.exports = {
+  EVENT_TYPES,
+  appendEvent,
+  readEvents,
+  summarizeTasks
+};
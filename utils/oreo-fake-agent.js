@@ -0,0 +1,201 @@
+#!/usr/bin/env node
+/**
+ * OREO-FAKE-AGENT - Scripted Stand-In for a Coding Agent
+ *
+ * Used by AI_PROVIDER=fake (see the "fake" adapter in oreo-agents.js) to run
+ * the Golden Loop end to end without a model: no network, no cost, the same
+ * result every time. Each run looks up its task in a JSON script and plays
+ * back the action listed there.
+ *
+ * oro-run --replay <cassette> uses it too: the action is then the run
+ * recorded for the task in the cassette (see oreo-cassette.js) - its stdout is
+ * re-emitted byte for byte, its diff applied and its task marked complete if
+ * it was.
+ *
+ * ============================================================================
+ * SCRIPT FORMAT (OREO_FAKE_SCRIPT, default oroboreo/fake-agent.json)
+ * ============================================================================
+ *
+ *   {
+ *     "default": { "complete": true },
+ *     "tasks": {
+ *       "1": { "edit": { "src/a.js": "module.exports = 1;\n" }, "complete": true },
+ *       "2": [
+ *         { "output": "Build failed", "exitCode": 1 },
+ *         { "complete": true, "usage": { "inputTokens": 1200, "outputTokens": 300, "costUSD": 0.01 } }
+ *       ],
+ *       "3": { "complete": true, "sleepMs": 600000 }
+ *     }
+ *   }
+ *
+ * A task maps to one action, or to a list of actions played by attempt
+ * number (the last one repeats). Tasks not listed use "default"; without a
+ * default the task is marked complete. Steps run in this order:
+ *
+ *   output     String or array of lines printed to stdout
+ *   edit       { "path": "content" } written relative to the working
+ *              directory; null deletes the file
+ *   patch      Unified diff applied with `git apply` in the working directory
+ *   progress   Line appended to oroboreo/progress.txt
+ *   complete   true ticks the task in oroboreo/cookie-crumbs.md
+ *   usage      { inputTokens, outputTokens, costUSD } reported for costs.json
+ *   sleepMs    Wait before exiting (timeouts; with complete: zombie detection)
+ *   exitCode   Process exit code (default 0)
+ *
+ * Environment (set by the adapter): OREO_FAKE_SCRIPT, OREO_FAKE_TASK_ID,
+ * OREO_FAKE_ATTEMPT, OREO_FAKE_PROMPT; OREO_REPLAY_CASSETTE in replay mode.
+ *
+ * @author Oroboreo- The Golden Loop
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execSync } = require('child_process');
+const { loadCassette, findCassetteEntry } = require('./oreo-cassette.js');
+
+function fail(message) {
+  console.error(`fake agent: ${message}`);
+  process.exit(2);
+}
+
+function loadScript(scriptPath) {
+  if (!scriptPath || !fs.existsSync(scriptPath)) {
+    fail(`script not found: ${scriptPath}`);
+  }
+  try {
+    return JSON.parse(fs.readFileSync(scriptPath, 'utf8'));
+  } catch (e) {
+    fail(`invalid script ${scriptPath}: ${e.message}`);
+  }
+}
+
+/**
+ * The action for this task and attempt.
+ */
+function resolveAction(script, taskId, attempt) {
+  const tasks = script.tasks || {};
+  const entry = Object.prototype.hasOwnProperty.call(tasks, taskId) ? tasks[taskId] : script.default;
+  if (entry === undefined || entry === null) return { complete: true };
+  if (!Array.isArray(entry)) return entry;
+  if (entry.length === 0) return { complete: true };
+  return entry[Math.min(attempt, entry.length) - 1];
+}
+
+/**
+ * The action for a task attempt recorded in a cassette.
+ */
+function resolveReplayAction(cassettePath, taskId, attempt, promptPath) {
+  let entries;
+  try {
+    entries = loadCassette(cassettePath);
+  } catch (e) {
+    fail(e.message);
+  }
+  const entry = findCassetteEntry(entries, taskId, attempt);
+  if (!entry) fail(`no recorded run for Task ${taskId} in ${cassettePath}`);
+
+  console.error(`replay: Task ${taskId}, attempt ${attempt} (recorded attempt ${entry.attempt}, ${entry.model})`);
+  const prompt = promptPath && fs.existsSync(promptPath) ? fs.readFileSync(promptPath, 'utf8') : null;
+  if (prompt !== null && prompt !== entry.prompt) {
+    console.error(`replay: prompt differs from the recording (${(entry.prompt || '').length} -> ${prompt.length} chars)`);
+  }
+
+  // A run killed after finishing its task (zombie) counts as a clean exit
+  const exitCode = typeof entry.exitCode === 'number' ? entry.exitCode : (entry.completed ? 0 : 1);
+  return { rawOutput: entry.stdout || '', patch: entry.diff, complete: entry.completed, exitCode };
+}
+
+function applyPatch(patch, cwd) {
+  if (!patch || !patch.trim()) return;
+  try {
+    execSync('git apply --whitespace=nowarn -', { cwd, input: patch, stdio: ['pipe', 'pipe', 'pipe'], timeout: 60000 });
+    console.error('Applied recorded diff');
+  } catch (e) {
+    fail(`diff does not apply: ${(e.stderr || e.message).toString().trim()}`);
+  }
+}
+
+function applyEdits(edits, cwd) {
+  for (const [file, content] of Object.entries(edits)) {
+    const target = path.resolve(cwd, file);
+    if (path.relative(cwd, target).startsWith('..')) {
+      fail(`refusing to edit outside the working directory: ${file}`);
+    }
+    if (content === null) {
+      fs.rmSync(target, { force: true });
+      console.log(`Deleted ${file}`);
+    } else {
+      fs.mkdirSync(path.dirname(target), { recursive: true });
+      fs.writeFileSync(target, content);
+      console.log(`Wrote ${file}`);
+    }
+  }
+}
+
+function markComplete(taskId, cwd) {
+  const tasksPath = path.join(cwd, 'oroboreo', 'cookie-crumbs.md');
+  if (!fs.existsSync(tasksPath)) fail(`no task list at ${tasksPath}`);
+  const content = fs.readFileSync(tasksPath, 'utf8');
+  const pattern = new RegExp(`^(-\\s*)\\[ \\](\\s*\\*\\*Task\\s+${taskId}:)`, 'm');
+  if (!pattern.test(content)) {
+    console.log(`Task ${taskId} is not open in cookie-crumbs.md - nothing to mark`);
+    return;
+  }
+  fs.writeFileSync(tasksPath, content.replace(pattern, '$1[x]$2'));
+  console.log(`Marked Task ${taskId} complete`);
+}
+
+/**
+ * Same footer Aider prints, so the usage parses with parseAiderUsage().
+ */
+function printUsage(usage) {
+  const cost = typeof usage.costUSD === 'number'
+    ? ` Cost: $${usage.costUSD} message, $${usage.costUSD} session.`
+    : '';
+  console.log(`Tokens: ${usage.inputTokens || 0} sent, ${usage.outputTokens || 0} received.${cost}`);
+}
+
+function main() {
+  const taskId = process.env.OREO_FAKE_TASK_ID || '';
+  const attempt = Math.max(1, parseInt(process.env.OREO_FAKE_ATTEMPT || '1', 10) || 1);
+  const cwd = process.cwd();
+  let action;
+  if (process.env.OREO_REPLAY_CASSETTE) {
+    action = resolveReplayAction(process.env.OREO_REPLAY_CASSETTE, taskId, attempt, process.env.OREO_FAKE_PROMPT);
+  } else {
+    action = resolveAction(loadScript(process.env.OREO_FAKE_SCRIPT), taskId, attempt);
+    console.log(`fake agent: Task ${taskId || '-'}, attempt ${attempt}`);
+  }
+
+  if (action.rawOutput !== undefined) {
+    process.stdout.write(action.rawOutput);
+  }
+  if (action.output !== undefined) {
+    console.log([].concat(action.output).join('\n'));
+  }
+  if (action.edit) {
+    applyEdits(action.edit, cwd);
+  }
+  if (action.patch) {
+    applyPatch(action.patch, cwd);
+  }
+  if (action.progress) {
+    fs.appendFileSync(path.join(cwd, 'oroboreo', 'progress.txt'), `${action.progress}\n`);
+  }
+  if (action.complete) {
+    if (!taskId) fail('"complete" needs a task id');
+    markComplete(taskId, cwd);
+  }
+  if (action.usage) {
+    printUsage(action.usage);
+  }
+
+  // Exit once stdout is flushed (process.exit() can cut off piped output)
+  process.exitCode = action.exitCode || 0;
+  if (action.sleepMs > 0) {
+    setTimeout(() => {}, action.sleepMs);
+  }
+}
+
+main();
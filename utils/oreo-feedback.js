@@ -35,6 +35,9 @@
  *   # Option 2: Pass feedback as argument
  *   node oroboreo/utils/oreo-feedback.js "The login button doesn't work"
  *
+ *   # Option 3: Fix tasks oro-run quarantined (OREO_QUARANTINE_FAILED=true)
+ *   node oroboreo/utils/oreo-feedback.js --quarantine
+ *
  * ============================================================================
  * WORKFLOW
  * ============================================================================
@@ -53,7 +56,9 @@
 const { spawn } = require('child_process');
 const fs = require('fs');
 const path = require('path');
-const { getModelConfig, clearProviderEnv, getFoundryResource, hasFoundryConfig, getPaths, syncReusableUtils, COST_FACTORS } = require('./oreo-config.js');
+const { getModelConfig, hasFoundryConfig, getPaths, syncReusableUtils, COST_FACTORS } = require('./oreo-config.js');
+const { buildCostFields, formatCostFields } = require('./oreo-usage.js');
+const { getAgentAdapter } = require('./oreo-agents.js');
 
 // ============================================================================
 // CONFIGURATION
@@ -63,10 +68,6 @@ const CONFIG = {
   // Opus Model (The Architect) - will be set after loading env
   model: null,
 
-  // Token limits
-  maxOutputTokens: null,
-  thinkingBudget: null,
-
   // File Paths (Oreo Theme)
   paths: {
     ...getPaths(),                                               // Shared paths (includes feedback)
@@ -141,15 +142,15 @@ region = ${region}
   console.log('AWS credentials file created successfully');
 }
 
-function logArchitectCost(promptSize, responseSize) {
-  // Agentic sessions involve many turns of tool usage (reading files, searching)
-  // which aren't captured in the final output buffer. Apply multipliers.
-  const inputTokens = Math.ceil((promptSize / 4) * COST_FACTORS.ARCHITECT.TOOL_USE_FACTOR) + COST_FACTORS.ARCHITECT.BASELINE_CONTEXT_TOKENS;
-  const outputTokens = Math.ceil((responseSize / 4) * COST_FACTORS.ARCHITECT.OUTPUT_MULTIPLIER);
-
-  const inputCost = (inputTokens * CONFIG.model.inputCost) / 1000000;
-  const outputCost = (outputTokens * CONFIG.model.outputCost) / 1000000;
-  const totalCost = inputCost + outputCost;
+function logArchitectCost(promptSize, responseSize, usage = null) {
+  // Fallback estimate: agentic sessions involve many turns of tool usage (reading files,
+  // searching) which aren't captured in the final output buffer. Apply multipliers.
+  const estimate = {
+    inputTokens: Math.ceil((promptSize / 4) * COST_FACTORS.ARCHITECT.TOOL_USE_FACTOR) + COST_FACTORS.ARCHITECT.BASELINE_CONTEXT_TOKENS,
+    outputTokens: Math.ceil((responseSize / 4) * COST_FACTORS.ARCHITECT.OUTPUT_MULTIPLIER)
+  };
+  const costFields = buildCostFields(usage, CONFIG.model, estimate);
+  const totalCost = costFields.totalCostUSD;
 
   let costLog = { session: { totalCost: 0 }, tasks: [] };
   if (fs.existsSync(CONFIG.paths.costs)) {
@@ -165,17 +166,17 @@ function logArchitectCost(promptSize, responseSize) {
     model: CONFIG.model.name,
     modelId: CONFIG.model.id,
     provider: (process.env.AI_PROVIDER || 'subscription').toLowerCase(),
-    inputTokens,
-    outputTokens,
-    totalCostUSD: totalCost
+    ...costFields
   });
 
   costLog.session.totalCost = (costLog.session.totalCost || 0) + totalCost;
   fs.writeFileSync(CONFIG.paths.costs, JSON.stringify(costLog, null, 2));
 
   console.log(`\n💰 Architect Cost: $${totalCost.toFixed(4)}`);
-  console.log(`   (Estimated: ${inputTokens} input, ${outputTokens} output tokens)`);
-  console.log(`💡 Note: Architect sessions include hidden costs for codebase analysis.`);
+  console.log(`   (${formatCostFields(costFields)})`);
+  if (costFields.estimated) {
+    console.log(`💡 Note: Architect sessions include hidden costs for codebase analysis.`);
+  }
 }
 
 function getLatestArchive() {
@@ -271,10 +272,11 @@ For each issue found, add a task in this format:
 - [ ] **Task N: <Title>** [SIMPLE|COMPLEX|CRITICAL]
   - **Objective:** What needs to be fixed
   - **Files:** List files to modify
+  - **Depends:** Task N (omit this line if the task has no dependencies)
   - **Details:**
     - Step 1
     - Step 2
-  - **Verification:** Scriptable verification command (NEVER "manually check")
+  - **Verification:** Scriptable verification command in \`backticks\` (NEVER "manually check")
 
 ---
 
@@ -324,8 +326,6 @@ async function main() {
   // Set up provider-aware models
   const MODELS = getModelConfig();
   CONFIG.model = MODELS.OPUS;
-  CONFIG.maxOutputTokens = String(MODELS.OPUS.maxOutput);
-  CONFIG.thinkingBudget = String(MODELS.OPUS.maxThinking);
 
   // Configure provider-specific settings
   const provider = (process.env.AI_PROVIDER || 'subscription').toLowerCase();
@@ -377,10 +377,27 @@ async function main() {
     process.exit(1);
   }
 
-  // Get feedback from argument or file
-  let feedback = process.argv[2];
+  // Agent adapter (oreo.config.json "agent", defaults to Claude Code / Aider by provider)
+  let adapter;
+  try {
+    adapter = getAgentAdapter();
+  } catch (e) {
+    console.error(`❌ ${e.message}`);
+    process.exit(1);
+  }
+
+  // Get feedback from argument, quarantine report or file
+  const fromQuarantine = process.argv[2] === '--quarantine';
+  let feedback = fromQuarantine ? null : process.argv[2];
 
-  if (!feedback && fs.existsSync(CONFIG.paths.feedback)) {
+  if (fromQuarantine) {
+    if (!fs.existsSync(CONFIG.paths.quarantineReport)) {
+      console.error('❌ No quarantine-report.md found - oro-run writes it when tasks are quarantined.');
+      process.exit(1);
+    }
+    console.log('📝 Reading quarantined tasks from quarantine-report.md');
+    feedback = fs.readFileSync(CONFIG.paths.quarantineReport, 'utf8');
+  } else if (!feedback && fs.existsSync(CONFIG.paths.feedback)) {
     const content = fs.readFileSync(CONFIG.paths.feedback, 'utf8');
 
     // Check if user actually pasted something (beyond template)
@@ -401,6 +418,9 @@ async function main() {
     console.error('');
     console.error('Or pass feedback directly:');
     console.error('  oro-feedback "The login button is broken"');
+    console.error('');
+    console.error('Or fix tasks oro-run quarantined:');
+    console.error('  oro-feedback --quarantine');
     process.exit(1);
   }
 
@@ -445,7 +465,9 @@ ${feedback}
     ? `The latest session archive is at \`${latestArchive.path}\`. Check the cookie-crumbs.md (or PRD.md) and progress.txt there to see what was recently changed.`
     : 'No previous archive found.'}
 
-3. **Update Tasks**: Append NEW tasks to \`oroboreo/cookie-crumbs.md\` to fix these issues.
+3. **Update Tasks**: ${fromQuarantine
+    ? 'These are tasks the worker agents could not complete. Rewrite each quarantined `[!]` task in place in `oroboreo/cookie-crumbs.md` as described under "How to fix" above, adding prerequisite tasks where needed.'
+    : 'Append NEW tasks to `oroboreo/cookie-crumbs.md` to fix these issues.'}
    - If cookie-crumbs.md is empty or missing, create a new one with this header format:
      \`\`\`markdown
      **Session**: human-feedback-fixes
@@ -472,10 +494,11 @@ Use this format for each task:
 - [ ] **Task N: Title** [SIMPLE|COMPLEX|CRITICAL]
   - **Objective:** What needs to be accomplished
   - **Files:** List files to modify
+  - **Depends:** Task N (omit this line if the task has no dependencies)
   - **Details:**
     - Step 1
     - Step 2
-  - **Verification:** How to verify it works (MUST use scripts, NOT manual browser testing)
+  - **Verification:** How to verify it works (MUST use scripts, NOT manual browser testing). Put each command in \`backticks\` - oro-run executes them and retries the task if any fail
 \`\`\`
 
 **VERIFICATION CONSTRAINTS**
@@ -517,117 +540,37 @@ After all tasks complete, the human should verify:
 \`\`\`
 `;
 
-  // Save prompt — use aider-specific prompt when provider is aider
-  const finalPrompt = provider === 'aider'
+  // Save prompt — chat-style agents (Aider) get a prompt that asks for the markdown on stdout
+  const finalPrompt = adapter.promptStyle === 'chat'
     ? buildAiderFeedbackPrompt(feedback, projectContext, latestArchive)
     : architectPrompt;
   fs.writeFileSync(CONFIG.paths.prompt, finalPrompt);
 
-  // Run Opus - use .sh on Linux/macOS, .bat on Windows
-  const isWindows = process.platform === 'win32';
-  let runScript;
-  if (provider === 'aider') {
-    runScript = 'run-with-aider.sh';
-  } else {
-    runScript = isWindows ? 'run-with-prompt.bat' : 'run-with-prompt.sh';
-  }
-  const batFile = path.join(__dirname, runScript);
-
-  // Save aider credentials BEFORE clearProviderEnv() deletes them
-  const savedAider = {
-    AIDER_MODEL_OPUS: process.env.AIDER_MODEL_OPUS,
-    AIDER_MODEL: process.env.AIDER_MODEL,
-    AZURE_API_KEY: process.env.AZURE_API_KEY,
-    AZURE_API_BASE: process.env.AZURE_API_BASE,
-    AZURE_API_VERSION: process.env.AZURE_API_VERSION,
-    AZURE_AI_API_KEY: process.env.AZURE_AI_API_KEY,
-    AZURE_AI_API_BASE: process.env.AZURE_AI_API_BASE,
-    OPENAI_API_KEY: process.env.OPENAI_API_KEY,
-  };
-
-  // Clear ALL provider environment variables first
-  clearProviderEnv();
-
-  const env = {
-    ...process.env,  // Start fresh after clearProviderEnv()
-    CLAUDE_CODE_MAX_OUTPUT_TOKENS: CONFIG.maxOutputTokens,
-    CLAUDE_CODE_MAX_THINKING_TOKENS: CONFIG.thinkingBudget,
-    FORCE_COLOR: '1'
-  };
-
-  // Provider-specific configuration
-  if (provider === 'bedrock') {
-    // AWS Bedrock - Set Bedrock-specific vars
-    env.ANTHROPIC_MODEL = CONFIG.model.id;
-    env.CLAUDE_CODE_USE_BEDROCK = '1';
-    env.AWS_REGION = process.env.AWS_REGION || 'us-east-1';
-    env.AWS_ACCESS_KEY_ID = process.env.AWS_ACCESS_KEY_ID;
-    env.AWS_SECRET_ACCESS_KEY = process.env.AWS_SECRET_ACCESS_KEY;
-    console.log(`🚀 Spawning Architect (Opus via Bedrock: ${CONFIG.model.id})...`);
-
-  } else if (provider === 'foundry') {
-    // Microsoft Foundry - Set Foundry-specific vars
-    // oreo-feedback always uses Opus
-    const foundryConfig = getFoundryResource('OPUS');
-
-    env.ANTHROPIC_MODEL = CONFIG.model.id;
-    env.CLAUDE_CODE_USE_FOUNDRY = '1';
-    env.ANTHROPIC_FOUNDRY_API_KEY = process.env.ANTHROPIC_FOUNDRY_API_KEY;
-
-    // Use model-specific resource/URL (with fallback to single resource)
-    if (foundryConfig.resource) {
-      env.ANTHROPIC_FOUNDRY_RESOURCE = foundryConfig.resource;
-    }
-    if (foundryConfig.baseUrl) {
-      env.ANTHROPIC_FOUNDRY_BASE_URL = foundryConfig.baseUrl;
-    }
-    console.log(`🚀 Spawning Architect (Opus via Microsoft Foundry: ${foundryConfig.resource || foundryConfig.baseUrl})...`);
-
-  } else if (provider === 'anthropic') {
-    // Anthropic API - Set ONLY API key (no ANTHROPIC_MODEL)
-    env.ANTHROPIC_API_KEY = process.env.ANTHROPIC_API_KEY;
-    console.log(`🚀 Spawning Architect (Opus via Anthropic API: ${CONFIG.model.id})...`);
-
-  } else if (provider === 'subscription') {
-    // Claude Code Subscription - Set NO auth variables
-    // Claude Code will use logged-in claude.ai account
-    console.log(`🚀 Spawning Architect (Opus via Claude Subscription: ${CONFIG.model.id})...`);
-
-  } else if (provider === 'aider') {
-    const opusModel = savedAider.AIDER_MODEL_OPUS || savedAider.AIDER_MODEL;
-    env.AIDER_MODEL = opusModel;
-    env.AIDER_NO_GIT = '1'; // feedback only writes cookie-crumbs.md, no repo scan needed
-    if (savedAider.AZURE_API_KEY || savedAider.AZURE_AI_API_KEY) {
-      env.AZURE_API_KEY = savedAider.AZURE_API_KEY;
-      env.AZURE_API_BASE = savedAider.AZURE_API_BASE;
-      env.AZURE_API_VERSION = savedAider.AZURE_API_VERSION;
-      env.AZURE_AI_API_KEY = savedAider.AZURE_AI_API_KEY || savedAider.AZURE_API_KEY;
-      env.AZURE_AI_API_BASE = savedAider.AZURE_AI_API_BASE;
-    } else {
-      env.OPENAI_API_KEY = savedAider.OPENAI_API_KEY;
-    }
-    console.log(`🚀 Spawning Architect (Aider [OPUS] with model: ${opusModel})...`);
-
-  } else {
-    console.error(`❌ Invalid AI_PROVIDER: ${provider}`);
-    console.error('Valid options: bedrock, foundry, anthropic, subscription, aider');
+  let launch;
+  try {
+    launch = adapter.launch({ promptPath: CONFIG.paths.prompt, model: CONFIG.model, tier: 'OPUS', cwd: CONFIG.paths.projectRoot });
+  } catch (e) {
+    console.error(`❌ ${e.message}`);
     process.exit(1);
   }
-
+  console.log(`🚀 Spawning Architect (${launch.description})...`);
   console.log('');
 
   let outputBuffer = '';
+  const outputParser = adapter.createOutputParser();
 
-  const child = spawn(batFile, [CONFIG.paths.prompt], {
-    env,
+  const child = spawn(launch.command, launch.args, {
+    // feedback only writes cookie-crumbs.md, no repo scan needed (Aider)
+    env: { ...launch.env, AIDER_NO_GIT: '1' },
     cwd: CONFIG.paths.projectRoot,
     shell: true,
     stdio: ['ignore', 'pipe', 'pipe']
   });
 
   child.stdout.on('data', (data) => {
-    process.stdout.write(data);
-    outputBuffer += data.toString();
+    const str = outputParser.write(data);
+    process.stdout.write(str);
+    outputBuffer += str;
   });
 
   child.stderr.on('data', (data) => {
@@ -635,14 +578,18 @@ After all tasks complete, the human should verify:
     outputBuffer += data.toString();
   });
 
-  child.on('exit', (code) => {
+  child.on('close', (code) => {
+    const rest = outputParser.end();
+    process.stdout.write(rest);
+    outputBuffer += rest;
+
     if (code === 0) {
       const promptContent = fs.readFileSync(CONFIG.paths.prompt, 'utf8');
-      logArchitectCost(promptContent.length, outputBuffer.length);
+      logArchitectCost(promptContent.length, outputBuffer.length, outputParser.getUsage());
 
-      // For aider provider: extract markdown from stdout and write to cookie-crumbs.md
+      // For chat-style agents: extract markdown from stdout and write to cookie-crumbs.md
       // Aider runs with --no-git so it cannot write files directly
-      if (provider === 'aider') {
+      if (adapter.promptStyle === 'chat') {
         const lines = outputBuffer.split('\n');
         const mdLines = [];
         let capturing = false;
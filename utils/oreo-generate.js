@@ -55,7 +55,9 @@ const { spawn } = require('child_process');
 const fs = require('fs');
 const path = require('path');
 const readline = require('readline');
-const { getModelConfig, clearProviderEnv, getFoundryResource, hasFoundryConfig, getPaths, syncReusableUtils, COLORS, COST_FACTORS } = require('./oreo-config.js');
+const { getModelConfig, hasFoundryConfig, getPaths, syncReusableUtils, COLORS, COST_FACTORS } = require('./oreo-config.js');
+const { buildCostFields, formatCostFields } = require('./oreo-usage.js');
+const { getAgentAdapter } = require('./oreo-agents.js');
 
 const rl = readline.createInterface({
   input: process.stdin,
@@ -68,8 +70,6 @@ const rl = readline.createInterface({
 
 const CONFIG = {
   model: null,  // Will be set after loading env
-  maxOutputTokens: null,
-  thinkingBudget: null,
   paths: {
     ...getPaths(),                                               // Shared paths from user's project
     prompt: path.join(process.cwd(), 'oroboreo', '.generate-prompt.txt')
@@ -201,13 +201,13 @@ function archiveExistingTasks() {
   return archivePath;
 }
 
-function logOpusCost(promptSize, responseSize) {
-  const inputTokens = Math.ceil((promptSize / 4) * COST_FACTORS.ARCHITECT.TOOL_USE_FACTOR) + COST_FACTORS.ARCHITECT.BASELINE_CONTEXT_TOKENS;
-  const outputTokens = Math.ceil((responseSize / 4) * COST_FACTORS.ARCHITECT.OUTPUT_MULTIPLIER);
-
-  const inputCost = (inputTokens * CONFIG.model.inputCost) / 1000000;
-  const outputCost = (outputTokens * CONFIG.model.outputCost) / 1000000;
-  const totalCost = inputCost + outputCost;
+function logOpusCost(promptSize, responseSize, usage = null) {
+  const estimate = {
+    inputTokens: Math.ceil((promptSize / 4) * COST_FACTORS.ARCHITECT.TOOL_USE_FACTOR) + COST_FACTORS.ARCHITECT.BASELINE_CONTEXT_TOKENS,
+    outputTokens: Math.ceil((responseSize / 4) * COST_FACTORS.ARCHITECT.OUTPUT_MULTIPLIER)
+  };
+  const costFields = buildCostFields(usage, CONFIG.model, estimate);
+  const totalCost = costFields.totalCostUSD;
 
   let costLog = { session: { totalCost: 0 }, tasks: [] };
   if (fs.existsSync(CONFIG.paths.costs)) {
@@ -223,16 +223,14 @@ function logOpusCost(promptSize, responseSize) {
     model: CONFIG.model.name,
     modelId: CONFIG.model.id,
     provider: (process.env.AI_PROVIDER || 'subscription').toLowerCase(),
-    inputTokens,
-    outputTokens,
-    totalCostUSD: totalCost
+    ...costFields
   });
 
   costLog.session.totalCost = (costLog.session.totalCost || 0) + totalCost;
   fs.writeFileSync(CONFIG.paths.costs, JSON.stringify(costLog, null, 2));
 
   log(`\nGenerate Cost: $${totalCost.toFixed(4)}`, 'magenta');
-  log(`(Estimated: ${inputTokens} input, ${outputTokens} output tokens)`, 'cyan');
+  log(`(${formatCostFields(costFields)})`, 'cyan');
 }
 
 // ============================================================================
@@ -290,10 +288,11 @@ Create a detailed task list and write it to \`oroboreo/cookie-crumbs.md\`.
    - [ ] **Task N: Title** [COMPLEXITY]
      - **Objective:** What needs to be done
      - **Files:** Which files to modify
+     - **Depends:** Task 1, Task 2 (omit this line if the task has no dependencies)
      - **Details:**
        - Step 1
        - Step 2
-     - **Verification:** How to verify it works (MUST use scripts, NOT manual browser testing)
+     - **Verification:** How to verify it works (MUST use scripts, NOT manual browser testing). Put each command in \`backticks\` - oro-run executes them and retries the task if any fail
    \`\`\`
 
 4. **Complexity Tags**
@@ -301,6 +300,11 @@ Create a detailed task list and write it to \`oroboreo/cookie-crumbs.md\`.
    - **[COMPLEX]** = Requires thinking (Sonnet $3/$15) - API, database, architecture
    - **[CRITICAL]** = Mission-critical (Sonnet $3/$15) - Security, migrations
 
+   **Dependencies**
+   - Add a \`**Depends:**\` line when a task needs the output of earlier tasks (e.g. \`**Depends:** Task 2, Task 5\`)
+   - Only reference task numbers that exist, and never create cycles
+   - Tasks without dependencies can run as soon as they are reached, so don't rely on ordering alone
+
 5. **Test Organization**
    - **Check \`oroboreo/tests/reusable/\` first** for existing verification scripts
    - **Reusable tests** (\`oroboreo/tests/reusable/\`): Generic, no hard-coded IDs, works across sessions
@@ -411,10 +415,11 @@ Start your response directly with the **Session** line.
 - [ ] **Task 1: <Title>** [SIMPLE|COMPLEX|CRITICAL]
   - **Objective:** What needs to be accomplished
   - **Files:** List of files to modify
+  - **Depends:** Task N (omit this line if the task has no dependencies)
   - **Details:**
     - Step 1
     - Step 2
-  - **Verification:** Scriptable verification command (NEVER "manually check")
+  - **Verification:** Scriptable verification command in \`backticks\` (NEVER "manually check")
 
 (Repeat for 6-12 tasks total, ordered logically)
 
@@ -434,6 +439,10 @@ After all tasks complete, verify:
 - **[COMPLEX]** = multi-file, architecture decision, or DB change (smart model)
 - **[CRITICAL]** = security, data migration, or breaking change (smart model)
 
+## Dependency Rules
+- Add \`**Depends:** Task 2, Task 5\` when a task needs the output of earlier tasks
+- Only reference existing task numbers and never create cycles
+
 ## Verification Rules
 - MUST be a shell/node command, never "open browser and check"
 - For UI tasks use: \`node oroboreo/tests/reusable/verify-ui.js --url URL --wait-for-server --selector SELECTOR\`
@@ -466,8 +475,6 @@ async function main() {
   // Set up provider-aware models
   const MODELS = getModelConfig();
   CONFIG.model = MODELS.OPUS;
-  CONFIG.maxOutputTokens = String(MODELS.OPUS.maxOutput);
-  CONFIG.thinkingBudget = String(MODELS.OPUS.maxThinking);
 
   // Configure provider-specific settings
   const provider = (process.env.AI_PROVIDER || 'subscription').toLowerCase();
@@ -518,6 +525,15 @@ async function main() {
     process.exit(1);
   }
 
+  // Agent adapter (oreo.config.json "agent", defaults to Claude Code / Aider by provider)
+  let adapter;
+  try {
+    adapter = getAgentAdapter();
+  } catch (e) {
+    log(e.message, 'yellow');
+    process.exit(1);
+  }
+
   // Get feature description
   // Check for --auto, --yes, or -y flag
   const args = process.argv.slice(2);
@@ -579,118 +595,36 @@ async function main() {
   log('\nSpawning Opus 4.6 to generate tasks...', 'cyan');
   log('(This may take 30-60 seconds)\n', 'yellow');
 
-  const prompt = provider === 'aider'
+  // Chat-style agents (Aider) get a prompt that asks for the markdown on stdout
+  const prompt = adapter.promptStyle === 'chat'
     ? buildAiderGeneratePrompt(feature, context)
     : buildGeneratePrompt(feature, context);
   fs.writeFileSync(CONFIG.paths.prompt, prompt);
 
-  // Use .sh on Linux/macOS, .bat on Windows
-  const isWindows = process.platform === 'win32';
-  let runScript;
-  if (provider === 'aider') {
-    runScript = 'run-with-aider.sh';
-  } else {
-    runScript = isWindows ? 'run-with-prompt.bat' : 'run-with-prompt.sh';
-  }
-  const batFile = path.join(__dirname, runScript);
-
-  // Save aider credentials BEFORE clearProviderEnv() deletes them
-  const savedAider = {
-    AIDER_MODEL_OPUS: process.env.AIDER_MODEL_OPUS,
-    AIDER_MODEL: process.env.AIDER_MODEL,
-    AZURE_API_KEY: process.env.AZURE_API_KEY,
-    AZURE_API_BASE: process.env.AZURE_API_BASE,
-    AZURE_API_VERSION: process.env.AZURE_API_VERSION,
-    AZURE_AI_API_KEY: process.env.AZURE_AI_API_KEY,
-    AZURE_AI_API_BASE: process.env.AZURE_AI_API_BASE,
-    OPENAI_API_KEY: process.env.OPENAI_API_KEY,
-  };
-
-  // Clear ALL provider environment variables first
-  clearProviderEnv();
-
-  const env = {
-    ...process.env,  // Start fresh after clearProviderEnv()
-    CLAUDE_CODE_MAX_OUTPUT_TOKENS: CONFIG.maxOutputTokens,
-    CLAUDE_CODE_MAX_THINKING_TOKENS: CONFIG.thinkingBudget,
-    FORCE_COLOR: '1'
-  };
-
-  // Provider-specific configuration
-  if (provider === 'bedrock') {
-    // AWS Bedrock - Set Bedrock-specific vars
-    env.ANTHROPIC_MODEL = CONFIG.model.id;
-    env.CLAUDE_CODE_USE_BEDROCK = '1';
-    env.AWS_REGION = process.env.AWS_REGION || 'us-east-1';
-    env.AWS_ACCESS_KEY_ID = process.env.AWS_ACCESS_KEY_ID;
-    env.AWS_SECRET_ACCESS_KEY = process.env.AWS_SECRET_ACCESS_KEY;
-    log('Spawning via Bedrock...\n');
-
-  } else if (provider === 'foundry') {
-    // Microsoft Foundry - Set Foundry-specific vars
-    // oreo-generate always uses Opus
-    const foundryConfig = getFoundryResource('OPUS');
-
-    env.ANTHROPIC_MODEL = CONFIG.model.id;
-    env.CLAUDE_CODE_USE_FOUNDRY = '1';
-    env.ANTHROPIC_FOUNDRY_API_KEY = process.env.ANTHROPIC_FOUNDRY_API_KEY;
-
-    // Use model-specific resource/URL (with fallback to single resource)
-    if (foundryConfig.resource) {
-      env.ANTHROPIC_FOUNDRY_RESOURCE = foundryConfig.resource;
-    }
-    if (foundryConfig.baseUrl) {
-      env.ANTHROPIC_FOUNDRY_BASE_URL = foundryConfig.baseUrl;
-    }
-    log(`Spawning via Microsoft Foundry (resource: ${foundryConfig.resource || foundryConfig.baseUrl})...\n`);
-
-  } else if (provider === 'anthropic') {
-    // Anthropic API - Set ONLY API key (no ANTHROPIC_MODEL)
-    env.ANTHROPIC_API_KEY = process.env.ANTHROPIC_API_KEY;
-    log('Spawning via Anthropic API...\n');
-
-  } else if (provider === 'subscription') {
-    // Claude Code Subscription - Set NO auth variables
-    // Claude Code will use logged-in claude.ai account
-    log('Spawning via Claude Subscription...\n');
-
-  } else if (provider === 'aider') {
-    // Aider - pass Azure/OpenAI credentials and OPUS model
-    const opusModel = savedAider.AIDER_MODEL_OPUS || savedAider.AIDER_MODEL;
-    env.AIDER_MODEL = opusModel;
-    env.AIDER_NO_GIT = '1'; // generate only writes cookie-crumbs.md, no repo scan needed
-    if (savedAider.AZURE_API_KEY || savedAider.AZURE_AI_API_KEY) {
-      env.AZURE_API_KEY = savedAider.AZURE_API_KEY;
-      env.AZURE_API_BASE = savedAider.AZURE_API_BASE;
-      env.AZURE_API_VERSION = savedAider.AZURE_API_VERSION;
-      env.AZURE_AI_API_KEY = savedAider.AZURE_AI_API_KEY || savedAider.AZURE_API_KEY;
-      env.AZURE_AI_API_BASE = savedAider.AZURE_AI_API_BASE;
-    } else {
-      env.OPENAI_API_KEY = savedAider.OPENAI_API_KEY;
-    }
-    log(`Spawning Aider [OPUS] with model: ${opusModel}...\n`);
-
-  } else {
-    log(`Invalid AI_PROVIDER: ${provider}`, 'yellow');
-    log('Valid options: bedrock, foundry, anthropic, subscription, aider', 'yellow');
+  let launch;
+  try {
+    launch = adapter.launch({ promptPath: CONFIG.paths.prompt, model: CONFIG.model, tier: 'OPUS', cwd: CONFIG.paths.projectRoot });
+  } catch (e) {
+    log(e.message, 'yellow');
     process.exit(1);
   }
+  log(`Spawning via ${launch.description}...\n`);
 
   let outputBuffer = '';
+  const outputParser = adapter.createOutputParser();
 
-  // For aider: prompt-only, no --file args. Oroboreo captures stdout and writes cookie-crumbs.md.
-  const spawnArgs = [CONFIG.paths.prompt];
-
-  const child = spawn(batFile, spawnArgs, {
-    env,
+  const child = spawn(launch.command, launch.args, {
+    // generate only writes cookie-crumbs.md, no repo scan needed (Aider)
+    env: { ...launch.env, AIDER_NO_GIT: '1' },
     cwd: CONFIG.paths.projectRoot,
     shell: true,
     stdio: ['ignore', 'pipe', 'pipe']
   });
 
   child.stdout.on('data', (data) => {
-    process.stdout.write(data);
-    outputBuffer += data.toString();
+    const str = outputParser.write(data);
+    process.stdout.write(str);
+    outputBuffer += str;
   });
 
   child.stderr.on('data', (data) => {
@@ -698,16 +632,19 @@ async function main() {
     outputBuffer += data.toString();
   });
 
-  child.on('exit', (code) => {
+  child.on('close', (code) => {
     rl.close();
+    const rest = outputParser.end();
+    process.stdout.write(rest);
+    outputBuffer += rest;
 
     if (code === 0) {
       const promptContent = fs.readFileSync(CONFIG.paths.prompt, 'utf8');
-      logOpusCost(promptContent.length, outputBuffer.length);
+      logOpusCost(promptContent.length, outputBuffer.length, outputParser.getUsage());
 
-      // For aider provider: extract markdown from stdout and write to cookie-crumbs.md
+      // For chat-style agents: extract markdown from stdout and write to cookie-crumbs.md
       // Aider runs with --no-git so it cannot write files directly
-      if (provider === 'aider') {
+      if (adapter.promptStyle === 'chat') {
         // Strip aider header lines (Warning:, Tokens:, Cost: etc) — keep markdown content
         const lines = outputBuffer.split('\n');
         const mdLines = [];
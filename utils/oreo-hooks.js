@@ -0,0 +1,295 @@
+/**
+ * OREO-HOOKS - Lifecycle Hooks for oro-run
+ *
+ * Hooks let a project run its own code at fixed points of the loop: start a
+ * dev server before the session, post to Slack when a task fails, run a
+ * custom gate after every task. They are declared under "hooks" in
+ * oroboreo/oreo.config.json, as shell commands or JS modules:
+ *
+ *   {
+ *     "hooks": {
+ *       "beforeSession": "docker compose up -d db",
+ *       "afterTask": [
+ *         "npm run lint",
+ *         { "module": "scripts/oreo-gate.js", "timeoutMs": 120000 }
+ *       ],
+ *       "onTaskFail": { "command": "./notify.sh", "continueOnError": true },
+ *       "afterSession": "docker compose down"
+ *     }
+ *   }
+ *
+ *   beforeSession   Once, after the session branch is set up. A failure stops
+ *                   oro-run before any task runs.
+ *   beforeTask      Before each attempt, in the attempt's working directory
+ *                   (the worktree in --parallel mode). A failure fails the attempt.
+ *   afterTask       After an attempt completed its task and passed
+ *                   verification, before the commit. A failure unchecks the
+ *                   task and fails the attempt.
+ *   onTaskFail      After each failed attempt ("exhausted": true on the last
+ *                   one). Failures are only logged.
+ *   afterSession    When the session ends (complete, quarantined, stopped).
+ *                   Failures are only logged.
+ *
+ * Hook entries:
+ *   "command"            Shell command, run in the attempt's working directory.
+ *                        Gets the payload as JSON on stdin plus OREO_* env vars;
+ *                        a non-zero exit is a failure. The hook is done when the
+ *                        command exits - processes it starts in the background
+ *                        (`npm run dev &`) keep running.
+ *   { "command": ... }   Same, with options
+ *   { "module": ... }    JS file (relative to the project root) exporting
+ *                        `async function (payload)`, or one function per hook
+ *                        name. Throwing (or rejecting) is a failure.
+ *
+ *   timeoutMs        Kill the hook after this long (default 300000), with
+ *                    SIGKILL if it is still running 5s after SIGTERM
+ *   continueOnError  Log a failure as a warning instead of failing the attempt
+ *
+ * Payload:
+ *   {
+ *     "hook": "afterTask",
+ *     "session": { "branch": "...", "provider": "...", "agent": "...", "costUSD": 1.23 },
+ *     "task": { "id": 3, "title": "...", "details": "...", "dependsOn": [1], ... },
+ *     "model": { "name": "Claude Sonnet 4.5", "id": "...", "tier": "SONNET" },
+ *     "attempt": 1, "maxAttempts": 5,
+ *     "cost": { "attemptUSD": 0.12, "sessionUSD": 1.23 },
+ *     "exitStatus": { "outcome": "completed", "error": null },
+ *     "exhausted": false
+ *   }
+ *
+ * Session hooks get task/model/attempt as null; afterSession adds "status"
+ * (complete, quarantined, drained, budget, ...) and "exitCode".
+ *
+ * Env vars for commands: OREO_HOOK, OREO_TASK_ID, OREO_TASK_TITLE, OREO_MODEL,
+ * OREO_MODEL_TIER, OREO_ATTEMPT, OREO_COST_USD, OREO_SESSION_COST_USD,
+ * OREO_OUTCOME, OREO_ERROR.
+ *
+ * Usage:
+ *   const { loadHooks, runHook } = require('./oreo-hooks.js');
+ *   const hooks = loadHooks(loadProjectConfig(), projectRoot);
+ *   const { ok, failures } = await runHook(hooks, 'afterTask', payload, { cwd });
+ *
+ * @version 1.0.0
+ */
+
+const path = require('path');
+const { spawn } = require('child_process');
+
+const HOOK_NAMES = ['beforeSession', 'beforeTask', 'afterTask', 'onTaskFail', 'afterSession'];
+
+const DEFAULT_HOOK_TIMEOUT_MS = 300000;  // 5 minutes, same as a verification command
+const HOOK_OUTPUT_LIMIT = 4000;          // Characters of hook output kept for logs and retry prompts
+const HOOK_KILL_GRACE_MS = 5000;         // Time between SIGTERM and SIGKILL for a timed-out hook
+const HOOK_OUTPUT_DRAIN_MS = 200;        // Wait for trailing output after the command exits
+
+// ============================================================================
+// CONFIG
+// ============================================================================
+
+function normalizeHookEntry(name, entry, projectRoot) {
+  const where = `hooks.${name}`;
+  if (typeof entry === 'string') entry = { command: entry };
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+    throw new Error(`Invalid ${where} entry - use a command string, { "command": ... } or { "module": ... }`);
+  }
+  if (!entry.command === !entry.module) {
+    throw new Error(`Invalid ${where} entry - set exactly one of "command" or "module"`);
+  }
+  if (entry.timeoutMs !== undefined && !(entry.timeoutMs > 0)) {
+    throw new Error(`Invalid ${where} timeoutMs "${entry.timeoutMs}" - use a positive number of milliseconds`);
+  }
+
+  return {
+    hook: name,
+    command: entry.command || null,
+    module: entry.module ? path.resolve(projectRoot, entry.module) : null,
+    label: entry.command || entry.module,
+    timeoutMs: entry.timeoutMs || DEFAULT_HOOK_TIMEOUT_MS,
+    continueOnError: !!entry.continueOnError
+  };
+}
+
+/**
+ * Read "hooks" from the project config.
+ * @param {Object} projectConfig - Parsed oroboreo/oreo.config.json
+ * @param {string} projectRoot - Base for module paths
+ * @returns {Object} Hook name -> list of entries (only hooks that are set)
+ * @throws {Error} On unknown hook names or malformed entries
+ */
+function loadHooks(projectConfig, projectRoot) {
+  const declared = (projectConfig && projectConfig.hooks) || {};
+  if (typeof declared !== 'object' || Array.isArray(declared)) {
+    throw new Error('Invalid "hooks" in oroboreo/oreo.config.json - expected an object keyed by hook name');
+  }
+
+  const hooks = {};
+  for (const [name, value] of Object.entries(declared)) {
+    if (!HOOK_NAMES.includes(name)) {
+      throw new Error(`Unknown hook "${name}" in oroboreo/oreo.config.json - use one of: ${HOOK_NAMES.join(', ')}`);
+    }
+    const entries = [].concat(value).map(entry => normalizeHookEntry(name, entry, projectRoot));
+    if (entries.length > 0) hooks[name] = entries;
+  }
+  return hooks;
+}
+
+// ============================================================================
+// EXECUTION
+// ============================================================================
+
+function hookEnv(payload) {
+  const task = payload.task || {};
+  const model = payload.model || {};
+  const exitStatus = payload.exitStatus || {};
+  const cost = payload.cost || {};
+  const vars = {
+    OREO_HOOK: payload.hook,
+    OREO_TASK_ID: task.id,
+    OREO_TASK_TITLE: task.title,
+    OREO_MODEL: model.name,
+    OREO_MODEL_TIER: model.tier,
+    OREO_ATTEMPT: payload.attempt,
+    OREO_COST_USD: cost.attemptUSD,
+    OREO_SESSION_COST_USD: cost.sessionUSD,
+    OREO_OUTCOME: exitStatus.outcome,
+    OREO_ERROR: exitStatus.error
+  };
+
+  const env = { ...process.env };
+  for (const [key, value] of Object.entries(vars)) {
+    if (value !== undefined && value !== null) env[key] = String(value);
+  }
+  return env;
+}
+
+function signalHookProcess(child, signal) {
+  try {
+    // Negative pid signals the whole process group (detached children lead their own group)
+    process.kill(process.platform === 'win32' ? child.pid : -child.pid, signal);
+  } catch (e) {
+    try { child.kill(signal); } catch (e2) {}
+  }
+}
+
+function runHookCommand(entry, payload, cwd) {
+  return new Promise((resolve) => {
+    let output = '';
+    let timedOut = false;
+    let settled = false;
+    let killTimer = null;
+    let drainTimer = null;
+    const finish = (result) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      clearTimeout(killTimer);
+      clearTimeout(drainTimer);
+      // Background processes started by the hook may still hold the pipes
+      child.stdout.destroy();
+      child.stderr.destroy();
+      resolve(result);
+    };
+    const timeoutResult = () => ({ error: `timed out after ${entry.timeoutMs / 1000}s`, output });
+    const child = spawn(entry.command, {
+      cwd,
+      shell: true,
+      detached: process.platform !== 'win32',
+      env: hookEnv(payload),
+      stdio: ['pipe', 'pipe', 'pipe']
+    });
+
+    const append = (data) => {
+      output = (output + data.toString()).slice(-HOOK_OUTPUT_LIMIT);
+    };
+    child.stdout.on('data', append);
+    child.stderr.on('data', append);
+
+    // Hooks that ignore stdin close it early - that is not an error
+    child.stdin.on('error', () => {});
+    child.stdin.end(JSON.stringify(payload));
+
+    const timer = setTimeout(() => {
+      timedOut = true;
+      signalHookProcess(child, 'SIGTERM');
+      // Hooks can trap SIGTERM - don't let one hold up the session
+      killTimer = setTimeout(() => {
+        signalHookProcess(child, 'SIGKILL');
+        finish(timeoutResult());
+      }, HOOK_KILL_GRACE_MS);
+    }, entry.timeoutMs);
+
+    const exited = (code) => {
+      if (timedOut) finish(timeoutResult());
+      else finish({ error: code === 0 ? null : `exit code ${code}`, output });
+    };
+
+    child.on('error', (err) => {
+      finish({ error: err.message, output });
+    });
+    // 'close' waits for the pipes, which a backgrounded `cmd &` keeps open -
+    // so once the command itself exits, only give its output a moment to drain
+    child.on('exit', (code) => {
+      drainTimer = setTimeout(() => exited(code), HOOK_OUTPUT_DRAIN_MS);
+    });
+    child.on('close', exited);
+  });
+}
+
+async function runHookModule(entry, payload) {
+  let timer;
+  try {
+    const exported = require(entry.module);
+    const fn = typeof exported === 'function' ? exported : exported && exported[entry.hook];
+    if (typeof fn !== 'function') {
+      return { error: `does not export a function or a "${entry.hook}" function`, output: '' };
+    }
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error(`timed out after ${entry.timeoutMs / 1000}s`)), entry.timeoutMs);
+    });
+    await Promise.race([Promise.resolve(fn(payload)), timeout]);
+    return { error: null, output: '' };
+  } catch (e) {
+    return { error: e.message, output: '' };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Run every entry of one hook, in order. A failing entry does not stop the
+ * entries after it.
+ * @param {Object} hooks - From loadHooks()
+ * @param {string} name - Hook name
+ * @param {Object} payload - Passed to the hook (see header); "hook" is filled in
+ * @param {Object} options - { cwd } working directory for commands
+ * @returns {Promise<{ ok: boolean, ran: number, failures: Array, warnings: Array }>}
+ *   failures/warnings are { label, error, output }; continueOnError entries
+ *   land in warnings and do not affect ok
+ */
+async function runHook(hooks, name, payload, { cwd }) {
+  const entries = (hooks && hooks[name]) || [];
+  const result = { ok: true, ran: entries.length, failures: [], warnings: [] };
+  const fullPayload = { hook: name, ...payload };
+
+  for (const entry of entries) {
+    const { error, output } = entry.command
+      ? await runHookCommand(entry, fullPayload, cwd)
+      : await runHookModule(entry, fullPayload);
+    if (!error) continue;
+
+    const failure = { label: entry.label, error, output: output.trim() };
+    if (entry.continueOnError) {
+      result.warnings.push(failure);
+    } else {
+      result.failures.push(failure);
+      result.ok = false;
+    }
+  }
+  return result;
+}
+
+module.exports = {
+  HOOK_NAMES,
+  loadHooks,
+  runHook
+};
@@ -39,7 +39,9 @@ const { spawn } = require('child_process');
 const fs = require('fs');
 const path = require('path');
 const readline = require('readline');
-const { getModelConfig, clearProviderEnv, getPaths, syncReusableUtils, COLORS, COST_FACTORS } = require('./oreo-config.js');
+const { getModelConfig, getPaths, syncReusableUtils, COLORS, COST_FACTORS } = require('./oreo-config.js');
+const { buildCostFields, formatCostFields } = require('./oreo-usage.js');
+const { getAgentAdapter } = require('./oreo-agents.js');
 
 const rl = readline.createInterface({
   input: process.stdin,
@@ -53,8 +55,6 @@ const rl = readline.createInterface({
 const CONFIG = {
   // Opus Model (best reasoning for project analysis) - will be set after loading env
   model: null,
-  maxOutputTokens: null,
-  thinkingBudget: null,
   paths: {
     ...getPaths(),                                               // Shared paths from user's project
     prompt: path.join(process.cwd(), 'oroboreo', '.init-prompt.txt')
@@ -139,13 +139,13 @@ region = ${region}
   log('AWS credentials file created successfully', 'green');
 }
 
-function logInitCost(promptSize, responseSize) {
-  const inputTokens = Math.ceil((promptSize / 4) * COST_FACTORS.INIT.TOOL_USE_FACTOR) + COST_FACTORS.INIT.BASELINE_CONTEXT_TOKENS;
-  const outputTokens = Math.ceil((responseSize / 4) * COST_FACTORS.INIT.OUTPUT_MULTIPLIER);
-
-  const inputCost = (inputTokens * CONFIG.model.inputCost) / 1000000;
-  const outputCost = (outputTokens * CONFIG.model.outputCost) / 1000000;
-  const totalCost = inputCost + outputCost;
+function logInitCost(promptSize, responseSize, usage = null) {
+  const estimate = {
+    inputTokens: Math.ceil((promptSize / 4) * COST_FACTORS.INIT.TOOL_USE_FACTOR) + COST_FACTORS.INIT.BASELINE_CONTEXT_TOKENS,
+    outputTokens: Math.ceil((responseSize / 4) * COST_FACTORS.INIT.OUTPUT_MULTIPLIER)
+  };
+  const costFields = buildCostFields(usage, CONFIG.model, estimate);
+  const totalCost = costFields.totalCostUSD;
 
   let costLog = { session: { startTime: new Date().toISOString(), totalCost: 0 }, tasks: [] };
   if (fs.existsSync(CONFIG.paths.costs)) {
@@ -161,16 +161,14 @@ function logInitCost(promptSize, responseSize) {
     model: CONFIG.model.name,
     modelId: CONFIG.model.id,
     provider: (process.env.AI_PROVIDER || 'bedrock').toLowerCase(),
-    inputTokens,
-    outputTokens,
-    totalCostUSD: totalCost
+    ...costFields
   });
 
   costLog.session.totalCost = (costLog.session.totalCost || 0) + totalCost;
   fs.writeFileSync(CONFIG.paths.costs, JSON.stringify(costLog, null, 2));
 
   log(`\nInit Cost: $${totalCost.toFixed(4)}`, 'magenta');
-  log(`(Estimated: ${inputTokens} input, ${outputTokens} output tokens)`, 'cyan');
+  log(`(${formatCostFields(costFields)})`, 'cyan');
 }
 
 function buildInitPrompt(projectRoot, projectContext, fileStructure) {
@@ -313,62 +311,35 @@ async function runAIAnalysis(projectRoot, projectContext, fileStructure) {
   const prompt = buildInitPrompt(projectRoot, projectContext, fileStructure);
   fs.writeFileSync(CONFIG.paths.prompt, prompt);
 
-  // Use .sh on Linux/macOS, .bat on Windows
-  const isWindows = process.platform === 'win32';
-  const runScript = isWindows ? 'run-with-prompt.bat' : 'run-with-prompt.sh';
-  const batFile = path.join(__dirname, runScript);
-
-  // Clear ALL provider environment variables first
-  clearProviderEnv();
-
-  const provider = (process.env.AI_PROVIDER || 'subscription').toLowerCase();
-
-  const env = {
-    ...process.env,  // Start fresh after clearProviderEnv()
-    CLAUDE_CODE_MAX_OUTPUT_TOKENS: CONFIG.maxOutputTokens,
-    CLAUDE_CODE_MAX_THINKING_TOKENS: CONFIG.thinkingBudget,
-    FORCE_COLOR: '1'
-  };
-
-  // Provider-specific configuration
-  if (provider === 'bedrock') {
-    // AWS Bedrock - Set Bedrock-specific vars
-    env.ANTHROPIC_MODEL = CONFIG.model.id;
-    env.CLAUDE_CODE_USE_BEDROCK = '1';
-    env.AWS_REGION = process.env.AWS_REGION || 'us-east-1';
-    env.AWS_ACCESS_KEY_ID = process.env.AWS_ACCESS_KEY_ID;
-    env.AWS_SECRET_ACCESS_KEY = process.env.AWS_SECRET_ACCESS_KEY;
-    console.log(`${COLORS.cyan}🚀 Spawning via Bedrock: ${CONFIG.model.id}...${COLORS.reset}`);
-
-  } else if (provider === 'anthropic') {
-    // Anthropic API - Set ONLY API key (no ANTHROPIC_MODEL)
-    env.ANTHROPIC_API_KEY = process.env.ANTHROPIC_API_KEY;
-    console.log(`${COLORS.cyan}🚀 Spawning via Anthropic API: ${CONFIG.model.id}...${COLORS.reset}`);
-
-  } else if (provider === 'subscription') {
-    // Claude Code Subscription - Set NO auth variables
-    // Claude Code will use logged-in claude.ai account
-    console.log(`${COLORS.cyan}🚀 Spawning via Claude Subscription: ${CONFIG.model.id}...${COLORS.reset}`);
-
-  } else {
-    console.error(`${COLORS.yellow}❌ Invalid AI_PROVIDER: ${provider}${COLORS.reset}`);
-    console.error('Valid options: bedrock, anthropic, subscription');
-    process.exit(1);
-  }
+  // Agent adapter (oreo.config.json "agent", defaults to Claude Code by provider).
+  // Adapters that take files get creme-filling.md so they can write it
+  const adapter = getAgentAdapter();
+  const launch = adapter.launch({
+    promptPath: CONFIG.paths.prompt,
+    model: CONFIG.model,
+    tier: 'OPUS',
+    files: adapter.usesFiles ? [path.join('oroboreo', 'creme-filling.md')] : [],
+    cwd: CONFIG.paths.projectRoot
+  });
+  console.log(`${COLORS.cyan}🚀 Spawning via ${launch.description}...${COLORS.reset}`);
 
   return new Promise((resolve, reject) => {
     let outputBuffer = '';
 
-    const child = spawn(batFile, [CONFIG.paths.prompt], {
-      env,
+    // Renders the agent's output (Claude Code's stream-json events) and keeps its usage
+    const outputParser = adapter.createOutputParser();
+
+    const child = spawn(launch.command, launch.args, {
+      env: launch.env,
       cwd: CONFIG.paths.projectRoot,
       shell: true,
       stdio: ['ignore', 'pipe', 'pipe']
     });
 
     child.stdout.on('data', (data) => {
-      process.stdout.write(data);
-      outputBuffer += data.toString();
+      const str = outputParser.write(data);
+      process.stdout.write(str);
+      outputBuffer += str;
     });
 
     child.stderr.on('data', (data) => {
@@ -376,10 +347,14 @@ async function runAIAnalysis(projectRoot, projectContext, fileStructure) {
       outputBuffer += data.toString();
     });
 
-    child.on('exit', (code) => {
+    child.on('close', (code) => {
+      const rest = outputParser.end();
+      process.stdout.write(rest);
+      outputBuffer += rest;
+
       if (code === 0) {
         const promptContent = fs.readFileSync(CONFIG.paths.prompt, 'utf8');
-        logInitCost(promptContent.length, outputBuffer.length);
+        logInitCost(promptContent.length, outputBuffer.length, outputParser.getUsage());
         resolve(true);
       } else {
         reject(new Error(`AI analysis exited with code ${code}`));
@@ -430,8 +405,6 @@ async function main() {
   // Set up provider-aware models
   const MODELS = getModelConfig();
   CONFIG.model = MODELS.OPUS;
-  CONFIG.maxOutputTokens = String(MODELS.OPUS.maxOutput);
-  CONFIG.thinkingBudget = String(MODELS.OPUS.maxThinking);
 
   // Configure provider-specific settings
   const provider = (process.env.AI_PROVIDER || 'bedrock').toLowerCase();
@@ -769,6 +742,7 @@ TASK FORMAT:
   - [ ] **Task N: Title** [SIMPLE|COMPLEX|CRITICAL]
     - **Objective:** What needs to be done
     - **Files:** Which files to modify
+    - **Depends:** Task 1, Task 2 (optional - omit if none)
     - **Verification:** How to verify it works
 
 ============================================================================
@@ -59,7 +59,9 @@ const { spawn } = require('child_process');
 const fs = require('fs');
 const path = require('path');
 const readline = require('readline');
-const { getModelConfig, clearProviderEnv, getPaths, COLORS, COST_FACTORS } = require('./oreo-config.js');
+const { getModelConfig, getPaths, COLORS, COST_FACTORS } = require('./oreo-config.js');
+const { buildCostFields, formatCostFields } = require('./oreo-usage.js');
+const { getAgentAdapter } = require('./oreo-agents.js');
 
 // ============================================================================
 // CONFIGURATION
@@ -67,7 +69,6 @@ const { getModelConfig, clearProviderEnv, getPaths, COLORS, COST_FACTORS } = req
 
 const CONFIG = {
   model: null,  // Will be set after loading env (Sonnet for pattern extraction)
-  maxOutputTokens: null,
   paths: {
     ...getPaths(__dirname),
     prompt: path.join(__dirname, '.learn-prompt.txt')
@@ -438,13 +439,13 @@ function appendToSharedMemory(patterns) {
 // COST TRACKING
 // ============================================================================
 
-function logLearnCost(promptSize, responseSize) {
-  const inputTokens = Math.ceil((promptSize / 4) * COST_FACTORS.WORKER.TOOL_USE_FACTOR);
-  const outputTokens = Math.ceil((responseSize / 4) * COST_FACTORS.WORKER.OUTPUT_MULTIPLIER);
-
-  const inputCost = (inputTokens * CONFIG.model.inputCost) / 1000000;
-  const outputCost = (outputTokens * CONFIG.model.outputCost) / 1000000;
-  const totalCost = inputCost + outputCost;
+function logLearnCost(promptSize, responseSize, usage = null) {
+  const estimate = {
+    inputTokens: Math.ceil((promptSize / 4) * COST_FACTORS.WORKER.TOOL_USE_FACTOR),
+    outputTokens: Math.ceil((responseSize / 4) * COST_FACTORS.WORKER.OUTPUT_MULTIPLIER)
+  };
+  const costFields = buildCostFields(usage, CONFIG.model, estimate);
+  const totalCost = costFields.totalCostUSD;
 
   let costLog = { session: { totalCost: 0 }, tasks: [] };
   if (fs.existsSync(CONFIG.paths.costs)) {
@@ -460,16 +461,14 @@ function logLearnCost(promptSize, responseSize) {
     model: CONFIG.model.name,
     modelId: CONFIG.model.id,
     provider: (process.env.AI_PROVIDER || 'subscription').toLowerCase(),
-    inputTokens,
-    outputTokens,
-    totalCostUSD: totalCost
+    ...costFields
   });
 
   costLog.session.totalCost = (costLog.session.totalCost || 0) + totalCost;
   fs.writeFileSync(CONFIG.paths.costs, JSON.stringify(costLog, null, 2));
 
   log(`\nLearn Cost: $${totalCost.toFixed(4)}`, 'magenta');
-  log(`(Estimated: ${inputTokens} input, ${outputTokens} output tokens)`, 'cyan');
+  log(`(${formatCostFields(costFields)})`, 'cyan');
 }
 
 // ============================================================================
@@ -499,7 +498,6 @@ async function main() {
   // Set up provider-aware models - use Sonnet for pattern extraction
   const MODELS = getModelConfig();
   CONFIG.model = MODELS.SONNET;
-  CONFIG.maxOutputTokens = String(MODELS.SONNET.maxOutput);
 
   // Configure provider-specific settings
   const provider = (process.env.AI_PROVIDER || 'subscription').toLowerCase();
@@ -534,6 +532,15 @@ async function main() {
     process.exit(1);
   }
 
+  // Agent adapter (oreo.config.json "agent", defaults to Claude Code by provider)
+  let adapter;
+  try {
+    adapter = getAgentAdapter();
+  } catch (e) {
+    log(e.message, 'yellow');
+    process.exit(1);
+  }
+
   // Step 1: Scan archives
   log('Scanning archives...', 'cyan');
   const archives = getRecentArchives(options.sessions);
@@ -568,64 +575,42 @@ async function main() {
   const prompt = buildPatternPrompt(archiveContents, existingSharedMemory);
   fs.writeFileSync(CONFIG.paths.prompt, prompt);
 
-  // Spawn Claude Code
-  const scriptExt = process.platform === 'win32' ? '.bat' : '.sh';
-  const batFile = path.join(__dirname, `run-with-prompt${scriptExt}`);
-
-  // Clear provider env and set up fresh
-  clearProviderEnv();
-
-  const env = {
-    ...process.env,
-    CLAUDE_CODE_MAX_OUTPUT_TOKENS: CONFIG.maxOutputTokens,
-    FORCE_COLOR: '1'
-  };
-
-  // Provider-specific configuration
-  if (provider === 'bedrock') {
-    env.ANTHROPIC_MODEL = CONFIG.model.id;
-    env.CLAUDE_CODE_USE_BEDROCK = '1';
-    env.AWS_REGION = process.env.AWS_REGION || 'us-east-1';
-    env.AWS_ACCESS_KEY_ID = process.env.AWS_ACCESS_KEY_ID;
-    env.AWS_SECRET_ACCESS_KEY = process.env.AWS_SECRET_ACCESS_KEY;
-  } else if (provider === 'foundry') {
-    env.ANTHROPIC_MODEL = CONFIG.model.id;
-    env.CLAUDE_CODE_USE_FOUNDRY = '1';
-    env.ANTHROPIC_FOUNDRY_API_KEY = process.env.ANTHROPIC_FOUNDRY_API_KEY;
-    if (process.env.ANTHROPIC_FOUNDRY_RESOURCE) {
-      env.ANTHROPIC_FOUNDRY_RESOURCE = process.env.ANTHROPIC_FOUNDRY_RESOURCE;
-    }
-    if (process.env.ANTHROPIC_FOUNDRY_BASE_URL) {
-      env.ANTHROPIC_FOUNDRY_BASE_URL = process.env.ANTHROPIC_FOUNDRY_BASE_URL;
-    }
-  } else if (provider === 'anthropic') {
-    env.ANTHROPIC_API_KEY = process.env.ANTHROPIC_API_KEY;
+  let launch;
+  try {
+    launch = adapter.launch({ promptPath: CONFIG.paths.prompt, model: CONFIG.model, tier: 'SONNET', cwd: CONFIG.paths.projectRoot });
+  } catch (e) {
+    log(e.message, 'yellow');
+    process.exit(1);
   }
+  log(`Spawning via ${launch.description}...`, 'cyan');
 
   // Execute and capture output
-  const result = await new Promise((resolve, reject) => {
-    let outputBuffer = '';
+  const { output: result, usage } = await new Promise((resolve, reject) => {
+    const outputParser = adapter.createOutputParser();
 
-    const child = spawn(batFile, [CONFIG.paths.prompt], {
-      env,
+    const child = spawn(launch.command, launch.args, {
+      env: launch.env,
       cwd: CONFIG.paths.projectRoot,
       shell: true,
       stdio: ['ignore', 'pipe', 'pipe']
     });
 
     child.stdout.on('data', (data) => {
-      outputBuffer += data.toString();
+      outputParser.write(data);
     });
 
     child.stderr.on('data', (data) => {
-      outputBuffer += data.toString();
+      process.stderr.write(data);
     });
 
-    child.on('exit', (code) => {
+    child.on('close', (code) => {
+      outputParser.end();
       if (code === 0) {
-        resolve(outputBuffer);
+        // Claude Code's answer is the result event's text, not the raw event stream
+        const usage = outputParser.getUsage();
+        resolve({ output: (usage && usage.resultText) || outputParser.getText(), usage });
       } else {
-        reject(new Error(`Claude Code exited with code ${code}`));
+        reject(new Error(`${adapter.label} exited with code ${code}`));
       }
     });
 
@@ -636,7 +621,7 @@ async function main() {
 
   // Log cost
   const promptContent = fs.readFileSync(CONFIG.paths.prompt, 'utf8');
-  logLearnCost(promptContent.length, result.length);
+  logLearnCost(promptContent.length, result.length, usage);
 
   // Step 5: Parse patterns from response
   let patterns = [];
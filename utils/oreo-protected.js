@@ -0,0 +1,222 @@
+/**
+ * OREO-PROTECTED - Protected Paths Guardrail
+ *
+ * Agents run with --dangerously-skip-permissions and can edit anything. Files
+ * listed under "protectedPaths" in oroboreo/oreo.config.json are off limits:
+ * oro-run snapshots them before each attempt and compares afterwards. A
+ * protected file that was modified, deleted or created is put back the way it
+ * was, and the attempt fails with the list of files so the retry prompt can
+ * tell the agent to leave them alone.
+ *
+ *   {
+ *     "protectedPaths": [
+ *       ".github/",
+ *       ".env",
+ *       "oroboreo/creme-filling.md",
+ *       "package-lock.json",
+ *       "migrations/*.sql"
+ *     ]
+ *   }
+ *
+ * Patterns are relative to the project root:
+ *   *          any characters except /
+ *   **         any characters, including /
+ *   ?          one character except /
+ *   {a,b}      either alternative
+ *   dir/       everything under dir (so does a pattern matching the directory itself)
+ *   name       a pattern without / matches that name in any directory
+ *
+ * The snapshot reads files straight from disk rather than asking git, so
+ * ignored files (.env) are covered too. .git/, node_modules/ and
+ * oroboreo/archives/ are never scanned.
+ *
+ * Usage:
+ *   const { loadProtectedPaths, snapshotProtectedFiles, restoreProtectedFiles } = require('./oreo-protected.js');
+ *   const protectedPaths = loadProtectedPaths(loadProjectConfig());
+ *   const snapshot = snapshotProtectedFiles(cwd, protectedPaths);
+ *   ...attempt runs...
+ *   const violations = restoreProtectedFiles(snapshot);
+ *
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SKIPPED_DIRS = new Set(['.git', 'node_modules', 'oroboreo/archives']);
+
+// Agents have to edit these to report progress - protecting them would fail every attempt
+const RUNNER_FILES = ['oroboreo/cookie-crumbs.md', 'oroboreo/progress.txt'];
+
+// ============================================================================
+// PATTERNS
+// ============================================================================
+
+/**
+ * Turn one protectedPaths pattern into a RegExp over project-relative paths
+ * (forward slashes).
+ */
+function globToRegExp(pattern) {
+  let glob = pattern.trim().replace(/\\/g, '/').replace(/^\.\//, '');
+  if (glob.endsWith('/')) glob += '**';
+  if (!glob.includes('/')) glob = `**/${glob}`;
+
+  let source = '';
+  let braces = 0;
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*' && glob[i + 1] === '*') {
+      if (glob[i + 2] === '/') {
+        source += '(?:.*/)?';
+        i += 2;
+      } else {
+        source += '.*';
+        i += 1;
+      }
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '{') {
+      source += '(?:';
+      braces++;
+    } else if (char === '}' && braces > 0) {
+      source += ')';
+      braces--;
+    } else if (char === ',' && braces > 0) {
+      source += '|';
+    } else {
+      source += char.replace(/[.+^$()|[\]\\]/g, '\\$&');
+    }
+  }
+  if (braces > 0) throw new Error('unclosed {');
+
+  // A pattern that names a directory protects everything under it
+  return new RegExp(`^${source}(?:/.*)?$`);
+}
+
+/**
+ * Read "protectedPaths" from the project config.
+ * @param {Object} projectConfig - Parsed oroboreo/oreo.config.json
+ * @returns {Array<{ pattern: string, regex: RegExp }>|null} null when nothing is protected
+ * @throws {Error} On a malformed list or a pattern that covers the runner's own files
+ */
+function loadProtectedPaths(projectConfig) {
+  const declared = projectConfig && projectConfig.protectedPaths;
+  if (declared === undefined || declared === null) return null;
+  if (!Array.isArray(declared) || declared.some(p => typeof p !== 'string' || !p.trim())) {
+    throw new Error('Invalid "protectedPaths" in oroboreo/oreo.config.json - expected an array of glob patterns');
+  }
+
+  const protectedPaths = declared.map(pattern => {
+    let regex;
+    try {
+      regex = globToRegExp(pattern);
+    } catch (e) {
+      throw new Error(`Invalid protectedPaths pattern "${pattern}": ${e.message}`);
+    }
+    const runnerFile = RUNNER_FILES.find(file => regex.test(file));
+    if (runnerFile) {
+      throw new Error(`protectedPaths pattern "${pattern}" covers ${runnerFile}, which agents must be able to edit`);
+    }
+    return { pattern, regex };
+  });
+  return protectedPaths.length > 0 ? protectedPaths : null;
+}
+
+/**
+ * The first pattern that matches a project-relative path.
+ * @returns {string|null}
+ */
+function matchProtectedPath(relPath, protectedPaths) {
+  const normalized = relPath.replace(/\\/g, '/');
+  const match = protectedPaths.find(p => p.regex.test(normalized));
+  return match ? match.pattern : null;
+}
+
+// ============================================================================
+// SNAPSHOT & RESTORE
+// ============================================================================
+
+/**
+ * Every regular file under cwd that matches a pattern, as relative paths.
+ */
+function listProtectedFiles(cwd, protectedPaths) {
+  const files = [];
+  const walk = (relDir) => {
+    let entries;
+    try {
+      entries = fs.readdirSync(path.join(cwd, relDir), { withFileTypes: true });
+    } catch (e) {
+      return;
+    }
+    for (const entry of entries) {
+      const relPath = relDir ? `${relDir}/${entry.name}` : entry.name;
+      if (entry.isDirectory()) {
+        if (!SKIPPED_DIRS.has(relPath) && !SKIPPED_DIRS.has(entry.name)) walk(relPath);
+      } else if (entry.isFile() && matchProtectedPath(relPath, protectedPaths)) {
+        files.push(relPath);
+      }
+    }
+  };
+  walk('');
+  return files;
+}
+
+/**
+ * Record the content of every protected file before an attempt.
+ * @param {string} cwd - Checkout the attempt runs in
+ * @param {Array} protectedPaths - From loadProtectedPaths()
+ * @returns {Object} Snapshot for restoreProtectedFiles()
+ */
+function snapshotProtectedFiles(cwd, protectedPaths) {
+  const files = new Map();
+  for (const relPath of listProtectedFiles(cwd, protectedPaths)) {
+    const fullPath = path.join(cwd, relPath);
+    files.set(relPath, { content: fs.readFileSync(fullPath), mode: fs.statSync(fullPath).mode });
+  }
+  return { cwd, protectedPaths, files };
+}
+
+/**
+ * Put every protected file back the way the snapshot saw it: rewrite
+ * modified and deleted files, remove created ones.
+ * @returns {Array<{ path: string, change: string, pattern: string }>}
+ *   One entry per file the attempt touched; change is modified, deleted or created
+ */
+function restoreProtectedFiles(snapshot) {
+  const { cwd, protectedPaths, files } = snapshot;
+  const violations = [];
+  const current = new Set(listProtectedFiles(cwd, protectedPaths));
+
+  for (const [relPath, saved] of files) {
+    const fullPath = path.join(cwd, relPath);
+    let change = null;
+    if (!current.has(relPath)) {
+      change = 'deleted';
+    } else if (!fs.readFileSync(fullPath).equals(saved.content)) {
+      change = 'modified';
+    }
+    if (!change) continue;
+
+    fs.mkdirSync(path.dirname(fullPath), { recursive: true });
+    fs.writeFileSync(fullPath, saved.content);
+    fs.chmodSync(fullPath, saved.mode);
+    violations.push({ path: relPath, change, pattern: matchProtectedPath(relPath, protectedPaths) });
+  }
+
+  for (const relPath of current) {
+    if (files.has(relPath)) continue;
+    fs.rmSync(path.join(cwd, relPath), { force: true });
+    violations.push({ path: relPath, change: 'created', pattern: matchProtectedPath(relPath, protectedPaths) });
+  }
+
+  return violations;
+}
+
+module.exports = {
+  loadProtectedPaths,
+  matchProtectedPath,
+  snapshotProtectedFiles,
+  restoreProtectedFiles
+};
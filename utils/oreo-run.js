@@ -19,6 +19,10 @@
  * | creme-filling.md   | System rules (like AGENTS.md) - the law           |
  * | progress.txt       | Session memory - learnings between iterations     |
  * | costs.json | Cost tracking - real-time spend monitoring        |
+ * | oreo-events.jsonl  | Typed session events for tools (see oreo-events.js) |
+ * | .oreo-state.json   | Retry counts and attempt history (survives restarts) |
+ * | .oreo-status.json  | Live session snapshot for oro-status (PID, task, cost) |
+ * | cassette.jsonl     | Recorded agent runs (--record), replayable         |
  * | human-feedback.md  | Input for oreo-feedback.js architect              |
  * | tests/             | Session verification scripts (archived)            |
  * | tests/reusable/    | Generic tests (kept across sessions)               |
@@ -29,6 +33,13 @@
  * ============================================================================
  *
  *   node oroboreo/utils/oreo-run.js
+ *   node oroboreo/utils/oreo-run.js --parallel 3   # Up to 3 independent tasks at once
+ *   node oroboreo/utils/oreo-run.js --dry-run      # Show models, prompt sizes and cost range, run nothing
+ *   node oroboreo/utils/oreo-run.js --record       # Save every agent run to oroboreo/cassette.jsonl
+ *   node oroboreo/utils/oreo-run.js --replay oroboreo/archives/2026/10/<session>/cassette.jsonl
+ *                                                  # Play recorded runs back instead of calling a model
+ *   node oroboreo/utils/oreo-run.js --serve 4700   # HTTP status/control API (see oreo-server.js)
+ *   node oroboreo/utils/oreo-run.js --tui          # Full-screen dashboard instead of the scrolling log
  *
  * Prerequisites:
  *   - Node.js 18+
@@ -44,8 +55,12 @@
  *   - Smart Model Routing (Opus/Sonnet/Haiku based on task complexity)
  *   - Cost Tracking & Persistence (costs.json)
  *   - Git Integration (auto-commit on task success)
+ *   - Parallel Execution (--parallel N, one git worktree per task)
+ *   - Lifecycle Hooks (oreo.config.json "hooks", see oreo-hooks.js)
+ *   - Protected Paths (oreo.config.json "protectedPaths", see oreo-protected.js)
  *   - Auto-retry with exponential backoff (5 attempts per task)
- *   - Session logging (oreo-execution.log)
+ *   - Session logging (oreo-execution.log, plus oreo-events.jsonl for tools)
+ *   - Terminal dashboard (--tui, see oreo-tui.js)
  *
  * @author Oroboreo- The Golden Loop
  * @version 1.0.0
@@ -54,7 +69,22 @@
 const { spawn, execSync } = require('child_process');
 const fs = require('fs');
 const path = require('path');
-const { getModelConfig, clearProviderEnv, getFoundryResource, hasFoundryConfig, getPaths, syncReusableUtils, COST_FACTORS } = require('./oreo-config.js');
+const os = require('os');
+const crypto = require('crypto');
+const { openControlChannel, closeControlChannel, readControlCommands } = require('./oreo-control.js');
+const { parseFailedAttemptPolicy, createCheckpoint, diffSinceCheckpoint, diffStatSinceCheckpoint, saveFailedAttemptPatch, rollbackToCheckpoint } = require('./oreo-checkpoint.js');
+const { appendCassetteEntry } = require('./oreo-cassette.js');
+const { buildCostFields, formatCostFields } = require('./oreo-usage.js');
+const { getAgentAdapter, getProviderAdapter, getFakeScriptPath, createReplayAdapter } = require('./oreo-agents.js');
+const { loadHooks, runHook } = require('./oreo-hooks.js');
+const { appendEvent } = require('./oreo-events.js');
+const { createStatusServer } = require('./oreo-server.js');
+const { createDashboard } = require('./oreo-tui.js');
+const { loadProtectedPaths, snapshotProtectedFiles, restoreProtectedFiles } = require('./oreo-protected.js');
+const { loadEnvSecrets, unstageSecrets } = require('./oreo-secrets.js');
+const { loadChangeBudgets, parseTaskBudget, resolveChangeBudget, checkChangeBudget, formatChangeBudget, formatBudgetOverrun } = require('./oreo-change-budget.js');
+const { parseDirectives, formatDirectives } = require('./oreo-directives.js');
+const { getModelConfig, hasFoundryConfig, getPaths, findRecentFiles, loadProjectConfig, syncReusableUtils, COST_FACTORS, AI_PROVIDERS, envBool } = require('./oreo-config.js');
 
 // ============================================================================
 // CONFIGURATION
@@ -76,12 +106,51 @@ const CONFIG = {
   // Models (will be set after loading env)
   models: null,
 
+  // Agent adapter from oreo-agents.js (will be set after loading env)
+  agent: null,
+
+  // Verification commands (will be set after loading env)
+  verification: null,
+
+  // Spend limits (will be set after loading env)
+  budget: null,
+
+  // Mark tasks [!] and carry on when they run out of retries (will be set after loading env)
+  quarantine: null,
+
+  // Token cap for the PREVIOUS ATTEMPT section of retry prompts (will be set after loading env)
+  retryContextTokens: null,
+
+  // What happens to a failed attempt's edits: keep, rollback or patch (will be set after loading env)
+  failedAttemptPolicy: null,
+
+  // Model tier per attempt, e.g. ['ROUTED', 'ROUTED', 'SONNET', 'OPUS'] (will be set after loading env)
+  escalationLadder: null,
+
+  // Save every agent run to the cassette (--record)
+  record: false,
+
+  // Lifecycle hooks from oreo.config.json (will be set after loading env)
+  hooks: {},
+
+  // Globs agents may not change, from oreo.config.json (null = none; set after loading env)
+  protectedPaths: null,
+
+  // Change budget per complexity, from oreo.config.json (null = none; set after loading env)
+  changeBudgets: null,
+
+  // Scan staged changes for secrets before committing (will be set after loading env)
+  secretScan: true,
+
   // File Paths (Oreo Theme) - use process.cwd() for user files
   paths: {
     ...getPaths(),                                              // Shared paths from user's project
     progress: path.join(process.cwd(), 'oroboreo', 'progress.txt'),       // Session memory
     log: path.join(process.cwd(), 'oroboreo', 'oreo-execution.log'),      // Execution log
-    prompt: path.join(process.cwd(), 'oroboreo', '.oreo-prompt.txt')      // Temp prompt file
+    prompt: path.join(process.cwd(), 'oroboreo', '.oreo-prompt.txt'),     // Temp prompt file
+    state: path.join(process.cwd(), 'oroboreo', '.oreo-state.json'),      // Retry counts and attempt history (survives restarts)
+    failedAttempts: path.join(process.cwd(), 'oroboreo', 'failed-attempts'), // Patches of rolled-back attempts
+    cassette: path.join(process.cwd(), 'oroboreo', 'cassette.jsonl')        // Recorded agent runs (--record)
   },
 
   // Git Settings
@@ -102,7 +171,9 @@ const sessionState = {
   sessionStartTime: null,    // Date.now() when main() started
   sessionCost: 0,
   provider: null,
-  model: null
+  branch: null,              // Session branch (null when git is off)
+  model: null,
+  control: { paused: false, draining: false }  // oro-ctl state
 };
 
 // Export for oreo-status.js
@@ -116,13 +187,87 @@ function log(message, type = 'INFO') {
   const timestamp = new Date().toISOString();
   const formatted = `[${timestamp}] [${type}] ${message}`;
 
-  console.log(formatted);
+  // The dashboard shows the same figures, so heartbeat lines only go to the log file
+  if (!(dashboard && message.startsWith('[HEARTBEAT]'))) {
+    console.log(formatted);
+  }
 
   try {
     fs.appendFileSync(CONFIG.paths.log, formatted + '\n');
   } catch (e) {
     // Ignore log write errors
   }
+
+  if (statusServer) statusServer.broadcast('log', { ts: timestamp, type, message });
+}
+
+/**
+ * Append a typed event to oreo-events.jsonl (see oreo-events.js).
+ */
+function emitEvent(type, fields = {}) {
+  try {
+    const event = appendEvent(CONFIG.paths.events, type, fields);
+    if (statusServer) statusServer.broadcast(type, event);
+    writeStatusFile(event);
+  } catch (e) {
+    // Ignore event write errors
+  }
+}
+
+let lastStatusEvent = null;
+
+/**
+ * Snapshot sessionState to oroboreo/.oreo-status.json so oro-status can read
+ * it from another terminal. Written to a temp file and renamed, so readers
+ * never see half a file. Called on every event (heartbeats included) and
+ * control change.
+ * @param {Object} [event] - Event that triggered the write
+ */
+function writeStatusFile(event = null) {
+  if (event) lastStatusEvent = event;
+  const ended = lastStatusEvent && lastStatusEvent.type === 'session_end' ? lastStatusEvent : null;
+  const status = {
+    pid: process.pid,
+    updatedAt: new Date().toISOString(),
+    running: sessionState.running,
+    currentTask: sessionState.currentTask,
+    activeTasks: sessionState.activeTasks || [],
+    taskStartTime: sessionState.taskStartTime,
+    sessionStartTime: sessionState.sessionStartTime,
+    sessionCost: sessionState.sessionCost,
+    provider: sessionState.provider,
+    branch: sessionState.branch,
+    model: sessionState.model,
+    control: sessionState.control,
+    endStatus: ended ? ended.status : null,
+    endedAt: ended ? ended.ts : null,
+    lastEvent: lastStatusEvent
+      ? { type: lastStatusEvent.type, ts: lastStatusEvent.ts, taskId: lastStatusEvent.taskId }
+      : null
+  };
+
+  try {
+    const tmpPath = `${CONFIG.paths.status}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(status, null, 2));
+    fs.renameSync(tmpPath, CONFIG.paths.status);
+  } catch (e) {
+    // Ignore status write errors
+  }
+}
+
+/**
+ * Files under `dir` modified in the last `minutes`, newest first. Skips
+ * node_modules, .git, archives and the files oro-run itself keeps writing.
+ * @returns {string[]} Absolute paths
+ */
+function findRecentlyModifiedFiles(dir, minutes) {
+  const ownFiles = new Set([
+    CONFIG.paths.log, CONFIG.paths.events, CONFIG.paths.status, CONFIG.paths.costs,
+    CONFIG.paths.state, CONFIG.paths.prompt, CONFIG.paths.cassette
+  ]);
+  return findRecentFiles(dir, minutes * 60000)
+    .map(file => file.path)
+    .filter(file => !ownFiles.has(file));
 }
 
 function loadEnv() {
@@ -190,6 +335,43 @@ region = ${region}
   log('AWS credentials file created successfully', 'SUCCESS');
 }
 
+/**
+ * Check that a provider's credentials and settings are in the environment.
+ * Used for AI_PROVIDER and for every [provider:...] task directive.
+ * @returns {string|null} What is missing, or null if the provider can run
+ */
+function checkProviderSetup(provider) {
+  if (provider === 'bedrock') {
+    if (!process.env.AWS_ACCESS_KEY_ID) return 'AWS_ACCESS_KEY_ID not set! Please configure oroboreo/.env';
+  } else if (provider === 'foundry') {
+    if (!process.env.ANTHROPIC_FOUNDRY_API_KEY) return 'ANTHROPIC_FOUNDRY_API_KEY not set! Please configure oroboreo/.env';
+    if (!hasFoundryConfig()) {
+      return 'No Foundry resource configured! Set ANTHROPIC_FOUNDRY_RESOURCE or per-model resources (ANTHROPIC_FOUNDRY_RESOURCE_OPUS, etc.)';
+    }
+  } else if (provider === 'anthropic') {
+    if (!process.env.ANTHROPIC_API_KEY) return 'ANTHROPIC_API_KEY not set! Please configure oroboreo/.env';
+  } else if (provider === 'aider') {
+    if (!process.env.AZURE_API_KEY && !process.env.AZURE_AI_API_KEY && !process.env.OPENAI_API_KEY) {
+      return 'AZURE_API_KEY, AZURE_AI_API_KEY, or OPENAI_API_KEY not set! Please configure oroboreo/.env';
+    }
+    const hasAiderModel = process.env.AIDER_MODEL ||
+      process.env.AIDER_MODEL_OPUS ||
+      process.env.AIDER_MODEL_SONNET ||
+      process.env.AIDER_MODEL_HAIKU;
+    if (!hasAiderModel) {
+      return 'No Aider model set! Set AIDER_MODEL (single model) or AIDER_MODEL_OPUS/SONNET/HAIKU (per-tier). Please configure oroboreo/.env';
+    }
+  } else if (provider === 'fake') {
+    const scriptPath = getFakeScriptPath();
+    if (!fs.existsSync(scriptPath)) {
+      return `Fake agent script not found: ${scriptPath}. Set OREO_FAKE_SCRIPT or create oroboreo/fake-agent.json`;
+    }
+  } else if (provider !== 'subscription') {
+    return `Invalid AI_PROVIDER: ${provider}. Valid options: ${AI_PROVIDERS.join(', ')}`;
+  }
+  return null;
+}
+
 /**
  * Check if a task may require Playwright for browser testing
  * Warns user to install if needed but continues execution
@@ -237,13 +419,21 @@ function estimateTokens(text) {
   return Math.ceil((text || '').length / 4);
 }
 
-function trackCost(task, model, promptText, responseText) {
-  const inputTokens = Math.ceil((Math.max(0, estimateTokens(promptText)) || 0) * COST_FACTORS.WORKER.TOOL_USE_FACTOR);
-  const outputTokens = Math.ceil((Math.max(0, estimateTokens(responseText)) || 0) * COST_FACTORS.WORKER.OUTPUT_MULTIPLIER);
-
-  const inputCost = (inputTokens * (model.inputCost || 0)) / 1000000;
-  const outputCost = (outputTokens * (model.outputCost || 0)) / 1000000;
-  const totalCost = inputCost + outputCost;
+/**
+ * Record the cost of one agent run in costs.json.
+ * Uses the real usage reported by the agent when available, otherwise the
+ * chars/4 estimate (entry flagged `estimated: true`).
+ * @param {Object} [attemptInfo] - { attempt, routedModel, escalated } from the retry loop
+ * @param {Object|null} [usage] - Real usage from runAgent()
+ * @returns {number} Cost of this run in USD
+ */
+function trackCost(task, model, promptText, responseText, attemptInfo = {}, usage = null) {
+  const estimate = {
+    inputTokens: Math.ceil((Math.max(0, estimateTokens(promptText)) || 0) * COST_FACTORS.WORKER.TOOL_USE_FACTOR),
+    outputTokens: Math.ceil((Math.max(0, estimateTokens(responseText)) || 0) * COST_FACTORS.WORKER.OUTPUT_MULTIPLIER)
+  };
+  const costFields = buildCostFields(usage, model, estimate);
+  const totalCost = costFields.totalCostUSD;
 
   const costLog = loadCostLog();
 
@@ -253,22 +443,34 @@ function trackCost(task, model, promptText, responseText) {
     timestamp: new Date().toISOString(),
     model: model.name,
     modelId: model.id,
-    provider: (process.env.AI_PROVIDER || 'subscription').toLowerCase(),
-    inputTokens,
-    outputTokens,
-    totalCostUSD: totalCost
+    provider: task.directives.provider || (process.env.AI_PROVIDER || 'subscription').toLowerCase(),
+    attempt: attemptInfo.attempt || 1,
+    routedModel: attemptInfo.routedModel ? attemptInfo.routedModel.name : model.name,
+    escalated: !!attemptInfo.escalated,
+    ...costFields
   });
 
   costLog.session.totalCost = (costLog.session.totalCost || 0) + totalCost;
   sessionState.sessionCost = costLog.session.totalCost;
   saveCostLog(costLog);
+  emitEvent('cost', {
+    taskId: task.id,
+    attempt: attemptInfo.attempt || 1,
+    model: model.name,
+    costUSD: totalCost,
+    inputTokens: costFields.inputTokens,
+    outputTokens: costFields.outputTokens,
+    estimated: costFields.estimated,
+    sessionCostUSD: costLog.session.totalCost
+  });
 
-  log(`Cost: $${totalCost.toFixed(4)} (Input: ${inputTokens}, Output: ${outputTokens})`, 'COST');
+  log(`Cost: $${totalCost.toFixed(4)} (${formatCostFields(costFields)})`, 'COST');
   log(`Session Total: $${costLog.session.totalCost.toFixed(2)}`, 'COST');
+  return totalCost;
 }
 
 // ============================================================================
-// AIDER HELPERS
+// TASK FILES
 // ============================================================================
 
 // Parse the **Files:** section from a task's details string.
@@ -297,18 +499,22 @@ function extractFilesFromTask(taskDetails) {
 // TASK PARSING (cookie-crumbs.md)
 // ============================================================================
 
-function parseTasks() {
-  if (!fs.existsSync(CONFIG.paths.tasks)) return [];
+function parseTasks(tasksPath = CONFIG.paths.tasks) {
+  if (!fs.existsSync(tasksPath)) return [];
 
-  const content = fs.readFileSync(CONFIG.paths.tasks, 'utf8');
+  const content = fs.readFileSync(tasksPath, 'utf8');
   const tasks = [];
   const lines = content.split('\n');
 
   for (let i = 0; i < lines.length; i++) {
     // Match: - [ ] **Task 1: Title** [CRITICAL] or - [x] **Task 1: Title** [SIMPLE]
-    const match = lines[i].match(/^-\s*\[([ x])\]\s*\*\*Task\s+(\d+):\s*(.+?)\*\*(?:\s*(\[.+?\]))?/i);
+    // ([-] marks a task skipped via oro-ctl, [!] a quarantined task), plus
+    // directives like [timeout:45m] anywhere after the title (see oreo-directives.js)
+    const match = lines[i].match(/^-\s*\[([ x!-])\]\s*\*\*Task\s+(\d+):\s*(.+?)\*\*(.*)$/i);
     if (match) {
-      const [, checkmark, id, title, tag] = match;
+      const [, checkmark, id, title, rest] = match;
+      const { directives, errors, rest: afterDirectives } = parseDirectives(rest);
+      const tag = (afterDirectives.match(/^\s*(\[.+?\])/) || [])[1];
 
       // Extract details from indented lines below
       const details = [];
@@ -320,31 +526,413 @@ function parseTasks() {
 
       // Include tag in title for model selection
       const fullTitle = tag ? `${title.trim()} ${tag}` : title.trim();
+      const dependencies = parseDependencies(details);
 
       tasks.push({
         id: parseInt(id, 10),
         title: fullTitle,
         completed: checkmark.toLowerCase() === 'x',
-        details: details.join('\n')
+        skipped: checkmark === '-',
+        failed: checkmark === '!',
+        details: details.join('\n'),
+        dependsOn: dependencies.ids,
+        dependencyErrors: dependencies.errors,
+        directives,
+        directiveErrors: errors
       });
     }
   }
   return tasks;
 }
 
-// Wire up parseTasks export now that it's defined
+/**
+ * Extract task ids from a "**Depends:** Task 2, Task 5" detail line.
+ * "none" (or no Depends line at all) means the task has no dependencies.
+ * Only "Task N" counts - anything else on the line (ranges, other numbers,
+ * notes) is reported rather than guessed at.
+ * @param {string[]} detailLines - Trimmed detail lines of a task
+ * @returns {{ ids: number[], errors: string[] }} Unique task ids this task depends on
+ */
+function parseDependencies(detailLines) {
+  for (const line of detailLines) {
+    const match = line.match(/\*\*Depends(?:\s+on)?:\*\*\s*(.*)$/i);
+    if (match) {
+      const value = match[1].trim();
+      const ids = [...value.matchAll(/\bTask\s+(\d+)\b/gi)].map(m => parseInt(m[1], 10));
+      const leftover = value
+        .replace(/\bTask\s+\d+\b/gi, '')
+        .replace(/^none\b/i, '')
+        .replace(/,|&|\band\b/gi, '')
+        .trim();
+      const errors = leftover
+        ? [`**Depends:** "${value}" - could not read "${leftover}" (list tasks as Task 2, Task 5)`]
+        : [];
+      return { ids: [...new Set(ids)], errors };
+    }
+  }
+  return { ids: [], errors: [] };
+}
+
+// ============================================================================
+// DEPENDENCY GRAPH & SCHEDULING
+// ============================================================================
+
+/**
+ * Build the task dependency graph and validate it.
+ * Reports dependencies on unknown task ids, self-dependencies and cycles.
+ * @param {Array} tasks - Tasks from parseTasks()
+ * @returns {{ byId: Map, dependents: Map, errors: string[] }}
+ */
+function buildTaskGraph(tasks) {
+  const byId = new Map(tasks.map(t => [t.id, t]));
+  const dependents = new Map(tasks.map(t => [t.id, []]));
+  const errors = [];
+
+  for (const task of tasks) {
+    for (const error of task.dependencyErrors || []) {
+      errors.push(`Task ${task.id}: ${error}`);
+    }
+    for (const depId of task.dependsOn || []) {
+      if (depId === task.id) {
+        errors.push(`Task ${task.id} depends on itself`);
+      } else if (!byId.has(depId)) {
+        errors.push(`Task ${task.id} depends on unknown Task ${depId}`);
+      } else {
+        dependents.get(depId).push(task.id);
+      }
+    }
+  }
+
+  // Cycle detection (DFS with white/grey/black marking)
+  const state = new Map();
+  const stack = [];
+  const reported = new Set();
+
+  function visit(id) {
+    state.set(id, 'visiting');
+    stack.push(id);
+    for (const depId of byId.get(id).dependsOn || []) {
+      if (depId === id || !byId.has(depId)) continue;
+      if (state.get(depId) === 'visiting') {
+        const cycle = stack.slice(stack.indexOf(depId)).concat(depId);
+        const key = [...cycle].sort((a, b) => a - b).join(',');
+        if (!reported.has(key)) {
+          reported.add(key);
+          errors.push(`Dependency cycle: ${cycle.map(c => `Task ${c}`).join(' -> ')}`);
+        }
+      } else if (!state.has(depId)) {
+        visit(depId);
+      }
+    }
+    stack.pop();
+    state.set(id, 'done');
+  }
+
+  for (const task of tasks) {
+    if (!state.has(task.id)) visit(task.id);
+  }
+
+  return { byId, dependents, errors };
+}
+
+/**
+ * Get incomplete tasks whose dependencies are all complete, in file order.
+ * @param {Array} tasks - Tasks from parseTasks()
+ * @returns {Array} Runnable tasks
+ */
+function getRunnableTasks(tasks) {
+  const byId = new Map(tasks.map(t => [t.id, t]));
+  return tasks.filter(t =>
+    !t.completed && !t.skipped && !t.failed &&
+    (t.dependsOn || []).every(depId => byId.get(depId) && byId.get(depId).completed)
+  );
+}
+
+/**
+ * Pick the next task to run: the first incomplete task whose dependencies
+ * are all complete. Returns null when nothing is runnable.
+ * @param {Array} tasks - Tasks from parseTasks()
+ * @returns {Object|null}
+ */
+function selectNextTask(tasks) {
+  return getRunnableTasks(tasks)[0] || null;
+}
+
+// Wire up task helpers now that they're defined
 module.exports.parseTasks = parseTasks;
+module.exports.buildTaskGraph = buildTaskGraph;
+module.exports.selectNextTask = selectNextTask;
+
+// ============================================================================
+// BUDGET LIMITS
+// ============================================================================
+
+/**
+ * Current spend against the configured limits.
+ * Task cost is the sum of every attempt at that task recorded in costs.json.
+ * @param {Object} [task] - Task to check the per-task limit for
+ * @returns {{ sessionCost: number, taskCost: number, softLimit: string|null, hardLimit: string|null }}
+ */
+function getBudgetStatus(task) {
+  const { maxSessionUsd, maxTaskUsd, softLimitPct } = CONFIG.budget;
+  const costLog = loadCostLog();
+  const sessionCost = costLog.session.totalCost || 0;
+  const taskCost = task
+    ? costLog.tasks.filter(t => t.taskId === task.id).reduce((sum, t) => sum + (t.totalCostUSD || 0), 0)
+    : 0;
+
+  const status = { sessionCost, taskCost, softLimit: null, hardLimit: null };
+  const checks = [
+    { label: 'session', spent: sessionCost, max: maxSessionUsd },
+    { label: `Task ${task ? task.id : '?'}`, spent: taskCost, max: task ? maxTaskUsd : 0 }
+  ];
+
+  for (const { label, spent, max } of checks) {
+    if (!max) continue;
+    if (spent >= max) {
+      status.hardLimit = status.hardLimit || `${label} spend $${spent.toFixed(2)} reached the $${max.toFixed(2)} limit`;
+    } else if (spent >= max * softLimitPct / 100) {
+      status.softLimit = status.softLimit || `${label} spend $${spent.toFixed(2)} is over ${softLimitPct}% of the $${max.toFixed(2)} limit`;
+    }
+  }
+
+  return status;
+}
+
+/**
+ * Stop the loop because a hard spend limit was reached.
+ */
+async function haltOnBudget(task, reason, loopState) {
+  saveHaltState(loopState, 'budget', reason, task, {
+    limits: {
+      maxSessionUsd: CONFIG.budget.maxSessionUsd || null,
+      maxTaskUsd: CONFIG.budget.maxTaskUsd || null
+    }
+  });
+
+  sessionState.running = false;
+  log(`Budget limit reached${task ? ` on Task ${task.id} (${task.title})` : ''}: ${reason}`, 'ERROR');
+  log(`Loop stopped. State saved to ${path.relative(CONFIG.paths.projectRoot, CONFIG.paths.state)}`, 'ERROR');
+  log('Raise OREO_MAX_SESSION_COST_USD / OREO_MAX_TASK_COST_USD in oroboreo/.env and run oro-run again to resume.', 'INFO');
+  await endSession('budget', 1);
+}
+
+// ============================================================================
+// LOOP STATE (.oreo-state.json)
+// ============================================================================
+// Retry counts and attempt history live on disk so a restart (crash, Ctrl+C,
+// drain, budget halt) carries on where the loop stopped instead of handing
+// every task a fresh set of retries. The file belongs to one session branch
+// and is archived with the session.
+
+const LOOP_STATE_VERSION = 1;
+
+function createLoopState(sessionBranch) {
+  const now = new Date().toISOString();
+  return {
+    version: LOOP_STATE_VERSION,
+    sessionBranch: sessionBranch || null,
+    startedAt: now,
+    updatedAt: now,
+    halt: null,
+    tasks: {}
+  };
+}
+
+/**
+ * Load .oreo-state.json for this session branch, reporting any previous halt.
+ * State written on a different branch belongs to another session and is ignored.
+ * @param {string|null} sessionBranch - Current session branch
+ * @returns {Object} Loop state
+ */
+function loadLoopState(sessionBranch) {
+  if (!fs.existsSync(CONFIG.paths.state)) return createLoopState(sessionBranch);
+
+  let state;
+  try {
+    state = JSON.parse(fs.readFileSync(CONFIG.paths.state, 'utf8'));
+  } catch (e) {
+    log(`Could not read ${CONFIG.paths.state}: ${e.message} - starting with fresh retry counts`, 'WARN');
+    return createLoopState(sessionBranch);
+  }
+
+  if ((state.sessionBranch || null) !== (sessionBranch || null)) {
+    log(`Ignoring loop state from session ${state.sessionBranch || '(no branch)'} - this is ${sessionBranch || '(no branch)'}`, 'WARN');
+    return createLoopState(sessionBranch);
+  }
+
+  state.tasks = state.tasks || {};
+
+  // An attempt still marked in progress was cut off (crash, kill, Ctrl+C) - it counts
+  for (const [id, entry] of Object.entries(state.tasks)) {
+    if (!entry.inProgress) continue;
+    const { attempt, model, routedModel, escalated, startedAt } = entry.inProgress;
+    log(`Task ${id} attempt ${attempt} was interrupted - counting it as failed`, 'WARN');
+    entry.history.push({ attempt, model, routedModel, escalated, outcome: 'interrupted', error: 'oro-run stopped mid-attempt', startedAt, finishedAt: null });
+    entry.attempts += 1;
+    entry.lastError = 'oro-run stopped mid-attempt';
+    entry.lastAttempt = { attempt, outcome: 'interrupted', exitReason: 'oro-run stopped mid-attempt (crash, kill or Ctrl+C)' };
+    delete entry.inProgress;
+  }
+
+  if (state.halt) {
+    log(`Resuming after ${state.halt.reason} halt at ${state.halt.timestamp}: ${state.halt.message}`, 'WARN');
+    state.halt = null;
+  }
+  const retrying = Object.entries(state.tasks).filter(([, t]) => t.attempts > 0);
+  if (retrying.length > 0) {
+    const tasks = parseTasks();
+    log(`Restored retry counts: ${retrying.map(([id, t]) => `Task ${id} (${t.attempts}/${maxAttemptsFor(tasks.find(task => task.id === parseInt(id, 10)))})`).join(', ')}`, 'INFO');
+  }
+  saveLoopState(state);
+  return state;
+}
+
+function saveLoopState(state) {
+  state.updatedAt = new Date().toISOString();
+  fs.writeFileSync(CONFIG.paths.state, JSON.stringify(state, null, 2));
+}
+
+/**
+ * Per-task entry: attempts counts failed attempts since the task last completed.
+ */
+function getTaskState(state, taskId) {
+  if (!state.tasks[taskId]) {
+    state.tasks[taskId] = { attempts: 0, lastError: null, lastAttempt: null, history: [] };
+  }
+  return state.tasks[taskId];
+}
+
+/**
+ * Mark an attempt as started, so a crash mid-attempt still counts on restart.
+ */
+function startAttempt(state, task, { attempt, model, routedModel, escalated, startedAt }) {
+  getTaskState(state, task.id).inProgress = {
+    attempt,
+    model: model.name,
+    routedModel: routedModel ? routedModel.name : model.name,
+    escalated: !!escalated,
+    startedAt
+  };
+  saveLoopState(state);
+}
+
+/**
+ * Record the outcome of one attempt and save the state.
+ * @param {Object} state - Loop state
+ * @param {Object} task - Task that ran
+ * @param {Object} attempt - { attempt, model, routedModel, escalated, startedAt, outcome, error, context }
+ *   outcome is 'completed', 'incomplete', 'verification-failed', 'protected-path', 'error' or 'skipped';
+ *   context is the failure context from buildAttemptContext(), fed into the next prompt
+ */
+function recordAttempt(state, task, { attempt, model, routedModel, escalated, startedAt, outcome, error = null, context = null }) {
+  const entry = getTaskState(state, task.id);
+  delete entry.inProgress;
+  entry.history.push({
+    attempt,
+    model: model.name,
+    routedModel: routedModel ? routedModel.name : model.name,
+    escalated: !!escalated,
+    outcome,
+    error,
+    startedAt,
+    finishedAt: new Date().toISOString()
+  });
+
+  if (outcome === 'completed') {
+    entry.attempts = 0;
+    entry.lastError = null;
+    entry.lastAttempt = null;
+    entry.completedAt = new Date().toISOString();
+  } else if (outcome !== 'skipped') {
+    entry.attempts += 1;
+    entry.lastError = error;
+    entry.lastFailedAt = new Date().toISOString();
+    entry.lastAttempt = context ? { attempt, ...context } : { attempt, outcome, exitReason: error };
+  }
+  saveLoopState(state);
+
+  if (outcome === 'completed') {
+    emitEvent('task_complete', { taskId: task.id, attempt, durationMs: Date.now() - new Date(startedAt).getTime() });
+  } else if (outcome === 'skipped') {
+    emitEvent('task_skipped', { taskId: task.id, attempt });
+  } else {
+    emitEvent('retry', { taskId: task.id, attempt, outcome, error, willRetry: entry.attempts < maxAttemptsFor(task) });
+  }
+}
+
+/**
+ * Mark the loop as halted (budget limit or drain) so the next oro-run can
+ * report why it stopped.
+ */
+function saveHaltState(state, reason, message, task, extra = {}) {
+  state.halt = {
+    reason,
+    message,
+    taskId: task ? task.id : null,
+    taskTitle: task ? task.title : null,
+    sessionCost: loadCostLog().session.totalCost || 0,
+    ...extra,
+    timestamp: new Date().toISOString()
+  };
+  saveLoopState(state);
+}
 
 // ============================================================================
 // MODEL SELECTION
 // ============================================================================
 
-function selectModel(task) {
+// Cheapest to most capable - escalation only ever moves right
+const MODEL_TIERS = ['HAIKU', 'SONNET', 'OPUS'];
+
+// Model tables for providers named by [provider:...] directives, built once
+// so model objects keep their identity (getModelTier compares by reference)
+const providerModels = new Map();
+
+/**
+ * Model table for a task: its [provider:...] directive's, else the session's.
+ */
+function getTaskModels(task) {
+  const provider = task && task.directives.provider;
+  if (!provider || provider === sessionState.provider) return CONFIG.models;
+  if (!providerModels.has(provider)) providerModels.set(provider, getModelConfig(provider));
+  return providerModels.get(provider);
+}
+
+/**
+ * Agent adapter for a task: the session's, unless a [provider:...] directive
+ * names another provider (replays always use the cassette).
+ */
+function getTaskAdapter(task) {
+  const provider = task.directives.provider;
+  if (!provider || provider === sessionState.provider || CONFIG.agent.name === 'replay') return CONFIG.agent;
+  return getProviderAdapter(provider);
+}
+
+/**
+ * Attempts a task gets before it counts as failed ([retries:N] or the session's).
+ */
+function maxAttemptsFor(task) {
+  return (task && task.directives && task.directives.retries) || CONFIG.maxRetriesPerTask;
+}
+
+/**
+ * Route a task to a model tier from its [model:...] directive, complexity tag
+ * and keywords.
+ * @returns {{ model: Object, reason: string }} Model config and why it was picked
+ */
+function classifyTask(task) {
+  const models = getTaskModels(task);
+  if (task.directives.model) {
+    return { model: models[task.directives.model], reason: `directive [model:${task.directives.model.toLowerCase()}]` };
+  }
+
   const text = (task.title + ' ' + task.details).toLowerCase();
 
   // Explicit tags
-  if (text.includes('[simple]')) return CONFIG.models.HAIKU;
-  if (text.includes('[complex]') || text.includes('[critical]')) return CONFIG.models.SONNET;
+  if (text.includes('[simple]')) return { model: models.HAIKU, reason: 'tag [SIMPLE]' };
+  const tag = ['[complex]', '[critical]'].find(t => text.includes(t));
+  if (tag) return { model: models.SONNET, reason: `tag ${tag.toUpperCase()}` };
 
   // Keyword analysis
   const complexKeywords = [
@@ -352,9 +940,82 @@ function selectModel(task) {
     'design', 'plan', 'implement', 'build', 'api', 'security', 'critical'
   ];
 
-  if (complexKeywords.some(kw => text.includes(kw))) return CONFIG.models.SONNET;
+  const keyword = complexKeywords.find(kw => text.includes(kw));
+  if (keyword) return { model: models.SONNET, reason: `keyword "${keyword}"` };
+
+  return { model: models.HAIKU, reason: 'no tag or keyword (default)' }; // Default to cheapest
+}
+
+function routeTask(task) {
+  return classifyTask(task).model;
+}
+
+/**
+ * Tier key (OPUS, SONNET or HAIKU) of a model config.
+ */
+function getModelTier(model) {
+  for (const models of [CONFIG.models, ...providerModels.values()]) {
+    const tier = Object.keys(models).find(k => models[k] === model);
+    if (tier) return tier;
+  }
+  return 'HAIKU';
+}
+
+/**
+ * Parse OREO_ESCALATION_LADDER ("routed,routed,SONNET,OPUS") into tier steps.
+ * Step N applies to attempt N; the last step repeats for later attempts.
+ */
+function parseEscalationLadder(value) {
+  const steps = (value || 'routed,routed,SONNET,OPUS')
+    .split(',')
+    .map(step => step.trim().toUpperCase())
+    .filter(Boolean);
+
+  const invalid = steps.filter(step => step !== 'ROUTED' && !MODEL_TIERS.includes(step));
+  if (invalid.length > 0) {
+    log(`Invalid OREO_ESCALATION_LADDER step(s): ${invalid.join(', ')}. Use routed, HAIKU, SONNET or OPUS.`, 'ERROR');
+    process.exit(1);
+  }
+  return steps.length > 0 ? steps : ['ROUTED'];
+}
+
+/**
+ * Tier the escalation ladder gives an attempt - never below the routed tier.
+ */
+function escalationTier(routedTier, attempt) {
+  const ladder = CONFIG.escalationLadder;
+  const step = ladder[Math.min(attempt, ladder.length) - 1];
+  return step !== 'ROUTED' && MODEL_TIERS.indexOf(step) > MODEL_TIERS.indexOf(routedTier)
+    ? step
+    : routedTier;
+}
+
+/**
+ * Pick the model for an attempt at a task.
+ * Starts from the routed tier and climbs the escalation ladder on retries;
+ * never drops below the routed tier. The budget soft limit overrides both.
+ * @param {Object} task - Task from parseTasks()
+ * @param {number} [attempt=1] - 1-based attempt number
+ * @returns {{ model: Object, routedModel: Object, escalated: boolean }}
+ */
+function selectModel(task, attempt = 1) {
+  const models = getTaskModels(task);
+  const routedModel = routeTask(task);
+
+  // Budget soft limit: route everything to the cheapest model
+  const budget = getBudgetStatus(task);
+  if (budget.softLimit) {
+    log(`Budget: ${budget.softLimit} - forcing ${models.HAIKU.name}`, 'WARN');
+    return { model: models.HAIKU, routedModel, escalated: false };
+  }
+
+  const routedTier = getModelTier(routedModel);
+  const tier = escalationTier(routedTier, attempt);
 
-  return CONFIG.models.HAIKU; // Default to cheapest
+  if (tier !== routedTier) {
+    log(`Escalating Task ${task.id} from ${routedModel.name} to ${models[tier].name} (attempt ${attempt})`, 'WARN');
+  }
+  return { model: models[tier], routedModel, escalated: tier !== routedTier };
 }
 
 // ============================================================================
@@ -417,7 +1078,8 @@ function checkSessionIncomplete() {
 
     // Check 2: Look for incomplete numbered tasks
     // Match pattern: - [ ] **Task N:** (with actual number, not "N")
-    const incompleteTasks = content.match(/- \[ \] \*\*Task \d+:/g);
+    // Skipped [-] and quarantined [!] tasks also keep the session open
+    const incompleteTasks = content.match(/- \[[ !-]\] \*\*Task \d+:/g);
 
     if (incompleteTasks && incompleteTasks.length > 0) {
       log(`Found ${incompleteTasks.length} incomplete task(s) in cookie-crumbs.md`, 'INFO');
@@ -500,16 +1162,16 @@ function setupGitBranch() {
 
       if (currentStatus) {
         log('Committing changes on current branch before switching...', 'GIT');
-        execSync('git add .', {
-          cwd: CONFIG.paths.projectRoot,
-          stdio: 'ignore',
-          timeout: CONFIG.gitTimeoutMs
-        });
-        execSync('git commit -m "pre-oreo session backup"', {
-          cwd: CONFIG.paths.projectRoot,
-          stdio: 'ignore',
-          timeout: CONFIG.gitTimeoutMs
-        });
+        stageAllChanges(CONFIG.paths.projectRoot);
+        if (unstageStagedSecrets(CONFIG.paths.projectRoot).length > 0) {
+          log('Skipping the pre-oreo backup commit - the changes stay uncommitted', 'WARN');
+        } else if (hasStagedChanges(CONFIG.paths.projectRoot)) {
+          execSync('git commit -m "pre-oreo session backup"', {
+            cwd: CONFIG.paths.projectRoot,
+            stdio: 'ignore',
+            timeout: CONFIG.gitTimeoutMs
+          });
+        }
       }
 
       log('Switching to main branch...', 'GIT');
@@ -535,16 +1197,10 @@ function setupGitBranch() {
 
     // Commit any uncommitted changes first
     log('Git: Checking for uncommitted changes...', 'GIT');
-    execSync('git add .', {
-      cwd: CONFIG.paths.projectRoot,
-      stdio: 'ignore',
-      timeout: CONFIG.gitTimeoutMs
-    });
-    const status = execSync('git status --porcelain', {
-      cwd: CONFIG.paths.projectRoot,
-      timeout: CONFIG.gitTimeoutMs
-    }).toString();
-    if (status.trim()) {
+    stageAllChanges(CONFIG.paths.projectRoot);
+    if (unstageStagedSecrets(CONFIG.paths.projectRoot).length > 0) {
+      log('Skipping the pre-oreo backup commit - the changes stay uncommitted', 'WARN');
+    } else if (hasStagedChanges(CONFIG.paths.projectRoot)) {
       log('Committing pre-existing changes...', 'GIT');
       execSync('git commit -m "pre-oreo session backup"', {
         cwd: CONFIG.paths.projectRoot,
@@ -588,6 +1244,71 @@ function setupGitBranch() {
   }
 }
 
+/**
+ * Scan the staged changes for secrets (OREO_SECRET_SCAN) and unstage any
+ * file with a hit. Callers skip the commit when this returns files.
+ * @param {string} cwd - Checkout with the staged changes
+ * @param {Object|null} task - Task being committed (null for session commits)
+ * @returns {string[]} Files with a hit
+ */
+function unstageStagedSecrets(cwd, task = null) {
+  if (!CONFIG.secretScan) return [];
+
+  let result;
+  try {
+    result = unstageSecrets(cwd, {
+      envSecrets: loadEnvSecrets(CONFIG.paths.env),
+      timeoutMs: CONFIG.gitTimeoutMs
+    });
+  } catch (e) {
+    log(`Secret scan failed: ${e.message}`, 'WARN');
+    return [];
+  }
+  if (result.unstaged.length === 0) return [];
+
+  for (const finding of result.findings) {
+    log(`Secret scan: ${finding.rule} in ${finding.file}:${finding.line} (${finding.excerpt}) - commit blocked`, 'ERROR');
+  }
+  log('Remove the secret (or mark a fixture line with oreo:allow-secret); nothing is committed until then', 'WARN');
+  emitEvent('secret_detected', {
+    taskId: task ? task.id : null,
+    files: result.findings.map(({ file, line, rule }) => ({ file, line, rule }))
+  });
+  return result.unstaged;
+}
+
+// Runner state rewritten during the session and deleted by oro-archive (which
+// keeps its own copy under archives/) - keep it out of commits, and out of the
+// index where sessions before this change may have added it
+const SESSION_FILE_PATHSPECS = [
+  'oroboreo/.oreo-status.json',
+  'oroboreo/.oreo-state.json',
+  'oroboreo/oreo-events.jsonl',
+  'oroboreo/quarantine-report.md',
+  'oroboreo/cassette.jsonl',
+  'oroboreo/failed-attempts'
+];
+
+/**
+ * Stage everything in the checkout except the runner's session files.
+ */
+function stageAllChanges(cwd, stdio = 'ignore') {
+  const excludes = SESSION_FILE_PATHSPECS.map(p => `":(exclude)${p}"`).join(' ');
+  execSync(`git add -A -- . ${excludes}`, { cwd, stdio, timeout: CONFIG.gitTimeoutMs });
+  execSync(`git rm -r -q --cached --ignore-unmatch -- ${SESSION_FILE_PATHSPECS.join(' ')}`, { cwd, stdio: 'ignore', timeout: CONFIG.gitTimeoutMs });
+}
+
+function hasStagedChanges(cwd) {
+  return execSync('git diff --cached --name-only', {
+    cwd,
+    timeout: CONFIG.gitTimeoutMs
+  }).toString().trim() !== '';
+}
+
+/**
+ * Commit everything for a finished task. A secret scan hit blocks the commit.
+ * @returns {string[]} Files with a secret scan hit (empty when not blocked)
+ */
 function gitCommit(task) {
   try {
     log('Git: Starting commit operation...', 'GIT');
@@ -596,19 +1317,17 @@ function gitCommit(task) {
     cleanupNulFile();
 
     log('Git: Adding files...', 'GIT');
-    execSync('git add .', {
-      cwd: CONFIG.paths.projectRoot,
-      stdio: 'inherit',
-      timeout: CONFIG.gitTimeoutMs
-    });
+    stageAllChanges(CONFIG.paths.projectRoot, 'inherit');
 
-    log('Git: Checking status...', 'GIT');
-    const status = execSync('git status --porcelain', {
-      cwd: CONFIG.paths.projectRoot,
-      timeout: CONFIG.gitTimeoutMs
-    }).toString();
+    log('Git: Scanning staged changes for secrets...', 'GIT');
+    const secretFiles = unstageStagedSecrets(CONFIG.paths.projectRoot, task);
+    if (secretFiles.length > 0) {
+      log(`Not committing Task ${task.id} - secret scan hit in ${secretFiles.join(', ')}`, 'ERROR');
+      return secretFiles;
+    }
 
-    if (status.trim()) {
+    log('Git: Checking status...', 'GIT');
+    if (hasStagedChanges(CONFIG.paths.projectRoot)) {
       const msg = `Oreo: Completed Task ${task.id} (${task.title})`;
       log(`Git: Committing with message: "${msg}"`, 'GIT');
       execSync(`git commit -m "${msg}"`, {
@@ -617,6 +1336,11 @@ function gitCommit(task) {
         timeout: CONFIG.gitTimeoutMs
       });
       log(`Committed changes for Task ${task.id}`, 'GIT');
+      const sha = execSync('git rev-parse HEAD', {
+        cwd: CONFIG.paths.projectRoot,
+        timeout: CONFIG.gitTimeoutMs
+      }).toString().trim();
+      emitEvent('git_commit', { taskId: task.id, sha, message: msg });
     } else {
       log('No changes to commit', 'GIT');
     }
@@ -627,21 +1351,132 @@ function gitCommit(task) {
       log(`Git commit failed: ${e.message}`, 'WARN');
     }
   }
+  return [];
 }
 
 // ============================================================================
 // PROMPT CONSTRUCTION
 // ============================================================================
 
-function constructPrompt(task) {
-  // NOTE: creme-filling.md is intentionally NOT loaded here.
-  // It belongs to oro-generate and oro-feedback (PRD generation), which encode the
-  // project rules into the task descriptions in cookie-crumbs.md. Loading it per task
-  // would waste 250K+ tokens on every execution call.
+// How much failure context is kept per attempt in .oreo-state.json; the prompt
+// section is cut down further to OREO_RETRY_CONTEXT_TOKENS
+const ATTEMPT_OUTPUT_KEEP = 8000;
+const ATTEMPT_DIFF_KEEP = 30000;
+
+const ATTEMPT_OUTCOME_REASONS = {
+  'incomplete': 'The agent exited without marking the task [x] in cookie-crumbs.md',
+  'verification-failed': 'The task was marked complete but its Verification commands failed',
+  'protected-path': 'The attempt changed protected files',
+  'over-budget': 'The attempt changed more than the task\'s change budget allows',
+  'secret-detected': 'The secret scan found a secret in the attempt\'s changes, so nothing was committed'
+};
 
-  const progress = fs.existsSync(CONFIG.paths.progress)
-    ? fs.readFileSync(CONFIG.paths.progress, 'utf8')
-    : '';
+/**
+ * Uncommitted changes in a checkout, excluding oroboreo/ bookkeeping files.
+ * Untracked files are listed by name only.
+ */
+function captureWorkingTreeDiff(cwd) {
+  const run = command => execSync(command, {
+    cwd,
+    timeout: CONFIG.gitTimeoutMs,
+    maxBuffer: 10 * 1024 * 1024,
+    stdio: ['ignore', 'pipe', 'ignore']
+  }).toString();
+
+  try {
+    const diff = run('git diff HEAD -- . ":(exclude)oroboreo"');
+    const untracked = run('git ls-files --others --exclude-standard -- . ":(exclude)oroboreo"').trim();
+    return untracked
+      ? `${diff}${diff ? '\n' : ''}Untracked files:\n${untracked.split('\n').map(f => `  ${f}`).join('\n')}\n`
+      : diff;
+  } catch (e) {
+    return '';
+  }
+}
+
+/**
+ * Failure context for a retry: why the attempt ended, the tail of the agent's
+ * output, what it left in the working tree and any verification failures.
+ * @param {Object} info - { outcome, exitReason, output, cwd, verification }
+ * @returns {Object} Context stored in .oreo-state.json and passed to constructPrompt()
+ */
+function buildAttemptContext({ outcome, exitReason = null, output = '', cwd = null, verification = null }) {
+  // Never copy a detected secret into .oreo-state.json or the retry prompt
+  const diff = cwd && outcome !== 'secret-detected' ? captureWorkingTreeDiff(cwd) : '';
+  return {
+    outcome,
+    exitReason: exitReason || ATTEMPT_OUTCOME_REASONS[outcome] || 'unknown',
+    outputTail: (output || '').slice(-ATTEMPT_OUTPUT_KEEP),
+    diff: diff.length > ATTEMPT_DIFF_KEEP
+      ? `${diff.slice(0, ATTEMPT_DIFF_KEEP)}\n... [diff truncated, ${diff.length - ATTEMPT_DIFF_KEEP} more characters]`
+      : diff,
+    verification
+  };
+}
+
+/**
+ * Render the PREVIOUS ATTEMPT prompt section within a token budget (chars/4).
+ * Verification failures get up to 40% of the budget and the output tail up to
+ * 30%; the diff gets whatever is left.
+ */
+function formatPreviousAttempt(previousAttempt, maxTokens) {
+  const budget = maxTokens * 4;
+  const titles = {
+    'verification-failed': 'PREVIOUS ATTEMPT FAILED VERIFICATION',
+    'protected-path': 'PREVIOUS ATTEMPT CHANGED PROTECTED FILES',
+    'over-budget': 'PREVIOUS ATTEMPT WENT OVER ITS CHANGE BUDGET',
+    'secret-detected': 'PREVIOUS ATTEMPT COMMITTED A SECRET'
+  };
+  const intros = {
+    'verification-failed': 'This task was marked complete, but the runner executed its Verification commands and\nthey failed. Fix the cause before marking the task complete again.',
+    'protected-path': 'The files listed below are protected (oreo.config.json "protectedPaths"). The runner\nreverted your changes to them and failed the attempt. Complete the task without\ncreating, editing or deleting them - if the task seems to need it, say so in progress.txt.',
+    'over-budget': 'This task has a change budget (files changed, lines added and removed outside oroboreo/)\nand the attempt went over it, so the runner failed it. Make the smallest change that\ncompletes the task - touch only the files it needs and leave unrelated code alone.',
+    'secret-detected': 'The runner found what looks like a secret (API key, token, password) in your changes\nand refused to commit them. Remove it - read it from the environment or config\ninstead - or, for a deliberate test fixture, add oreo:allow-secret to the line.'
+  };
+  const title = titles[previousAttempt.outcome] || 'PREVIOUS ATTEMPT FAILED';
+  const intro = intros[previousAttempt.outcome] || 'Work out what went wrong before trying again - do not repeat the same approach blindly.';
+
+  const parts = [];
+  let remaining = budget;
+  const add = (heading, text, share, keepTail) => {
+    const trimmed = (text || '').trim();
+    if (!trimmed || remaining <= 0) return;
+    const limit = Math.min(remaining, Math.floor(budget * share));
+    const body = trimmed.length <= limit
+      ? trimmed
+      : (keepTail ? `... [truncated]\n${trimmed.slice(-limit)}` : `${trimmed.slice(0, limit)}\n... [truncated]`);
+    parts.push(`--- ${heading} ---\n${body}`);
+    remaining -= body.length;
+  };
+
+  if (previousAttempt.verification) {
+    add('Failed verification commands', formatVerificationFailures(previousAttempt.verification), 0.4, true);
+  }
+  add('End of the agent output', previousAttempt.outputTail, 0.3, true);
+  const diffHeading = previousAttempt.rolledBack
+    ? `Changes the attempt made (rolled back${previousAttempt.patchPath ? `, saved to ${previousAttempt.patchPath}` : ''} - you start from a clean tree)`
+    : 'Changes left in the working tree (git diff)';
+  add(diffHeading, previousAttempt.diff, 1, false);
+
+  return `
+===============================================================================
+${title}${previousAttempt.attempt ? ` (attempt ${previousAttempt.attempt})` : ''}
+===============================================================================
+${intro}
+
+Exit reason: ${previousAttempt.exitReason || 'unknown'}
+${parts.length > 0 ? `\n${parts.join('\n\n')}\n` : ''}`;
+}
+
+function constructPrompt(task, previousAttempt = null) {
+  // NOTE: creme-filling.md is intentionally NOT loaded here.
+  // It belongs to oro-generate and oro-feedback (PRD generation), which encode the
+  // project rules into the task descriptions in cookie-crumbs.md. Loading it per task
+  // would waste 250K+ tokens on every execution call.
+
+  const progress = fs.existsSync(CONFIG.paths.progress)
+    ? fs.readFileSync(CONFIG.paths.progress, 'utf8')
+    : '';
 
   // Truncate progress: keep header + tail
   const header = progress.slice(0, 5000);
@@ -650,48 +1485,1626 @@ function constructPrompt(task) {
     ? `${header}\n\n... [Truncated] ...\n\n${tail}`
     : progress;
 
-  return `
-===============================================================================
-PROGRESS HISTORY
-===============================================================================
-${history}
+  const previousAttemptSection = previousAttempt && CONFIG.retryContextTokens > 0
+    ? formatPreviousAttempt(previousAttempt, CONFIG.retryContextTokens)
+    : '';
+
+  return `
+===============================================================================
+PROGRESS HISTORY
+===============================================================================
+${history}
+
+===============================================================================
+CURRENT MISSION: Task ${task.id}
+===============================================================================
+**${task.title}**
+${task.details}
+${previousAttemptSection}
+===============================================================================
+EXECUTION RULES
+===============================================================================
+1. Complete the task described above.
+2. Follow the task instructions precisely.
+3. CRITICAL: When the task is done, you MUST edit oroboreo/cookie-crumbs.md to change "- [ ]" to "- [x]" for this task. This is how the system knows you finished. If you do not mark the checkbox, the task will be retried. Do NOT ask what to do next — just mark it and exit.
+4. Log important findings to progress.txt.
+   The runner re-runs the \`backtick\` commands in the task's **Verification:** field after you exit; if any fail, the task is unchecked and retried.
+5. Do NOT create unnecessary files or over-engineer.
+6. **Check oroboreo/tests/reusable/** for existing verification scripts before creating new ones.
+   Available tools: \`verify-ui.js\` (CLI runner), \`browser-utils.js\` (programmatic API).
+7. **Create session-specific tests** in oroboreo/tests/ (will be archived after session).
+8. **Create reusable tests** in oroboreo/tests/reusable/ for generic functionality (persists).
+9. Tests MUST be executable scripts (Node.js, bash, curl) - NOT manual browser checks.
+10. **MANDATORY for UI/frontend tasks:** You MUST verify UI changes with automated browser tests (Playwright Node.js library), NOT manual human verification.
+    - **Before testing:** Ensure the dev server is running. Start backend/frontend if needed (e.g., \`npm run dev &\`), then use \`--wait-for-server\` to confirm.
+    - Simple checks: \`node oroboreo/tests/reusable/verify-ui.js --url URL --wait-for-server --selector SELECTOR [--text TEXT]\`
+    - Form testing: \`node oroboreo/tests/reusable/verify-ui.js --url URL --wait-for-server --fill 'SEL=VAL' --click 'SEL' --selector SUCCESS_SEL\`
+    - Error checking: \`node oroboreo/tests/reusable/verify-ui.js --url URL --wait-for-server --check-errors\`
+    - Complex flows: use \`oroboreo/tests/reusable/browser-utils.js\` programmatically (call \`waitForServer(url)\` first).
+    - Check \`isPlaywrightInstalled()\` before using browser features. If not installed, log a warning and skip.
+    - NEVER write "human should manually verify" for UI tasks when Playwright is available.
+`;
+}
+
+// ============================================================================
+// AGENT EXECUTION
+// ============================================================================
+
+// Agent processes currently running -> task id (more than one in --parallel mode)
+const activeChildren = new Map();
+
+// Agent processes killed on purpose (oro-ctl) -> reason reported instead of the exit code
+const abortReasons = new Map();
+
+/**
+ * Wrap a write function so every output line is prefixed with a label.
+ * Used in --parallel mode to tell interleaved agent output apart.
+ */
+function createLinePrefixer(label, write) {
+  let atLineStart = true;
+  return (str) => {
+    let out = '';
+    for (const ch of str) {
+      if (atLineStart) out += `[${label}] `;
+      out += ch;
+      atLineStart = ch === '\n';
+    }
+    write(out);
+  };
+}
+
+/**
+ * Spawn one agent (via the adapter from oreo-agents.js) for a task and wait for it to finish.
+ *
+ * Resolves with the captured output and real token usage (null if the agent
+ * never reported it) when the agent exits cleanly, or when it is
+ * killed as a zombie after marking its task complete. Rejects on non-zero
+ * exit, spawn error or timeout; the error carries the run's output and usage
+ * (err.output, err.usage) so failed attempts can be costed.
+ *
+ * @param {Object} options
+ * @param {Object} options.task - Task being executed
+ * @param {Object} options.model - Model config from selectModel()
+ * @param {string} options.cwd - Working directory (project root or a task worktree)
+ * @param {string} options.promptPath - Prompt file passed to the agent
+ * @param {string} options.tasksPath - cookie-crumbs.md the agent marks complete
+ * @param {string} [options.label] - Output line prefix (parallel mode)
+ * @param {number} [options.attempt] - Attempt number (1 = first try)
+ * @returns {Promise<{ output: string, usage: Object|null }>}
+ */
+async function runAgent({ task, model, cwd, promptPath, tasksPath, label, attempt = 1 }) {
+  const adapter = getTaskAdapter(task);
+  const timeoutMs = task.directives.timeoutMs || CONFIG.taskTimeoutMs;
+  const tag = label ? ` [${label}]` : '';
+
+  // Resolve files from the task's **Files:** section for adapters that take them
+  const files = [];
+  if (adapter.usesFiles) {
+    for (const f of extractFilesFromTask(task.details || '')) {
+      const absPath = path.resolve(cwd, f.trim());
+      if (fs.existsSync(absPath)) {
+        files.push(absPath);
+      }
+    }
+    if (files.length > 0) {
+      log(`Passing ${files.length} file(s) to ${adapter.label}: ${files.map(f => path.relative(cwd, f)).join(', ')}`, 'INFO');
+    }
+  }
+
+  // Note: No chmod needed — spawn uses shell: true which bypasses the execute bit
+  const { command, args, env, description } = adapter.launch({
+    promptPath, model, tier: getModelTier(model), files, cwd, taskId: task.id, attempt, provider: task.directives.provider
+  });
+  log(`Using ${description}`, 'INFO');
+
+  const writeOut = label ? createLinePrefixer(label, s => process.stdout.write(s)) : s => process.stdout.write(s);
+  const writeErr = label ? createLinePrefixer(label, s => process.stderr.write(s)) : s => process.stderr.write(s);
+
+  log(`Spawning ${adapter.label} agent...${tag}`, 'INFO');
+
+  const outputParser = adapter.createOutputParser();
+  const recording = CONFIG.record ? startRecording(cwd) : null;
+  const eventIds = { taskId: task.id, attempt };
+  let emitExit = () => {};
+  let outputBuffer = '';
+  let childProcess = null;
+  let timeoutHandle = null;
+
+  // Create timeout promise
+  const timeoutPromise = new Promise((_, reject) => {
+    timeoutHandle = setTimeout(() => {
+      reject(new Error(`Task execution timeout after ${timeoutMs / 1000}s`));
+    }, timeoutMs);
+  });
+
+  // Create execution promise with heartbeat monitoring
+  const executionPromise = new Promise((resolve, reject) => {
+    childProcess = spawn(command, args, {
+      env,
+      cwd,
+      shell: true,
+      stdio: ['ignore', 'pipe', 'pipe']
+    });
+
+    // Store reference for graceful shutdown
+    activeChildren.set(childProcess, task.id);
+
+    // Log PID for debugging
+    log(`Agent spawned (PID: ${childProcess.pid})${tag}`, 'INFO');
+    emitEvent('agent_spawned', { ...eventIds, pid: childProcess.pid, adapter: adapter.name, cwd: path.relative(CONFIG.paths.projectRoot, cwd) || '.' });
+
+    let lastOutputTime = Date.now();
+    const agentStartTime = Date.now();
+    let exitEmitted = false;
+    emitExit = (exitCode, reason = null) => {
+      if (exitEmitted) return;
+      exitEmitted = true;
+      emitEvent('agent_exit', { ...eventIds, pid: childProcess.pid, exitCode, durationMs: Date.now() - agentStartTime, reason });
+    };
+
+    // Heartbeat check - detect silent hangs AND completed-but-stuck agents
+    const heartbeatInterval = setInterval(() => {
+      const silentTime = Date.now() - lastOutputTime;
+
+      // Check if task was already marked complete in cookie-crumbs.md
+      let currentTasks = [];
+      try {
+        currentTasks = parseTasks(tasksPath);
+        const currentTask = currentTasks.find(t => t.id === task.id);
+        if (currentTask && currentTask.completed) {
+          log(`Task ${task.id} marked complete but agent still running - killing zombie (PID: ${childProcess.pid})`, 'WARN');
+          clearInterval(heartbeatInterval);
+          emitExit(null, 'zombie');
+          try {
+            process.kill(childProcess.pid, 'SIGTERM');
+            setTimeout(() => {
+              try { process.kill(childProcess.pid, 'SIGKILL'); } catch (e) {}
+            }, 5000);
+          } catch (e) {}
+          resolve();
+          return;
+        }
+      } catch (e) {
+        // If parsing fails, continue with normal heartbeat
+      }
+
+      if (silentTime > CONFIG.silentWarningMs) {
+        log(`WARNING: No output from agent for ${Math.floor(silentTime / 1000)}s (PID: ${childProcess.pid})`, 'WARN');
+      }
+
+      // --- Improvement 4: Elapsed time vs expected ---
+      const elapsedMs = Date.now() - agentStartTime;
+      emitEvent('heartbeat', { ...eventIds, pid: childProcess.pid, elapsedMs, silentMs: silentTime });
+      const elapsedMin = Math.floor(elapsedMs / 60000);
+      const expectedMin = Math.floor(CONFIG.expectedTaskDurationMs / 60000);
+      if (elapsedMs <= CONFIG.expectedTaskDurationMs) {
+        const pct = Math.round((elapsedMs / CONFIG.expectedTaskDurationMs) * 100);
+        log(`[HEARTBEAT]${tag} Elapsed: ${elapsedMin}m/${expectedMin}m expected (${pct}%)`, 'INFO');
+      } else {
+        log(`[HEARTBEAT]${tag} Elapsed: ${elapsedMin}m (over ${expectedMin}m expected)`, 'WARN');
+      }
+
+      // --- Improvement 3: Cookie-Crumbs task status ---
+      try {
+        const totalTasks = currentTasks.length;
+        const completedTasks = currentTasks.filter(t => t.completed).length;
+        const current = currentTasks.find(t => t.id === task.id && !t.completed);
+        const currentLabel = current
+          ? `Task ${current.id} - ${current.title.substring(0, 50)}`
+          : 'none';
+        log(`[HEARTBEAT]${tag} Tasks: ${completedTasks}/${totalTasks} | Current: ${currentLabel}`, 'INFO');
+      } catch (e) {
+        // Silently ignore
+      }
+
+      // --- Improvement 1: Progress file tail ---
+      try {
+        const progressPath = path.join(path.dirname(tasksPath), 'progress.txt');
+        if (fs.existsSync(progressPath)) {
+          const progressContent = fs.readFileSync(progressPath, 'utf8');
+          const progressLines = progressContent.trim().split('\n');
+          const tail = progressLines.slice(-3).map(l => l.trim()).join(' | ');
+          if (tail) {
+            log(`[HEARTBEAT]${tag} Progress tail: ${tail}`, 'INFO');
+          }
+        }
+      } catch (e) {
+        // File may not exist yet, silently ignore
+      }
+
+      // --- Improvement 2: Recently modified files ---
+      const files = findRecentlyModifiedFiles(cwd, 2);
+      if (files.length > 0) {
+        log(`[HEARTBEAT]${tag} Files modified (last 2m): ${files.length} | Latest: ${path.basename(files[0])}`, 'INFO');
+      }
+
+    }, CONFIG.heartbeatIntervalMs);
+
+    const handleStdout = (str) => {
+      if (!str) return;
+      writeOut(str);
+      outputBuffer += str;
+      fs.appendFileSync(CONFIG.paths.log, str);
+    };
+
+    childProcess.stdout.on('data', (data) => {
+      lastOutputTime = Date.now();
+      if (recording) recording.stdout += data.toString();
+      handleStdout(outputParser.write(data));
+    });
+
+    childProcess.stderr.on('data', (data) => {
+      lastOutputTime = Date.now();
+      const str = data.toString();
+      writeErr(str);
+      outputBuffer += str;
+      fs.appendFileSync(CONFIG.paths.log, str);
+    });
+
+    // 'close' (not 'exit') so the final result event has been read from stdout
+    childProcess.on('close', (code) => {
+      clearInterval(heartbeatInterval);
+      activeChildren.delete(childProcess);
+      handleStdout(outputParser.end());
+      if (recording) recording.exitCode = code;
+      log(`Agent exited (PID: ${childProcess.pid}, code: ${code})${tag}`, 'INFO');
+      const abortReason = abortReasons.get(childProcess);
+      abortReasons.delete(childProcess);
+      emitExit(code, abortReason ? 'aborted' : null);
+      if (abortReason) reject(new Error(abortReason));
+      else if (code === 0) resolve();
+      else reject(new Error(`Exit code ${code}`));
+    });
+
+    childProcess.on('error', (err) => {
+      clearInterval(heartbeatInterval);
+      activeChildren.delete(childProcess);
+      log(`Agent spawn error (PID: ${childProcess.pid}): ${err.message}`, 'ERROR');
+      emitExit(null, 'spawn-error');
+      reject(err);
+    });
+  });
+
+  // Race between execution and timeout
+  try {
+    await Promise.race([executionPromise, timeoutPromise]);
+  } catch (err) {
+    if (err.message.includes('timeout')) {
+      log(`Agent timeout detected - attempting to kill process (PID: ${childProcess ? childProcess.pid : 'unknown'})`, 'ERROR');
+      emitExit(null, 'timeout');
+      if (childProcess && childProcess.pid) {
+        try {
+          process.kill(childProcess.pid, 'SIGTERM');
+          setTimeout(() => {
+            try {
+              // Force kill if still alive after 5s
+              process.kill(childProcess.pid, 'SIGKILL');
+              log(`Force killed hung process (PID: ${childProcess.pid})`, 'ERROR');
+            } catch (killErr) {
+              // Process already dead
+            }
+          }, 5000);
+        } catch (killErr) {
+          log(`Failed to kill hung process: ${killErr.message}`, 'ERROR');
+        }
+      }
+    }
+    err.output = outputBuffer;
+    err.usage = outputParser.getUsage();
+    if (recording) recordAgentRun(recording, { task, model, attempt, promptPath, tasksPath, error: err.message });
+    throw err;
+  } finally {
+    clearTimeout(timeoutHandle);
+  }
+
+  if (recording) recordAgentRun(recording, { task, model, attempt, promptPath, tasksPath, error: null });
+  return { output: outputBuffer, usage: outputParser.getUsage() };
+}
+
+/**
+ * Agents that cannot mark their own tasks complete (Aider, command adapters
+ * without "checkbox" completion) - do it on their behalf after a clean exit,
+ * if the adapter sees the task as done in the output.
+ * @param {Object} task - Task that was executed
+ * @param {string} output - Agent's captured output
+ * @param {string} tasksPath - cookie-crumbs.md to update
+ */
+function markAgentCompletion(task, output, tasksPath) {
+  const adapter = getTaskAdapter(task);
+  if (adapter.marksCompletion) return;
+
+  const reason = adapter.detectCompletion(output);
+  if (reason) {
+    if (setTaskChecked(tasksPath, task.id, true)) {
+      log(`${adapter.label}: marked Task ${task.id} complete (${reason})`, 'INFO');
+    }
+  } else {
+    log(`${adapter.label}: no completion detected for Task ${task.id} — will retry`, 'WARN');
+  }
+}
+
+/**
+ * Set or clear the checkbox of a task in a cookie-crumbs.md file.
+ * @param {string} tasksPath - cookie-crumbs.md path
+ * @param {number} taskId - Task id
+ * @param {boolean} checked - true for [x], false for [ ]
+ * @returns {boolean} True if the file was changed
+ */
+function setTaskChecked(tasksPath, taskId, checked) {
+  return setTaskMark(tasksPath, taskId, checked ? 'x' : ' ', checked ? ' ' : 'x');
+}
+
+/**
+ * Set the checkbox mark of a task: ' ' (pending), 'x' (complete) or '-' (skipped).
+ * @param {string} [fromMark] - Only change the task if it currently has this mark
+ * @returns {boolean} True if the file was changed
+ */
+function setTaskMark(tasksPath, taskId, mark, fromMark = null) {
+  const content = fs.readFileSync(tasksPath, 'utf8');
+  const current = fromMark === null ? '[ xX!-]' : (fromMark === 'x' ? '[xX]' : `[${fromMark}]`);
+  const taskPattern = new RegExp(`^(-\\s*)\\[${current}\\](\\s*\\*\\*Task\\s+${taskId}:)`, 'm');
+  if (!taskPattern.test(content)) return false;
+  fs.writeFileSync(tasksPath, content.replace(taskPattern, `$1[${mark}]$2`), 'utf8');
+  return true;
+}
+
+// ============================================================================
+// LIFECYCLE HOOKS (oreo.config.json "hooks", see oreo-hooks.js)
+// ============================================================================
+
+// Hooks whose failure stops the session or fails the attempt; the rest only warn
+const BLOCKING_HOOKS = ['beforeSession', 'beforeTask', 'afterTask'];
+
+/**
+ * Payload passed to every hook: session, task, model, attempt, cost and exit status.
+ */
+function buildHookPayload({ task = null, model = null, attempt = null, attemptCost = null, outcome = null, error = null, exhausted = false } = {}) {
+  const sessionCost = loadCostLog().session.totalCost || 0;
+  return {
+    session: {
+      branch: sessionState.branch,
+      provider: sessionState.provider,
+      agent: CONFIG.agent ? CONFIG.agent.label : null,
+      costUSD: sessionCost
+    },
+    task,
+    model: model ? { name: model.name, id: model.id, tier: getModelTier(model) } : null,
+    attempt,
+    maxAttempts: maxAttemptsFor(task),
+    cost: { attemptUSD: attemptCost, sessionUSD: sessionCost },
+    exitStatus: { outcome, error },
+    exhausted
+  };
+}
+
+/**
+ * Run one lifecycle hook and log what failed.
+ * @returns {Promise<{ ok: boolean, error: string|null, output: string }>}
+ *   error reads "<hook> hook failed: ..." for the attempt history
+ */
+async function runLifecycleHook(name, payload, cwd) {
+  if (!CONFIG.hooks[name]) return { ok: true, error: null, output: '' };
+
+  const result = await runHook(CONFIG.hooks, name, payload, { cwd });
+  const report = (failure, type, note = '') => {
+    log(`Hook ${name} failed${note}: ${failure.label} - ${failure.error}`, type);
+    if (failure.output) log(failure.output.split('\n').slice(-10).join('\n'), type);
+  };
+  result.failures.forEach(f => report(f, BLOCKING_HOOKS.includes(name) ? 'ERROR' : 'WARN'));
+  result.warnings.forEach(f => report(f, 'WARN', ' (continueOnError)'));
+
+  if (result.ok) return { ok: true, error: null, output: '' };
+  return {
+    ok: false,
+    error: `${name} hook failed: ${result.failures.map(f => `${f.label} (${f.error})`).join('; ')}`,
+    output: result.failures.map(f => f.output).filter(Boolean).join('\n')
+  };
+}
+
+/**
+ * Run the onTaskFail hook after a failed attempt.
+ */
+async function runTaskFailHook(task, model, attempt, { outcome, error = null, attemptCost = null }) {
+  await runLifecycleHook('onTaskFail', buildHookPayload({
+    task, model, attempt, attemptCost, outcome, error,
+    exhausted: attempt >= maxAttemptsFor(task)
+  }), CONFIG.paths.projectRoot);
+}
+
+/**
+ * End the session: run the afterSession hook, then exit.
+ * @param {string} status - complete, skipped, quarantined, stalled, aborted, drained, budget or max-loops
+ */
+async function endSession(status, exitCode) {
+  sessionState.running = false;
+  emitEvent('session_end', { status, exitCode, costUSD: loadCostLog().session.totalCost || 0 });
+  await runLifecycleHook('afterSession', { ...buildHookPayload(), status, exitCode }, CONFIG.paths.projectRoot);
+  process.exit(exitCode);
+}
+
+// ============================================================================
+// RECORD & REPLAY (--record / --replay, see oreo-cassette.js)
+// ============================================================================
+
+/**
+ * Start recording an agent run: checkpoint the working tree so the run's
+ * diff can be taken afterwards.
+ */
+function startRecording(cwd) {
+  let checkpoint = null;
+  try {
+    checkpoint = createCheckpoint(cwd, CONFIG.gitTimeoutMs);
+  } catch (e) {
+    log(`Recording: could not checkpoint ${cwd} - the run's diff will be missing: ${e.message}`, 'WARN');
+  }
+  return { cwd, checkpoint, stdout: '', exitCode: null, startedAt: Date.now() };
+}
+
+/**
+ * Append a finished agent run to the cassette. Never fails the task.
+ */
+function recordAgentRun(recording, { task, model, attempt, promptPath, tasksPath, error }) {
+  try {
+    const diff = recording.checkpoint ? diffSinceCheckpoint(recording.checkpoint) : '';
+    const adapter = getTaskAdapter(task);
+    appendCassetteEntry(CONFIG.paths.cassette, {
+      recordedAt: new Date().toISOString(),
+      taskId: task.id,
+      taskTitle: task.title,
+      attempt,
+      adapter: adapter.name,
+      output: adapter.output,
+      model: model.id,
+      tier: getModelTier(model),
+      prompt: fs.readFileSync(promptPath, 'utf8'),
+      stdout: recording.stdout,
+      exitCode: recording.exitCode,
+      error,
+      completed: !!parseTasks(tasksPath).find(t => t.id === task.id)?.completed,
+      diff,
+      durationMs: Date.now() - recording.startedAt
+    });
+  } catch (e) {
+    log(`Recording: could not save Task ${task.id} attempt ${attempt} to the cassette: ${e.message}`, 'WARN');
+  }
+}
+
+// ============================================================================
+// VERIFICATION (runner-enforced)
+// ============================================================================
+
+// Output kept per verification command (tail) - enough to debug, small enough for a prompt
+const VERIFICATION_OUTPUT_LIMIT = 4000;
+
+// How long a command gets after SIGTERM before its process group is SIGKILLed
+const KILL_GRACE_MS = 5000;
+
+/**
+ * Extract shell commands from a task's **Verification:** field.
+ * Commands are the `backtick` spans on the Verification line and any lines
+ * below it up to the next **Field:**. Spans without whitespace are skipped -
+ * those are file names or identifiers, not commands.
+ * @param {string} details - Task details from parseTasks()
+ * @returns {string[]} Commands in the order they appear
+ */
+function extractVerificationCommands(details) {
+  const lines = (details || '').split('\n');
+  const commands = [];
+  let inVerification = false;
+
+  for (const line of lines) {
+    if (/\*\*Verification:\*\*/i.test(line)) {
+      inVerification = true;
+    } else if (inVerification && /^-?\s*\*\*[^*]+:\*\*/.test(line)) {
+      break;
+    }
+    if (!inVerification) continue;
+
+    for (const match of line.matchAll(/`([^`]+)`/g)) {
+      const command = match[1].trim();
+      if (/\s/.test(command)) {
+        commands.push(command);
+      }
+    }
+  }
+
+  return commands;
+}
+
+/**
+ * Run one shell command with a timeout.
+ * @returns {Promise<{ command, exitCode, timedOut, output }>}
+ */
+function runVerificationCommand(command, cwd, timeoutMs) {
+  return new Promise((resolve) => {
+    let output = '';
+    let timedOut = false;
+    let settled = false;
+    let forceTimer = null;
+    const finish = (result) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      clearTimeout(forceTimer);
+      resolve(result);
+    };
+    const child = spawn(command, {
+      cwd,
+      shell: true,
+      detached: process.platform !== 'win32',
+      stdio: ['ignore', 'pipe', 'pipe']
+    });
+
+    const append = (data) => {
+      output = (output + data.toString()).slice(-VERIFICATION_OUTPUT_LIMIT);
+    };
+    child.stdout.on('data', append);
+    child.stderr.on('data', append);
+
+    const timer = setTimeout(() => {
+      timedOut = true;
+      killProcessTree(child);
+      // Don't wait on 'close' forever - a stray child can keep the pipes open past SIGKILL
+      forceTimer = setTimeout(() => {
+        child.stdout.destroy();
+        child.stderr.destroy();
+        finish({ command, exitCode: null, timedOut, output });
+      }, KILL_GRACE_MS + 1000);
+    }, timeoutMs);
+
+    child.on('error', (err) => {
+      finish({ command, exitCode: null, timedOut, output: `${output}\n${err.message}` });
+    });
+    child.on('close', (code) => {
+      finish({ command, exitCode: timedOut ? null : code, timedOut, output });
+    });
+  });
+}
+
+/**
+ * SIGTERM a command's process group, then SIGKILL it if it is still around
+ * after KILL_GRACE_MS (commands can trap or ignore SIGTERM).
+ */
+function killProcessTree(child) {
+  if (!child.pid) return;
+  const signal = (name) => {
+    try {
+      // Negative pid kills the whole process group (detached children lead their own group)
+      process.kill(process.platform === 'win32' ? child.pid : -child.pid, name);
+    } catch (e) {
+      try { child.kill(name); } catch (e2) {}
+    }
+  };
+  signal('SIGTERM');
+  setTimeout(() => signal('SIGKILL'), KILL_GRACE_MS).unref();
+}
+
+/**
+ * Run a task's Verification commands after the agent marked it complete.
+ * Commands ending in `&` (dev servers etc.) are started in the background and
+ * stopped once the remaining commands have finished.
+ * @param {Object} task - Task from parseTasks()
+ * @param {string} cwd - Directory to run the commands in
+ * @returns {Promise<{ passed: boolean, results: Array }>}
+ */
+async function runVerification(task, cwd) {
+  const commands = extractVerificationCommands(task.details);
+  if (!CONFIG.verification.enabled || commands.length === 0) {
+    return { passed: true, results: [] };
+  }
+
+  log(`Verification: running ${commands.length} command(s) for Task ${task.id}`, 'INFO');
+  const background = [];
+  const results = [];
+
+  try {
+    for (const command of commands) {
+      if (command.endsWith('&')) {
+        const bgCommand = command.replace(/&\s*$/, '').trim();
+        log(`Verification: starting in background: ${bgCommand}`, 'INFO');
+        background.push(spawn(bgCommand, {
+          cwd,
+          shell: true,
+          detached: process.platform !== 'win32',
+          stdio: 'ignore'
+        }));
+        continue;
+      }
+
+      const result = await runVerificationCommand(command, cwd, CONFIG.verification.timeoutMs);
+      results.push(result);
+      if (result.exitCode === 0) {
+        log(`Verification passed: ${command}`, 'SUCCESS');
+      } else {
+        const reason = result.timedOut
+          ? `timed out after ${CONFIG.verification.timeoutMs / 1000}s`
+          : `exit code ${result.exitCode}`;
+        log(`Verification FAILED (${reason}): ${command}`, 'ERROR');
+      }
+    }
+  } finally {
+    background.forEach(child => killProcessTree(child));
+  }
+
+  return { passed: results.every(r => r.exitCode === 0), results };
+}
+
+/**
+ * Format failed verification results for the next attempt's prompt.
+ */
+function formatVerificationFailures(verification) {
+  return verification.results
+    .filter(r => r.exitCode !== 0)
+    .map(r => {
+      const status = r.timedOut ? 'TIMED OUT' : `exit code ${r.exitCode}`;
+      return `$ ${r.command}\n[${status}]\n${r.output.trim() || '(no output)'}`;
+    })
+    .join('\n\n');
+}
+
+// ============================================================================
+// FAILED ATTEMPTS (OREO_FAILED_ATTEMPT_POLICY)
+// ============================================================================
+
+/**
+ * Checkpoint the working tree before an attempt, unless the policy keeps failed
+ * edits and the task has no change budget to measure against it.
+ * @returns {Object|null} Checkpoint from oreo-checkpoint.js
+ */
+function checkpointBeforeAttempt(cwd, task) {
+  if (CONFIG.failedAttemptPolicy === 'keep' && !getChangeBudget(task)) return null;
+  try {
+    const checkpoint = createCheckpoint(cwd, CONFIG.gitTimeoutMs);
+    if (!checkpoint) log('No commit to checkpoint against - failed edits will be kept', 'WARN');
+    return checkpoint;
+  } catch (e) {
+    log(`Checkpoint failed: ${e.message} - failed edits will be kept`, 'WARN');
+    return null;
+  }
+}
+
+/**
+ * Apply the failed-attempt policy: save the attempt's edits as a patch
+ * (patch policy) and restore the checkpoint.
+ * @returns {Object} { rolledBack, patchPath } for the attempt context
+ */
+function discardFailedAttempt(task, attempt, checkpoint) {
+  const outcome = { rolledBack: false, patchPath: null };
+  if (!checkpoint || CONFIG.failedAttemptPolicy === 'keep') return outcome;
+
+  try {
+    if (CONFIG.failedAttemptPolicy === 'patch') {
+      const patchPath = path.join(CONFIG.paths.failedAttempts, `task-${task.id}-attempt-${attempt}.patch`);
+      if (saveFailedAttemptPatch(checkpoint, patchPath)) {
+        outcome.patchPath = path.relative(CONFIG.paths.projectRoot, patchPath);
+        log(`Saved Task ${task.id} attempt ${attempt} edits to ${outcome.patchPath}`, 'GIT');
+      }
+    }
+    // Parallel worktrees are thrown away after each attempt - nothing to restore
+    if (checkpoint.cwd === CONFIG.paths.projectRoot) {
+      const deleted = rollbackToCheckpoint(checkpoint);
+      outcome.rolledBack = true;
+      log(`Rolled back Task ${task.id} attempt ${attempt}${deleted.length > 0 ? ` (removed ${deleted.length} new file(s))` : ''}`, 'GIT');
+    }
+  } catch (e) {
+    log(`Could not discard failed attempt: ${e.message}`, 'WARN');
+  }
+  return outcome;
+}
+
+// ============================================================================
+// PROTECTED PATHS (oreo.config.json "protectedPaths", see oreo-protected.js)
+// ============================================================================
+
+/**
+ * Snapshot the protected files before an attempt.
+ * @returns {Object|null} Snapshot, or null when nothing is protected
+ */
+function snapshotBeforeAttempt(cwd) {
+  if (!CONFIG.protectedPaths) return null;
+  try {
+    return snapshotProtectedFiles(cwd, CONFIG.protectedPaths);
+  } catch (e) {
+    log(`Could not snapshot protected paths: ${e.message} - they are not guarded this attempt`, 'WARN');
+    return null;
+  }
+}
+
+/**
+ * Revert every protected file the attempt changed.
+ * @returns {string|null} Why the attempt fails, or null if no protected file changed
+ */
+function enforceProtectedPaths(task, attempt, snapshot) {
+  if (!snapshot) return null;
+  let violations;
+  try {
+    violations = restoreProtectedFiles(snapshot);
+  } catch (e) {
+    log(`Could not check protected paths: ${e.message}`, 'WARN');
+    return null;
+  }
+  if (violations.length === 0) return null;
+
+  for (const v of violations) {
+    log(`Task ${task.id} ${v.change} protected file ${v.path} (matches "${v.pattern}") - reverted`, 'ERROR');
+  }
+  emitEvent('protected_path_violation', { taskId: task.id, attempt, files: violations });
+  return `Changed protected files (reverted): ${violations.map(v => `${v.path} (${v.change})`).join(', ')}`;
+}
+
+// ============================================================================
+// CHANGE BUDGET (oreo.config.json "changeBudget" / **Budget:**, see oreo-change-budget.js)
+// ============================================================================
+
+/**
+ * SIMPLE, COMPLEX or CRITICAL - the task's tag, else how it was routed.
+ */
+function taskComplexity(task) {
+  const text = (task.title + ' ' + task.details).toLowerCase();
+  const tag = ['simple', 'complex', 'critical'].find(t => text.includes(`[${t}]`));
+  if (tag) return tag.toUpperCase();
+  return getModelTier(classifyTask(task).model) === 'HAIKU' ? 'SIMPLE' : 'COMPLEX';
+}
+
+/**
+ * Limits for a task: its complexity's defaults with its **Budget:** line on top.
+ * @returns {Object|null} null when the task's changes are not limited
+ */
+function getChangeBudget(task) {
+  return resolveChangeBudget(CONFIG.changeBudgets, taskComplexity(task), parseTaskBudget(task.details));
+}
+
+/**
+ * Measure what the attempt changed since its checkpoint against the task's budget.
+ * @returns {string|null} Why the attempt fails, or null if it stayed within budget
+ */
+function enforceChangeBudget(task, attempt, checkpoint) {
+  const limits = getChangeBudget(task);
+  if (!limits || !checkpoint) return null;
+  let stat;
+  try {
+    stat = diffStatSinceCheckpoint(checkpoint);
+  } catch (e) {
+    log(`Could not measure Task ${task.id} changes: ${e.message} - change budget not checked`, 'WARN');
+    return null;
+  }
+  const exceeded = checkChangeBudget(stat, limits);
+  if (exceeded.length === 0) return null;
+
+  const overrun = formatBudgetOverrun(exceeded);
+  log(`Task ${task.id} went over its change budget (${formatChangeBudget(limits)}): ${overrun}`, 'ERROR');
+  emitEvent('change_budget_exceeded', {
+    taskId: task.id,
+    attempt,
+    budget: limits,
+    files: stat.files,
+    added: stat.added,
+    removed: stat.removed
+  });
+  return `Over change budget (${formatChangeBudget(limits)}): ${overrun}`;
+}
+
+// ============================================================================
+// QUARANTINE (OREO_QUARANTINE_FAILED)
+// ============================================================================
+// A task that runs out of retries is marked [!] with a **Failed:** reason
+// instead of stopping the loop. Tasks that don't depend on it keep running;
+// at the end quarantine-report.md lists what failed and what it blocked, in a
+// form oro-feedback --quarantine can turn into fix tasks.
+
+/**
+ * Mark a task [!] in cookie-crumbs.md with a **Failed:** line under its title
+ * (replacing any earlier one), and flag it in the loop state.
+ */
+function quarantineTask(state, task, reason, tasksPath = CONFIG.paths.tasks) {
+  const oneLine = (reason || 'unknown error').replace(/\s+/g, ' ').trim().substring(0, 300);
+  const failedLine = `  - **Failed:** ${oneLine} (${maxAttemptsFor(task)} attempts)`;
+
+  const lines = fs.readFileSync(tasksPath, 'utf8').split('\n');
+  const header = new RegExp(`^(-\\s*)\\[[ xX!-]\\](\\s*\\*\\*Task\\s+${task.id}:)`);
+  const i = lines.findIndex(line => header.test(line));
+  if (i !== -1) {
+    lines[i] = lines[i].replace(header, '$1[!]$2');
+    let j = i + 1;
+    while (j < lines.length && (lines[j].startsWith('  -') || lines[j].startsWith('    '))) {
+      if (/\*\*Failed:\*\*/.test(lines[j])) {
+        lines.splice(j, 1);
+      } else {
+        j++;
+      }
+    }
+    lines.splice(i + 1, 0, failedLine);
+    fs.writeFileSync(tasksPath, lines.join('\n'), 'utf8');
+  }
+
+  const entry = getTaskState(state, task.id);
+  entry.quarantined = true;
+  entry.quarantinedAt = new Date().toISOString();
+  saveLoopState(state);
+  emitEvent('task_quarantined', { taskId: task.id, reason: oneLine });
+}
+
+/**
+ * A quarantined task that is runnable again was reset to [ ] by hand or by
+ * oro-feedback - give it a fresh set of retries.
+ */
+function releaseQuarantine(state, task) {
+  const entry = getTaskState(state, task.id);
+  if (!entry.quarantined) return;
+  entry.quarantined = false;
+  entry.attempts = 0;
+  entry.lastError = null;
+  saveLoopState(state);
+  log(`Task ${task.id} is no longer quarantined - retry count reset`, 'INFO');
+}
+
+/**
+ * Incomplete tasks that depend on a task, directly or through other tasks.
+ */
+function findBlockedTasks(tasks, taskId) {
+  const blocked = new Set();
+  let frontier = [taskId];
+  while (frontier.length > 0) {
+    const next = tasks.filter(t => !t.completed && !blocked.has(t.id) && t.dependsOn.some(id => frontier.includes(id)));
+    next.forEach(t => blocked.add(t.id));
+    frontier = next.map(t => t.id);
+  }
+  return tasks.filter(t => blocked.has(t.id));
+}
+
+/**
+ * Write quarantine-report.md for the quarantined tasks.
+ * @param {Array} tasks - Tasks from parseTasks()
+ * @param {Object} state - Loop state (attempt history and last errors)
+ * @returns {string} Report path
+ */
+function writeQuarantineReport(tasks, state) {
+  const failed = tasks.filter(t => t.failed);
+  const sections = failed.map(task => {
+    const entry = state.tasks[task.id] || { history: [] };
+    const attempts = entry.history
+      .filter(h => h.outcome !== 'completed')
+      .slice(-maxAttemptsFor(task))
+      .map(h => `- Attempt ${h.attempt} (${h.model}${h.escalated ? `, escalated from ${h.routedModel}` : ''}): ${h.outcome}${h.error ? ` - ${h.error}` : ''}`);
+    const blocked = findBlockedTasks(tasks, task.id);
+    const lastVerification = entry.lastAttempt && entry.lastAttempt.verification;
+    const verification = lastVerification
+      ? `\n**Last verification failure:**\n\n\`\`\`\n${formatVerificationFailures(lastVerification)}\n\`\`\`\n`
+      : '';
+
+    return `## Task ${task.id}: ${task.title}
+
+**Reason:** ${entry.lastError || 'unknown error'}
+**Blocks:** ${blocked.length > 0 ? blocked.map(t => `Task ${t.id}`).join(', ') : 'nothing'}
+
+**Attempts:**
+${attempts.join('\n') || '- (no attempt history)'}
+${verification}
+**Task as written:**
+
+${task.details.split('\n').map(line => `    ${line}`).join('\n')}
+`;
+  });
+
+  const report = `# Quarantine Report
+
+**Created**: ${new Date().toISOString().slice(0, 16).replace('T', ' ')}
+**Quarantined**: ${failed.map(t => `Task ${t.id}`).join(', ')}
+
+These tasks failed every attempt they had and were marked \`[!]\` in cookie-crumbs.md so the rest of the session could continue.
+
+## How to fix
+
+For each quarantined task, find why the attempts failed, then rewrite the task in place in cookie-crumbs.md:
+- Change \`[!]\` back to \`[ ]\` and delete its \`**Failed:**\` line
+- Revise its Details and Verification so the next attempt can succeed
+- Keep the task number - the tasks it blocks depend on it
+- If the fix needs groundwork first, add new tasks for it and list them in the task's \`**Depends:**\` line
+
+${sections.join('\n')}`;
+
+  fs.writeFileSync(CONFIG.paths.quarantineReport, report, 'utf8');
+  return CONFIG.paths.quarantineReport;
+}
+
+// ============================================================================
+// CONTROL CHANNEL (oro-ctl)
+// ============================================================================
+
+const CONTROL_POLL_MS = 2000;
+
+// Set by oro-ctl commands, read by the main loop
+const controlState = {
+  paused: false,
+  draining: false
+};
+
+/**
+ * Kill the agent running a task (or every running agent) on request.
+ * runAgent() rejects with the given reason instead of a bare exit code.
+ * @returns {number} Number of agents signalled
+ */
+function abortAgents(taskId, reason) {
+  let count = 0;
+  for (const [child, runningTaskId] of activeChildren) {
+    if (taskId !== null && runningTaskId !== taskId) continue;
+    abortReasons.set(child, reason);
+    try {
+      process.kill(child.pid, 'SIGTERM');
+      setTimeout(() => {
+        try { process.kill(child.pid, 'SIGKILL'); } catch (e) {}
+      }, 5000);
+    } catch (e) {}
+    count++;
+  }
+  return count;
+}
+
+/**
+ * Apply one oro-ctl command.
+ */
+function applyControlCommand({ command, taskId }, source = 'oro-ctl') {
+  log(`${source}: ${command}${taskId !== null && taskId !== undefined ? ` ${taskId}` : ''}`, 'INFO');
+
+  if (command === 'pause') {
+    controlState.paused = true;
+    log('Pausing after the current task finishes. Run `oro-ctl resume` to continue.', 'WARN');
+  } else if (command === 'resume') {
+    controlState.paused = false;
+    log('Resumed.', 'INFO');
+  } else if (command === 'drain') {
+    controlState.draining = true;
+    log('Draining: finishing the current task, then saving state and exiting.', 'WARN');
+  } else if (command === 'skip') {
+    const task = parseTasks().find(t => t.id === taskId);
+    if (!task) {
+      log(`oro-ctl: Task ${taskId} not found - ignoring skip`, 'WARN');
+    } else if (task.completed) {
+      log(`oro-ctl: Task ${taskId} is already complete - ignoring skip`, 'WARN');
+    } else {
+      setTaskMark(CONFIG.paths.tasks, taskId, '-');
+      log(`Task ${taskId} marked skipped ([-])`, 'WARN');
+      if (abortAgents(taskId, `Task ${taskId} skipped by oro-ctl`) > 0) {
+        log(`Stopping the agent working on Task ${taskId}`, 'WARN');
+      }
+    }
+  } else if (command === 'abort-task') {
+    const id = taskId === undefined ? null : taskId;
+    const count = abortAgents(id, 'Aborted by oro-ctl');
+    if (count === 0) {
+      log(`oro-ctl: no running agent${id !== null ? ` for Task ${id}` : ''} to abort`, 'WARN');
+    } else {
+      log(`Killing ${count} agent(s) - the attempt counts as failed`, 'WARN');
+    }
+  }
+
+  sessionState.control = { ...controlState };
+  writeStatusFile();
+}
+
+/**
+ * Start polling oroboreo/.oreo-control/ for oro-ctl commands.
+ * The directory is removed again when the process exits.
+ */
+function startControlChannel() {
+  openControlChannel();
+  process.on('exit', closeControlChannel);
+
+  const timer = setInterval(() => {
+    for (const command of readControlCommands()) {
+      applyControlCommand(command);
+    }
+  }, CONTROL_POLL_MS);
+  timer.unref();
+}
+
+// ============================================================================
+// STATUS API (--serve, see oreo-server.js)
+// ============================================================================
+
+let statusServer = null;
+
+const LOOPBACK_HOSTS = ['127.0.0.1', 'localhost', '::1'];
+
+/**
+ * Start the HTTP status/control API. Control requests go through the same
+ * path as oro-ctl commands.
+ */
+async function startStatusServer(port) {
+  // Loaded here, not at the top: oreo-status reads this module's exports
+  const { getSessionStatus } = require('./oreo-status.js');
+  const host = process.env.OREO_SERVE_HOST || '127.0.0.1';
+  // Without OREO_SERVE_TOKEN every session gets its own random token
+  const token = process.env.OREO_SERVE_TOKEN || crypto.randomBytes(16).toString('hex');
+  const allowedOrigins = (process.env.OREO_SERVE_ORIGINS || '').split(',').map(o => o.trim()).filter(Boolean);
+  // Bound to one interface, only its own name is a valid Host (0.0.0.0 and :: answer to any)
+  let allowedHosts = LOOPBACK_HOSTS.includes(host) ? LOOPBACK_HOSTS : [host.toLowerCase()];
+  if (['0.0.0.0', '::'].includes(host)) allowedHosts = null;
+
+  const server = createStatusServer({
+    getStatus: getSessionStatus,
+    getTasks: () => parseTasks(),
+    getCosts: loadCostLog,
+    onControl: command => applyControlCommand(command, 'HTTP'),
+    token,
+    allowedOrigins,
+    allowedHosts
+  });
+  const boundPort = await server.listen(port, host);
+  statusServer = server;
+
+  log(`Status API on http://${host}:${boundPort} - GET /status /tasks /costs /events, POST /control/<command>`, 'INFO');
+  if (!process.env.OREO_SERVE_TOKEN) {
+    // Printed, not logged - oreo-execution.log is archived with the session
+    console.log(`Status API token: ${token} (send "Authorization: Bearer <token>"; set OREO_SERVE_TOKEN to choose one)`);
+  }
+  if (allowedOrigins.length > 0) {
+    log(`Status API accepts browser requests from: ${allowedOrigins.join(', ')}`, 'INFO');
+  }
+}
+
+// ============================================================================
+// TERMINAL DASHBOARD (--tui, see oreo-tui.js)
+// ============================================================================
+
+let dashboard = null;
+let dashboardFiles = { checkedAt: 0, files: [] };
+const DASHBOARD_FILES_REFRESH_MS = 10000;  // Walking the project tree is too slow for every redraw
+
+/**
+ * Snapshot for the dashboard, rebuilt on every redraw.
+ */
+function getDashboardState() {
+  const tasks = parseTasks();
+  const byId = new Map(tasks.map(t => [t.id, t]));
+  const active = sessionState.running ? (sessionState.activeTasks || []) : [];
+  const activeIds = new Map(active.map(t => [t.id, t]));
+
+  const taskRows = tasks.map(t => {
+    const waitingOn = t.dependsOn.filter(id => !(byId.get(id) && byId.get(id).completed));
+    let state = 'pending';
+    let note = null;
+    if (t.completed) state = 'done';
+    else if (t.skipped) state = 'skipped';
+    else if (t.failed) state = 'quarantined';
+    else if (activeIds.has(t.id)) {
+      state = 'running';
+      note = `attempt ${activeIds.get(t.id).attempt}`;
+    } else if (waitingOn.length > 0) {
+      state = 'waiting';
+      note = `after ${waitingOn.join(', ')}`;
+    }
+    return { id: t.id, title: t.title, state, note };
+  });
+
+  if (Date.now() - dashboardFiles.checkedAt > DASHBOARD_FILES_REFRESH_MS) {
+    dashboardFiles = {
+      checkedAt: Date.now(),
+      files: findRecentlyModifiedFiles(CONFIG.paths.projectRoot, 2)
+        .slice(0, 5)
+        .map(f => path.relative(CONFIG.paths.projectRoot, f))
+    };
+  }
+
+  let progressTail = [];
+  try {
+    progressTail = fs.readFileSync(CONFIG.paths.progress, 'utf8')
+      .split('\n').map(l => l.trim()).filter(Boolean).slice(-5);
+  } catch (e) {
+    // No progress.txt yet
+  }
+
+  let status = sessionState.running ? 'running' : 'idle';
+  if (controlState.draining) status = 'draining';
+  else if (controlState.paused) status = 'paused';
+
+  return {
+    header: [
+      sessionState.branch || 'no git branch',
+      `${sessionState.provider || 'unknown'} / ${CONFIG.agent ? CONFIG.agent.label : 'agent'}`
+    ],
+    status,
+    tasks: taskRows,
+    active: active.map(t => ({
+      ...t,
+      maxAttempts: t.maxAttempts || CONFIG.maxRetriesPerTask,
+      model: t.model || sessionState.model
+    })),
+    taskElapsedMs: sessionState.taskStartTime ? Date.now() - sessionState.taskStartTime : 0,
+    expectedMs: CONFIG.expectedTaskDurationMs,
+    sessionElapsedMs: Date.now() - sessionState.sessionStartTime,
+    sessionCost: loadCostLog().session.totalCost || 0,
+    costLimit: CONFIG.budget.maxSessionUsd || null,
+    progressTail,
+    recentFiles: dashboardFiles.files
+  };
+}
+
+/**
+ * Take over the terminal with the dashboard. Falls back to the plain log
+ * when stdout is not a terminal.
+ */
+function startDashboard() {
+  const candidate = createDashboard({
+    getState: getDashboardState,
+    // Raw mode swallows Ctrl+C, so turn q / Ctrl+C back into the signal
+    onQuit: () => process.kill(process.pid, 'SIGINT')
+  });
+  if (!candidate.start()) {
+    log('--tui needs an interactive terminal - using the plain log', 'WARN');
+    return;
+  }
+  dashboard = candidate;
+  process.on('exit', () => dashboard.stop());
+}
+
+/**
+ * Block while paused (a drain request also ends the wait).
+ */
+async function waitWhilePaused() {
+  if (!controlState.paused || controlState.draining) return;
+  log('Paused. Waiting for `oro-ctl resume` (or `oro-ctl drain` to exit)...', 'WARN');
+  sessionState.running = false;
+  writeStatusFile();
+  while (controlState.paused && !controlState.draining) {
+    await new Promise(r => setTimeout(r, CONTROL_POLL_MS));
+  }
+}
+
+// ============================================================================
+// PARALLEL EXECUTION (GIT WORKTREES)
+// ============================================================================
+
+// Files in oroboreo/ that are reconciled into the main checkout instead of merged
+const WORKTREE_RECONCILED_FILES = ['oroboreo/cookie-crumbs.md', 'oroboreo/progress.txt'];
+
+function git(command, cwd = CONFIG.paths.projectRoot) {
+  return execSync(`git ${command}`, {
+    cwd,
+    stdio: ['ignore', 'pipe', 'pipe'],
+    timeout: CONFIG.gitTimeoutMs
+  }).toString().trim();
+}
+
+/**
+ * Create an isolated worktree on a sub-branch of the session branch.
+ * Worktrees live outside the project so `git add .` never picks them up.
+ * @param {Object} task - Task to run in the worktree
+ * @param {string} sessionBranch - Branch the worktree is forked from
+ * @returns {{ branch: string, worktreePath: string }}
+ */
+function createTaskWorktree(task, sessionBranch) {
+  const branch = `${sessionBranch}-task-${task.id}`;
+  const worktreePath = path.join(os.tmpdir(), 'oreo-worktrees', sessionBranch, `task-${task.id}`);
+
+  // Clean up leftovers from an interrupted run
+  removeTaskWorktree({ branch, worktreePath });
+
+  fs.mkdirSync(path.dirname(worktreePath), { recursive: true });
+  git(`worktree add -b "${branch}" "${worktreePath}" "${sessionBranch}"`);
+
+  // Start from the main checkout's task list and progress, even if uncommitted
+  const worktreeOroboreoDir = path.join(worktreePath, 'oroboreo');
+  fs.mkdirSync(worktreeOroboreoDir, { recursive: true });
+  for (const file of WORKTREE_RECONCILED_FILES) {
+    const source = path.join(CONFIG.paths.projectRoot, file);
+    if (fs.existsSync(source)) {
+      fs.copyFileSync(source, path.join(worktreePath, file));
+    }
+  }
+
+  log(`Worktree for Task ${task.id}: ${worktreePath} (branch ${branch})`, 'GIT');
+  return { branch, worktreePath };
+}
+
+function removeTaskWorktree({ branch, worktreePath }) {
+  try { git(`worktree remove --force "${worktreePath}"`); } catch (e) {}
+  try { fs.rmSync(worktreePath, { recursive: true, force: true }); } catch (e) {}
+  try { git('worktree prune'); } catch (e) {}
+  try { git(`branch -D "${branch}"`); } catch (e) {}
+}
+
+/**
+ * Copy the worktree's cookie-crumbs checkbox and new progress.txt lines into
+ * the main checkout. These files are never merged, so parallel tasks can't conflict on them.
+ * @param {Object} task - Task that ran in the worktree
+ * @param {string} worktreePath - Worktree root
+ * @param {string} progressSnapshot - progress.txt content when the worktree was created
+ * @returns {boolean} Whether the agent marked the task complete
+ */
+function reconcileWorktreeState(task, worktreePath, progressSnapshot) {
+  const worktreeTasks = path.join(worktreePath, 'oroboreo', 'cookie-crumbs.md');
+  const isComplete = !!parseTasks(worktreeTasks).find(t => t.id === task.id)?.completed;
+
+  const worktreeProgress = path.join(worktreePath, 'oroboreo', 'progress.txt');
+  if (fs.existsSync(worktreeProgress)) {
+    const updated = fs.readFileSync(worktreeProgress, 'utf8');
+    let added;
+    if (updated.startsWith(progressSnapshot)) {
+      added = updated.slice(progressSnapshot.length);
+    } else {
+      // Agent rewrote the file - keep only lines that weren't there before
+      const before = new Set(progressSnapshot.split('\n'));
+      added = updated.split('\n').filter(l => !before.has(l)).join('\n');
+    }
+    if (added.trim()) {
+      const current = fs.existsSync(CONFIG.paths.progress) ? fs.readFileSync(CONFIG.paths.progress, 'utf8') : '';
+      const separator = current && !current.endsWith('\n') ? '\n' : '';
+      fs.appendFileSync(CONFIG.paths.progress, `${separator}${added.trim()}\n`);
+    }
+  }
+
+  return isComplete;
+}
+
+/**
+ * Commit the task's changes on its sub-branch, leaving out reconciled files.
+ * A secret scan hit blocks the commit.
+ * @returns {{ committed: boolean, secretFiles: string[] }}
+ */
+function commitTaskWorktree(task, worktreePath) {
+  cleanupNulFile();
+  git('add -A', worktreePath);
+  try {
+    git(`reset -q -- ${WORKTREE_RECONCILED_FILES.map(f => `"${f}"`).join(' ')}`, worktreePath);
+  } catch (e) {
+    // Files may not be tracked in this repository
+  }
+  const secretFiles = unstageStagedSecrets(worktreePath, task);
+  if (secretFiles.length > 0) return { committed: false, secretFiles };
+  const staged = git('diff --cached --name-only', worktreePath);
+  if (!staged) return { committed: false, secretFiles };
+
+  const msg = `Oreo: Task ${task.id} (${task.title})`.replace(/"/g, "'");
+  git(`commit -m "${msg}"`, worktreePath);
+  return { committed: true, secretFiles };
+}
+
+/**
+ * Merge a finished task branch into the session branch.
+ * @returns {{ merged: boolean, conflicts: string[] }}
+ */
+function mergeTaskBranch(task, branch) {
+  const msg = `Oreo: Merge Task ${task.id} (${task.title})`.replace(/"/g, "'");
+  try {
+    git(`merge --no-ff -m "${msg}" "${branch}"`);
+    return { merged: true, conflicts: [] };
+  } catch (e) {
+    let conflicts = [];
+    try {
+      conflicts = git('diff --name-only --diff-filter=U').split('\n').filter(Boolean);
+    } catch (e2) {}
+    try { git('merge --abort'); } catch (e2) {}
+    return { merged: false, conflicts };
+  }
+}
+
+/**
+ * Run one task in its own worktree. Never throws - failures are returned.
+ */
+async function runTaskInWorktree(task, model, sessionBranch, previousAttempt, attemptInfo) {
+  const result = { task, model, branch: null, worktreePath: null, isComplete: false, committed: false, error: null, verification: null, protectedViolation: null, overBudget: null, secretFiles: null, context: null, cost: null };
+  const promptPath = path.join(CONFIG.paths.oroboreoDir, `.oreo-prompt-task-${task.id}.txt`);
+  let prompt = '';
+
+  try {
+    Object.assign(result, createTaskWorktree(task, sessionBranch));
+    const progressSnapshot = fs.existsSync(CONFIG.paths.progress)
+      ? fs.readFileSync(CONFIG.paths.progress, 'utf8')
+      : '';
+    const tasksPath = path.join(result.worktreePath, 'oroboreo', 'cookie-crumbs.md');
+
+    prompt = constructPrompt(task, previousAttempt);
+    fs.writeFileSync(promptPath, prompt);
+    const checkpoint = CONFIG.failedAttemptPolicy === 'patch' || getChangeBudget(task)
+      ? checkpointBeforeAttempt(result.worktreePath, task)
+      : null;
+
+    let output = '';
+    let usage = null;
+    const beforeTask = await runLifecycleHook('beforeTask', buildHookPayload({ task, model, attempt: attemptInfo.attempt }), result.worktreePath);
+    if (!beforeTask.ok) {
+      result.error = beforeTask.error;
+      output = beforeTask.output;
+    } else {
+      const protectedSnapshot = snapshotBeforeAttempt(result.worktreePath);
+      try {
+        ({ output, usage } = await runAgent({ task, model, cwd: result.worktreePath, promptPath, tasksPath, label: `Task ${task.id}`, attempt: attemptInfo.attempt }));
+        markAgentCompletion(task, output, tasksPath);
+      } catch (e) {
+        result.error = e.message;
+        output = e.output || '';
+        usage = e.usage || null;
+      }
+      result.cost = trackCost(task, model, prompt, output, attemptInfo, usage);
+      result.protectedViolation = enforceProtectedPaths(task, attemptInfo.attempt, protectedSnapshot);
+      if (result.protectedViolation) {
+        setTaskChecked(tasksPath, task.id, false);
+        result.error = result.error ? `${result.error}; ${result.protectedViolation}` : result.protectedViolation;
+      }
+      result.overBudget = enforceChangeBudget(task, attemptInfo.attempt, checkpoint);
+      if (result.overBudget) {
+        setTaskChecked(tasksPath, task.id, false);
+        result.error = result.error ? `${result.error}; ${result.overBudget}` : result.overBudget;
+      }
+    }
+
+    result.isComplete = !result.error && reconcileWorktreeState(task, result.worktreePath, progressSnapshot);
+    if (result.isComplete) {
+      const verification = await runVerification(task, result.worktreePath);
+      if (!verification.passed) {
+        result.isComplete = false;
+        result.verification = verification;
+        result.error = 'Verification failed';
+      }
+    }
+    if (result.isComplete) {
+      const afterTask = await runLifecycleHook('afterTask', buildHookPayload({
+        task, model, attempt: attemptInfo.attempt, attemptCost: result.cost, outcome: 'completed'
+      }), result.worktreePath);
+      if (!afterTask.ok) {
+        result.isComplete = false;
+        result.error = afterTask.error;
+        output = afterTask.output || output;
+      }
+    }
+    if (result.isComplete) {
+      const commit = commitTaskWorktree(task, result.worktreePath);
+      result.committed = commit.committed;
+      if (commit.secretFiles.length > 0) {
+        result.isComplete = false;
+        result.secretFiles = commit.secretFiles;
+        result.error = `Secret scan hit in ${commit.secretFiles.join(', ')}`;
+      }
+    }
+    if (!result.isComplete) {
+      let outcome = result.error ? 'error' : 'incomplete';
+      if (result.verification) outcome = 'verification-failed';
+      else if (result.protectedViolation) outcome = 'protected-path';
+      else if (result.overBudget) outcome = 'over-budget';
+      else if (result.secretFiles) outcome = 'secret-detected';
+      result.context = buildAttemptContext({
+        outcome,
+        exitReason: result.verification ? null : result.error,
+        output,
+        cwd: result.worktreePath,
+        verification: result.verification
+      });
+      Object.assign(result.context, discardFailedAttempt(task, attemptInfo.attempt, checkpoint));
+    }
+  } catch (e) {
+    result.error = result.error || e.message;
+  } finally {
+    try { fs.unlinkSync(promptPath); } catch (e) {}
+  }
+
+  return result;
+}
+
+/**
+ * Run a batch of independent tasks concurrently, one worktree each, then merge
+ * the completed branches back into the session branch in task order.
+ * @param {Array<{task, model, previousAttempt}>} batch - Tasks to run with their selected models
+ * @param {string} sessionBranch - Session branch to merge into
+ * @returns {Promise<Array>} Per-task results ({ task, completed, skipped, error, conflicts, verification, protectedViolation, overBudget, secretFiles, context, cost })
+ */
+async function runParallelBatch(batch, sessionBranch) {
+  const dirty = git('status --porcelain').split('\n')
+    .filter(l => l && !l.slice(3).startsWith('oroboreo/'));
+  if (dirty.length > 0) {
+    log(`${dirty.length} uncommitted change(s) in the project will not be visible to parallel agents`, 'WARN');
+  }
+
+  log(`Running ${batch.length} task(s) in parallel: ${batch.map(b => `Task ${b.task.id}`).join(', ')}`, 'INFO');
+  const results = await Promise.all(batch.map(({ task, model, previousAttempt, ...attemptInfo }) =>
+    runTaskInWorktree(task, model, sessionBranch, previousAttempt, {
+      attempt: attemptInfo.attempts + 1,
+      routedModel: attemptInfo.routedModel,
+      escalated: attemptInfo.escalated
+    })
+  ));
+
+  const summary = [];
+  for (const result of results.sort((a, b) => a.task.id - b.task.id)) {
+    const { task } = result;
+    const entry = { task, completed: false, skipped: false, error: result.error, conflicts: [], verification: result.verification, protectedViolation: result.protectedViolation, overBudget: result.overBudget, secretFiles: result.secretFiles, context: result.context, cost: result.cost };
+
+    if (parseTasks().find(t => t.id === task.id)?.skipped) {
+      entry.skipped = true;
+      log(`Task ${task.id} was skipped via oro-ctl - discarding its branch`, 'WARN');
+    } else if (result.isComplete) {
+      const merge = result.committed
+        ? mergeTaskBranch(task, result.branch)
+        : { merged: true, conflicts: [] };
+
+      if (merge.merged) {
+        setTaskChecked(CONFIG.paths.tasks, task.id, true);
+        entry.completed = true;
+        log(`Task ${task.id} COMPLETED!${result.committed ? ` (merged ${result.branch})` : ' (no file changes)'}`, 'SUCCESS');
+        if (CONFIG.git.commitOnSuccess) {
+          gitCommit(task);
+        }
+      } else {
+        entry.conflicts = merge.conflicts;
+        entry.error = `Merge conflict in: ${merge.conflicts.join(', ') || 'unknown files'}`;
+        entry.context = buildAttemptContext({
+          outcome: 'error',
+          exitReason: `${entry.error} - the work was finished but clashed with another task merged first, so it was discarded. Redo it on top of the current code.`
+        });
+        log(`Task ${task.id} finished but could not be merged - ${entry.error}`, 'ERROR');
+      }
+    } else if (result.verification) {
+      log(`Task ${task.id} failed verification, retrying...`, 'WARN');
+    } else if (result.protectedViolation) {
+      log(`Task ${task.id} changed protected files - failing the attempt, retrying...`, 'WARN');
+    } else if (result.overBudget) {
+      log(`Task ${task.id} went over its change budget - failing the attempt, retrying...`, 'WARN');
+    } else if (result.secretFiles) {
+      log(`Task ${task.id} left a secret in its changes - not committed, retrying...`, 'WARN');
+    } else {
+      log(`Task ${task.id} not marked complete${result.error ? ` (${result.error})` : ''}, retrying...`, 'WARN');
+    }
+
+    if (result.branch) {
+      removeTaskWorktree(result);
+    }
+    summary.push(entry);
+  }
+
+  return summary;
+}
+
+// ============================================================================
+// DRY RUN (--dry-run)
+// ============================================================================
+// Shows how oro-run would handle each open task - model and why, prompt size,
+// files, cost range - without spawning agents or touching git.
+
+// Real (non-estimated) costs.json entries needed before a model's average is trusted
+const DRY_RUN_MIN_SAMPLES = 3;
+
+/**
+ * Cost of one attempt on a model: the average of real past attempts in
+ * costs.json when there are enough, else the chars/4 prompt estimate.
+ */
+function estimateAttemptCost(model, promptTokens, costLog) {
+  const samples = costLog.tasks.filter(t => t.model === model.name && t.estimated === false);
+  if (samples.length >= DRY_RUN_MIN_SAMPLES) {
+    return { cost: samples.reduce((sum, t) => sum + (t.totalCostUSD || 0), 0) / samples.length, source: 'history' };
+  }
+  const inputTokens = Math.ceil(promptTokens * COST_FACTORS.WORKER.TOOL_USE_FACTOR);
+  const outputTokens = Math.ceil(promptTokens * COST_FACTORS.WORKER.OUTPUT_MULTIPLIER);
+  return {
+    cost: (inputTokens * (model.inputCost || 0) + outputTokens * (model.outputCost || 0)) / 1000000,
+    source: 'estimate'
+  };
+}
+
+/**
+ * Print the plan for every open task and return the session cost range.
+ * Low = every task passes on its first attempt; high = every task uses all
+ * its retries, climbing the escalation ladder.
+ * @param {Array} tasks - Tasks from parseTasks()
+ * @returns {{ low: number, high: number }}
+ */
+function printDryRun(tasks) {
+  const costLog = loadCostLog();
+  const openTasks = tasks.filter(t => !t.completed);
+  const totals = { low: 0, high: 0 };
+  const sources = new Set();
+
+  console.log(`DRY RUN - ${openTasks.length} open task(s) of ${tasks.length}. No agents spawned, git untouched.`);
+
+  for (const task of openTasks) {
+    const { model: routedModel, reason } = classifyTask(task);
+    const routedTier = getModelTier(routedModel);
+    const prompt = constructPrompt(task);
+    const promptTokens = estimateTokens(prompt);
+    const files = extractFilesFromTask(task.details);
 
-===============================================================================
-CURRENT MISSION: Task ${task.id}
-===============================================================================
-**${task.title}**
-${task.details}
+    const models = getTaskModels(task);
+    const ladder = [];
+    for (let attempt = 1; attempt <= maxAttemptsFor(task); attempt++) {
+      ladder.push(models[escalationTier(routedTier, attempt)]);
+    }
+    const attemptCosts = ladder.map(model => estimateAttemptCost(model, promptTokens, costLog));
+    attemptCosts.forEach(c => sources.add(c.source));
+    const low = attemptCosts[0].cost;
+    const high = attemptCosts.reduce((sum, c) => sum + c.cost, 0);
+
+    let status = '';
+    if (task.skipped) status = ' (skipped - will not run)';
+    else if (task.failed) status = ' (quarantined - will not run)';
+    if (!status) {
+      totals.low += low;
+      totals.high += high;
+    }
 
-===============================================================================
-EXECUTION RULES
-===============================================================================
-1. Complete the task described above.
-2. Follow the task instructions precisely.
-3. CRITICAL: When the task is done, you MUST edit oroboreo/cookie-crumbs.md to change "- [ ]" to "- [x]" for this task. This is how the system knows you finished. If you do not mark the checkbox, the task will be retried. Do NOT ask what to do next — just mark it and exit.
-4. Log important findings to progress.txt.
-5. Do NOT create unnecessary files or over-engineer.
-6. **Check oroboreo/tests/reusable/** for existing verification scripts before creating new ones.
-   Available tools: \`verify-ui.js\` (CLI runner), \`browser-utils.js\` (programmatic API).
-7. **Create session-specific tests** in oroboreo/tests/ (will be archived after session).
-8. **Create reusable tests** in oroboreo/tests/reusable/ for generic functionality (persists).
-9. Tests MUST be executable scripts (Node.js, bash, curl) - NOT manual browser checks.
-10. **MANDATORY for UI/frontend tasks:** You MUST verify UI changes with automated browser tests (Playwright Node.js library), NOT manual human verification.
-    - **Before testing:** Ensure the dev server is running. Start backend/frontend if needed (e.g., \`npm run dev &\`), then use \`--wait-for-server\` to confirm.
-    - Simple checks: \`node oroboreo/tests/reusable/verify-ui.js --url URL --wait-for-server --selector SELECTOR [--text TEXT]\`
-    - Form testing: \`node oroboreo/tests/reusable/verify-ui.js --url URL --wait-for-server --fill 'SEL=VAL' --click 'SEL' --selector SUCCESS_SEL\`
-    - Error checking: \`node oroboreo/tests/reusable/verify-ui.js --url URL --wait-for-server --check-errors\`
-    - Complex flows: use \`oroboreo/tests/reusable/browser-utils.js\` programmatically (call \`waitForServer(url)\` first).
-    - Check \`isPlaywrightInstalled()\` before using browser features. If not installed, log a warning and skip.
-    - NEVER write "human should manually verify" for UI tasks when Playwright is available.
-`;
+    console.log('');
+    console.log(`Task ${task.id}: ${task.title}${status}`);
+    console.log(`  Model:   ${routedModel.name} (${reason})`);
+    console.log(`  Retries: ${ladder.map(m => m.name).join(' -> ')}`);
+    if (formatDirectives(task.directives)) {
+      console.log(`  Directives: ${formatDirectives(task.directives)}`);
+    }
+    console.log(`  Prompt:  ${prompt.length.toLocaleString()} chars (~${promptTokens.toLocaleString()} tokens)`);
+    console.log(`  Files:   ${files.length > 0 ? files.join(', ') : '(none listed)'}`);
+    const changeBudget = getChangeBudget(task);
+    if (changeBudget) {
+      console.log(`  Budget:  ${formatChangeBudget(changeBudget)}`);
+    }
+    if (task.dependsOn.length > 0) {
+      console.log(`  Depends: ${task.dependsOn.map(id => `Task ${id}`).join(', ')}`);
+    }
+    console.log(`  Cost:    $${low.toFixed(2)} - $${high.toFixed(2)}`);
+  }
+
+  console.log('');
+  console.log('-------------------------------------------------------------------------------');
+  console.log(`Estimated cost: $${totals.low.toFixed(2)} (every task passes first time) - $${totals.high.toFixed(2)} (every task uses all its attempts)`);
+  console.log(sources.has('history')
+    ? `Per-attempt costs use the average of real runs in costs.json where a model has ${DRY_RUN_MIN_SAMPLES}+ of them, otherwise the prompt-size estimate.`
+    : 'Per-attempt costs are prompt-size estimates; real runs also pay for tool calls and file reads, so treat them as a floor.');
+  if (CONFIG.budget.maxSessionUsd && totals.high > CONFIG.budget.maxSessionUsd) {
+    console.log(`Worst case exceeds OREO_MAX_SESSION_COST_USD ($${CONFIG.budget.maxSessionUsd.toFixed(2)}) - the loop would halt there.`);
+  }
+  return totals;
 }
 
 // ============================================================================
 // MAIN EXECUTION
 // ============================================================================
 
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const options = { parallel: 1, dryRun: false, record: false, replay: null, serve: null, tui: false };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--parallel' || arg === '-p') {
+      const next = args[i + 1];
+      if (next && !next.startsWith('-')) {
+        options.parallel = Math.max(1, parseInt(next, 10) || 1);
+        i++;
+      }
+    } else if (arg.startsWith('--parallel=')) {
+      options.parallel = Math.max(1, parseInt(arg.split('=')[1], 10) || 1);
+    } else if (arg === '--dry-run') {
+      options.dryRun = true;
+    } else if (arg === '--record') {
+      options.record = true;
+    } else if (arg === '--tui') {
+      options.tui = true;
+    } else if (arg === '--replay') {
+      const next = args[i + 1];
+      if (next && !next.startsWith('-')) {
+        options.replay = next;
+        i++;
+      }
+    } else if (arg.startsWith('--replay=')) {
+      options.replay = arg.slice('--replay='.length);
+    } else if (arg === '--serve') {
+      const next = args[i + 1];
+      if (next && !next.startsWith('-')) {
+        options.serve = next;
+        i++;
+      } else {
+        options.serve = '';
+      }
+    } else if (arg.startsWith('--serve=')) {
+      options.serve = arg.slice('--serve='.length);
+    }
+  }
+
+  return options;
+}
+
 async function main() {
+  const options = parseArgs();
   sessionState.sessionStartTime = Date.now();
+  if (options.tui && !options.dryRun) {
+    startDashboard();
+  }
   console.log('');
   console.log('===============================================================================');
   console.log('OROBOREO - The Golden Loop');
@@ -699,7 +3112,6 @@ async function main() {
   console.log('');
 
   // Graceful shutdown handling
-  let currentChildProcess = null;
   let isShuttingDown = false;
 
   function gracefulShutdown(signal) {
@@ -709,16 +3121,15 @@ async function main() {
     console.log(`\n\nReceived ${signal} - shutting down gracefully...`);
     log(`Received ${signal} - attempting graceful shutdown`, 'WARN');
 
-    if (currentChildProcess && currentChildProcess.pid) {
-      log(`Killing child process (PID: ${currentChildProcess.pid})...`, 'WARN');
+    for (const child of activeChildren.keys()) {
+      if (!child.pid) continue;
+      log(`Killing child process (PID: ${child.pid})...`, 'WARN');
       try {
-        process.kill(currentChildProcess.pid, 'SIGTERM');
+        process.kill(child.pid, 'SIGTERM');
         setTimeout(() => {
           try {
-            if (currentChildProcess && currentChildProcess.pid) {
-              log(`Force killing child process (PID: ${currentChildProcess.pid})`, 'ERROR');
-              process.kill(currentChildProcess.pid, 'SIGKILL');
-            }
+            log(`Force killing child process (PID: ${child.pid})`, 'ERROR');
+            process.kill(child.pid, 'SIGKILL');
           } catch (e) {
             // Process already dead
           }
@@ -729,6 +3140,7 @@ async function main() {
     }
 
     log('Shutdown complete', 'INFO');
+    emitEvent('session_end', { status: 'interrupted', exitCode: 1, signal });
     setTimeout(() => process.exit(1), 6000); // Give time for process cleanup
   }
 
@@ -740,73 +3152,162 @@ async function main() {
     log('No .env file found in oroboreo directory', 'WARN');
   }
 
-  // Ensure AWS credentials file exists (for SDK fallback when AWS CLI not installed)
-  ensureAwsCredentialsFile();
+  if (!options.dryRun) {
+    // Ensure AWS credentials file exists (for SDK fallback when AWS CLI not installed)
+    ensureAwsCredentialsFile();
 
-  // Sync reusable test utilities (ensures browser-utils.js etc. are up to date)
-  syncReusableUtils();
+    // Sync reusable test utilities (ensures browser-utils.js etc. are up to date)
+    syncReusableUtils();
+  }
 
   // Set up provider-aware models
   const MODELS = getModelConfig();
   CONFIG.models = MODELS;
 
+  // Runner-enforced verification (read after loadEnv so .env values apply)
+  CONFIG.verification = {
+    enabled: envBool('OREO_VERIFY_COMMANDS', true),
+    timeoutMs: parseInt(process.env.OREO_VERIFY_TIMEOUT_MS || '300000')  // 5 minutes per command
+  };
+
+  // Quarantine tasks that run out of retries instead of stopping the session
+  CONFIG.quarantine = envBool('OREO_QUARANTINE_FAILED', false);
+
+  // Keep secrets found in staged changes out of every Oroboreo commit
+  CONFIG.secretScan = envBool('OREO_SECRET_SCAN', true);
+
+  // Failure context carried into retry prompts (0 = retry blind)
+  CONFIG.retryContextTokens = parseInt(process.env.OREO_RETRY_CONTEXT_TOKENS || '4000');
+
+  // Failed attempts: keep their edits, roll them back, or save a patch and roll back
+  const { policy: failedAttemptPolicy, error: policyError } = parseFailedAttemptPolicy(process.env.OREO_FAILED_ATTEMPT_POLICY);
+  if (policyError) {
+    log(policyError, 'ERROR');
+    process.exit(1);
+  }
+  CONFIG.failedAttemptPolicy = failedAttemptPolicy;
+
+  // Model tier per retry attempt
+  CONFIG.escalationLadder = parseEscalationLadder(process.env.OREO_ESCALATION_LADDER);
+
+  // Spend limits in USD (0 or unset = no limit)
+  CONFIG.budget = {
+    maxSessionUsd: parseFloat(process.env.OREO_MAX_SESSION_COST_USD || '0') || 0,
+    maxTaskUsd: parseFloat(process.env.OREO_MAX_TASK_COST_USD || '0') || 0,
+    softLimitPct: parseFloat(process.env.OREO_BUDGET_SOFT_LIMIT_PCT || '80')  // Force Haiku past this %
+  };
+  if (CONFIG.budget.maxSessionUsd || CONFIG.budget.maxTaskUsd) {
+    log(`Budget: session $${CONFIG.budget.maxSessionUsd || '∞'}, per task $${CONFIG.budget.maxTaskUsd || '∞'} (Haiku only past ${CONFIG.budget.softLimitPct}%)`, 'INFO');
+  }
+
   // Configure provider-specific settings
   const provider = (process.env.AI_PROVIDER || 'subscription').toLowerCase();
   log(`AI Provider: ${provider}`);
   sessionState.provider = provider;
 
-  if (provider === 'bedrock') {
-    // Validate AWS credentials
-    if (!process.env.AWS_ACCESS_KEY_ID) {
-      log('AWS_ACCESS_KEY_ID not set! Please configure oroboreo/.env', 'ERROR');
+  if (options.replay) {
+    // Recorded runs stand in for the agent - no credentials or network needed
+    log(`Replaying agent runs from ${options.replay}`);
+  } else {
+    const setupError = checkProviderSetup(provider);
+    if (setupError) {
+      log(setupError, 'ERROR');
       process.exit(1);
     }
 
-    // Set Bedrock environment
-    process.env.CLAUDE_CODE_USE_BEDROCK = '1';
-    process.env.AWS_REGION = process.env.AWS_REGION || 'us-east-1';
-    log(`AWS Region: ${process.env.AWS_REGION}`);
-  } else if (provider === 'foundry') {
-    // Validate Microsoft Foundry credentials
-    if (!process.env.ANTHROPIC_FOUNDRY_API_KEY) {
-      log('ANTHROPIC_FOUNDRY_API_KEY not set! Please configure oroboreo/.env', 'ERROR');
-      process.exit(1);
-    }
-    if (!hasFoundryConfig()) {
-      log('No Foundry resource configured! Set ANTHROPIC_FOUNDRY_RESOURCE or per-model resources (ANTHROPIC_FOUNDRY_RESOURCE_OPUS, etc.)', 'ERROR');
-      process.exit(1);
-    }
-    process.env.CLAUDE_CODE_USE_FOUNDRY = '1';
-    log('Using Microsoft Foundry');
-  } else if (provider === 'anthropic') {
-    // Validate Anthropic API key
-    if (!process.env.ANTHROPIC_API_KEY) {
-      log('ANTHROPIC_API_KEY not set! Please configure oroboreo/.env', 'ERROR');
-      process.exit(1);
+    if (provider === 'bedrock') {
+      // Set Bedrock environment
+      process.env.CLAUDE_CODE_USE_BEDROCK = '1';
+      process.env.AWS_REGION = process.env.AWS_REGION || 'us-east-1';
+      log(`AWS Region: ${process.env.AWS_REGION}`);
+    } else if (provider === 'foundry') {
+      process.env.CLAUDE_CODE_USE_FOUNDRY = '1';
+      log('Using Microsoft Foundry');
+    } else if (provider === 'anthropic') {
+      log('Using Anthropic API');
+    } else if (provider === 'subscription') {
+      // Claude Code Subscription - no validation needed
+      // User must have run: npx @anthropic-ai/claude-code login
+      log('Using Claude Code Subscription (ensure you have run: npx @anthropic-ai/claude-code login)');
+    } else if (provider === 'aider') {
+      const displayModel = process.env.AIDER_MODEL || `OPUS=${process.env.AIDER_MODEL_OPUS} SONNET=${process.env.AIDER_MODEL_SONNET} HAIKU=${process.env.AIDER_MODEL_HAIKU}`;
+      log(`Using Aider with model(s): ${displayModel}`);
+    } else if (provider === 'fake') {
+      // Scripted agent for offline runs - no credentials, no network
+      log(`Using fake agent scripted by ${getFakeScriptPath()}`);
     }
-    log('Using Anthropic API');
-  } else if (provider === 'subscription') {
-    // Claude Code Subscription - no validation needed
-    // User must have run: npx @anthropic-ai/claude-code login
-    log('Using Claude Code Subscription (ensure you have run: npx @anthropic-ai/claude-code login)');
-  } else if (provider === 'aider') {
-    if (!process.env.AZURE_API_KEY && !process.env.AZURE_AI_API_KEY && !process.env.OPENAI_API_KEY) {
-      log('AZURE_API_KEY, AZURE_AI_API_KEY, or OPENAI_API_KEY not set! Please configure oroboreo/.env', 'ERROR');
-      process.exit(1);
+  }
+
+  // Agent adapter (oreo.config.json "agent", defaults to Claude Code / Aider by provider)
+  try {
+    CONFIG.agent = options.replay ? createReplayAdapter(options.replay) : getAgentAdapter();
+  } catch (e) {
+    log(e.message, 'ERROR');
+    process.exit(1);
+  }
+  log(`Agent: ${CONFIG.agent.label}`);
+
+  // Lifecycle hooks (oreo.config.json "hooks")
+  try {
+    CONFIG.hooks = loadHooks(loadProjectConfig(), CONFIG.paths.projectRoot);
+  } catch (e) {
+    log(e.message, 'ERROR');
+    process.exit(1);
+  }
+  const hookNames = Object.keys(CONFIG.hooks);
+  if (hookNames.length > 0) {
+    log(`Hooks: ${hookNames.map(name => `${name} (${CONFIG.hooks[name].length})`).join(', ')}`);
+  }
+
+  // Protected paths (oreo.config.json "protectedPaths")
+  try {
+    CONFIG.protectedPaths = loadProtectedPaths(loadProjectConfig());
+  } catch (e) {
+    log(e.message, 'ERROR');
+    process.exit(1);
+  }
+  if (CONFIG.protectedPaths) {
+    log(`Protected paths: ${CONFIG.protectedPaths.map(p => p.pattern).join(', ')}`);
+  }
+
+  // Change budgets (oreo.config.json "changeBudget")
+  try {
+    CONFIG.changeBudgets = loadChangeBudgets(loadProjectConfig());
+  } catch (e) {
+    log(e.message, 'ERROR');
+    process.exit(1);
+  }
+  if (CONFIG.changeBudgets) {
+    log(`Change budget: ${Object.entries(CONFIG.changeBudgets).map(([complexity, limits]) => `${complexity} ${formatChangeBudget(limits)}`).join('; ')}`);
+  }
+
+  // Inline task directives ([model:opus] [timeout:45m] [retries:2] [provider:aider])
+  const openTasks = parseTasks().filter(t => !t.completed);
+  const directiveErrors = openTasks.flatMap(t => t.directiveErrors.map(e => `Task ${t.id}: ${e}`));
+  if (!options.replay) {
+    const directiveProviders = new Set(openTasks.map(t => t.directives.provider).filter(p => p && p !== provider));
+    for (const directiveProvider of directiveProviders) {
+      const setupError = checkProviderSetup(directiveProvider);
+      if (setupError) directiveErrors.push(`[provider:${directiveProvider}]: ${setupError}`);
     }
-    const hasAiderModel = process.env.AIDER_MODEL ||
-      process.env.AIDER_MODEL_OPUS ||
-      process.env.AIDER_MODEL_SONNET ||
-      process.env.AIDER_MODEL_HAIKU;
-    if (!hasAiderModel) {
-      log('No Aider model set! Set AIDER_MODEL (single model) or AIDER_MODEL_OPUS/SONNET/HAIKU (per-tier). Please configure oroboreo/.env', 'ERROR');
+  }
+  if (directiveErrors.length > 0) {
+    directiveErrors.forEach(e => log(e, 'ERROR'));
+    process.exit(1);
+  }
+
+  if (options.serve !== null) {
+    const port = /^\d+$/.test(options.serve) ? parseInt(options.serve, 10) : NaN;
+    if (!(port >= 0 && port <= 65535)) {
+      log(`Invalid --serve port "${options.serve}" - use e.g. --serve 4700`, 'ERROR');
       process.exit(1);
     }
-    const displayModel = process.env.AIDER_MODEL || `OPUS=${process.env.AIDER_MODEL_OPUS} SONNET=${process.env.AIDER_MODEL_SONNET} HAIKU=${process.env.AIDER_MODEL_HAIKU}`;
-    log(`Using Aider with model(s): ${displayModel}`);
-  } else {
-    log(`Invalid AI_PROVIDER: ${provider}. Valid options: bedrock, foundry, anthropic, subscription, aider`, 'ERROR');
-    process.exit(1);
+    options.serve = port;
+  }
+
+  CONFIG.record = options.record;
+  if (CONFIG.record) {
+    log(`Recording agent runs to ${path.relative(CONFIG.paths.projectRoot, CONFIG.paths.cassette)}`);
   }
 
   // Validate required files
@@ -820,18 +3321,115 @@ async function main() {
     process.exit(1);
   }
 
+  // Validate task dependencies before touching git
+  const graphErrors = buildTaskGraph(parseTasks()).errors;
+  if (graphErrors.length > 0) {
+    graphErrors.forEach(err => log(err, 'ERROR'));
+    log('Fix the **Depends:** fields in cookie-crumbs.md and try again.', 'ERROR');
+    process.exit(1);
+  }
+
+  // Plan only: show routing and cost, then stop before git or any agent
+  if (options.dryRun) {
+    console.log('');
+    printDryRun(parseTasks());
+    process.exit(0);
+  }
+
+  // Status API before git, so a port that is in use fails without side effects
+  if (options.serve !== null) {
+    try {
+      await startStatusServer(options.serve);
+    } catch (e) {
+      log(`Could not start the status API on port ${options.serve}: ${e.message}`, 'ERROR');
+      process.exit(1);
+    }
+  }
+
   // Setup Git Branch
-  setupGitBranch();
+  const sessionBranch = setupGitBranch();
+  sessionState.branch = sessionBranch || null;
+
+  let parallel = options.parallel;
+  if (parallel > 1 && !sessionBranch) {
+    log('Parallel mode needs a git session branch - falling back to one task at a time', 'WARN');
+    parallel = 1;
+  }
+  if (parallel > 1) {
+    log(`Parallel mode: up to ${parallel} agents at once, one git worktree per task`, 'INFO');
+  }
 
   let loops = 0;
-  const taskAttempts = {};
+  const loopState = loadLoopState(sessionBranch);
+
+  // Listen for oro-ctl commands (pause/resume/skip/drain/abort-task)
+  startControlChannel();
+
+  emitEvent('session_start', {
+    branch: sessionState.branch,
+    provider: sessionState.provider,
+    agent: CONFIG.agent.label,
+    parallel,
+    pid: process.pid
+  });
+
+  const beforeSession = await runLifecycleHook('beforeSession', buildHookPayload(), CONFIG.paths.projectRoot);
+  if (!beforeSession.ok) {
+    log('beforeSession hook failed - no tasks were run.', 'ERROR');
+    process.exit(1);
+  }
 
   while (loops < CONFIG.maxGlobalLoops) {
     loops++;
 
-    // 1. Find next incomplete task
+    // 0. oro-ctl: wait while paused, stop cleanly when draining
+    await waitWhilePaused();
+    if (controlState.draining) {
+      saveHaltState(loopState, 'drain', 'Drained via oro-ctl', null);
+      log(`Drained. State saved to ${path.relative(CONFIG.paths.projectRoot, CONFIG.paths.state)} - run oro-run again to continue.`, 'SUCCESS');
+      await endSession('drained', 0);
+    }
+
+    // 1. Find next runnable task (incomplete, with all dependencies complete)
     const tasks = parseTasks();
-    const task = tasks.find(t => !t.completed);
+    const { errors: depErrors } = buildTaskGraph(tasks);
+    if (depErrors.length > 0) {
+      depErrors.forEach(err => log(err, 'ERROR'));
+      log('cookie-crumbs.md has invalid dependencies. Aborting.', 'ERROR');
+      await endSession('aborted', 1);
+    }
+
+    const task = selectNextTask(tasks);
+    const pendingTasks = tasks.filter(t => !t.completed && !t.skipped && !t.failed);
+    const skippedTasks = tasks.filter(t => t.skipped);
+    const failedTasks = tasks.filter(t => t.failed);
+
+    if (!task && failedTasks.length > 0) {
+      const reportPath = path.relative(CONFIG.paths.projectRoot, writeQuarantineReport(tasks, loopState));
+      log(`Session finished with ${failedTasks.length} quarantined task(s): ${failedTasks.map(t => `Task ${t.id}`).join(', ')}`, 'ERROR');
+      if (pendingTasks.length > 0) {
+        log(`${pendingTasks.length} task(s) never ran - they depend on quarantined or skipped tasks: ${pendingTasks.map(t => `Task ${t.id}`).join(', ')}`, 'WARN');
+      }
+      log(`Report written to ${reportPath} - run oro-feedback --quarantine to turn it into fix tasks.`, 'INFO');
+      log('Not archiving the session.', 'INFO');
+      await endSession('quarantined', 1);
+    }
+
+    if (!task && pendingTasks.length > 0) {
+      log(`No runnable tasks: ${pendingTasks.length} incomplete task(s) are waiting on dependencies.`, 'ERROR');
+      pendingTasks.forEach(t => {
+        const waitingOn = t.dependsOn.filter(id => !tasks.find(d => d.id === id && d.completed));
+        const labels = waitingOn.map(id => `Task ${id}${tasks.find(d => d.id === id && d.skipped) ? ' (skipped)' : ''}`);
+        log(`  Task ${t.id} waiting on: ${labels.join(', ')}`, 'ERROR');
+      });
+      await endSession('stalled', 1);
+    }
+
+    if (!task && skippedTasks.length > 0) {
+      log(`All remaining tasks done; ${skippedTasks.length} skipped: ${skippedTasks.map(t => `Task ${t.id}`).join(', ')}`, 'WARN');
+      log('Not archiving the session. Change [-] back to [ ] and run oro-run again, or run oro-archive.', 'INFO');
+      await endSession('skipped', 0);
+    }
 
     if (!task) {
       log('All tasks complete!', 'SUCCESS');
@@ -848,6 +3446,10 @@ async function main() {
       console.log(`Tasks Completed: ${costLog.tasks.length}`);
       console.log('');
 
+      // Hooks and the event log see the session's costs before the archive resets them
+      emitEvent('session_end', { status: 'complete', exitCode: 0, costUSD: costLog.session.totalCost });
+      await runLifecycleHook('afterSession', { ...buildHookPayload(), status: 'complete', exitCode: 0 }, CONFIG.paths.projectRoot);
+
       // Auto-archive on completion and reset for next session
       try {
         const { archiveSession, resetSessionFiles } = require('./oreo-archive.js');
@@ -862,388 +3464,302 @@ async function main() {
       process.exit(0);
     }
 
-    // 2. Check retry limit
-    const attempts = taskAttempts[task.id] || 0;
-    if (attempts >= CONFIG.maxRetriesPerTask) {
-      log(`Task ${task.id} failed ${CONFIG.maxRetriesPerTask} times. Aborting.`, 'ERROR');
-      process.exit(1);
+    // 2. Pick this iteration's tasks (several independent ones in parallel mode)
+    const batchTasks = parallel > 1 ? getRunnableTasks(tasks).slice(0, parallel) : [task];
+
+    // 3. Check retry limits and select models
+    const planned = batchTasks.map(t => {
+      releaseQuarantine(loopState, t);
+      const { attempts, lastAttempt } = getTaskState(loopState, t.id);
+      return { task: t, attempts, previousAttempt: lastAttempt };
+    });
+    const exhausted = planned.filter(b => b.attempts >= maxAttemptsFor(b.task));
+    for (const { task: t } of exhausted) {
+      const { lastError } = getTaskState(loopState, t.id);
+      if (!CONFIG.quarantine) {
+        log(`Task ${t.id} failed ${maxAttemptsFor(t)} times. Aborting.`, 'ERROR');
+        if (lastError) log(`Last error: ${lastError}`, 'ERROR');
+        log(`Reset its entry in ${path.relative(CONFIG.paths.projectRoot, CONFIG.paths.state)} to give it more retries,`, 'INFO');
+        log('or set OREO_QUARANTINE_FAILED=true to quarantine failing tasks and carry on.', 'INFO');
+        await endSession('aborted', 1);
+      }
+      quarantineTask(loopState, t, lastError);
+      log(`Task ${t.id} failed ${maxAttemptsFor(t)} times - quarantined [!], continuing with independent tasks`, 'ERROR');
+    }
+    if (exhausted.length > 0) {
+      // Re-plan: tasks depending on the quarantined ones are no longer runnable
+      continue;
     }
 
-    // 3. Select model
-    const model = selectModel(task);
+    // Only for attempts that will actually run - selectModel logs escalations
+    const batch = planned.map(b => ({ ...b, ...selectModel(b.task, b.attempts + 1) }));
 
-    console.log('');
-    console.log('-------------------------------------------------------------------------------');
-    log(`Task ${task.id}: ${task.title}`, 'INFO');
-    log(`Model: ${model.name}`, 'INFO');
-    log(`Attempt: ${attempts + 1}/${CONFIG.maxRetriesPerTask}`, 'INFO');
-    console.log('-------------------------------------------------------------------------------');
+    for (const { task: t } of batch) {
+      const budget = getBudgetStatus(t);
+      if (budget.hardLimit) {
+        await haltOnBudget(t, budget.hardLimit, loopState);
+      }
+    }
+
+    for (const { task: t, model, routedModel, escalated, attempts } of batch) {
+      console.log('');
+      console.log('-------------------------------------------------------------------------------');
+      log(`Task ${t.id}: ${t.title}`, 'INFO');
+      if (t.dependsOn.length > 0) {
+        log(`Depends on: ${t.dependsOn.map(id => `Task ${id}`).join(', ')} (all complete)`, 'INFO');
+      }
+      log(`Model: ${model.name}${escalated ? ` (escalated from ${routedModel.name})` : ''}`, 'INFO');
+      log(`Attempt: ${attempts + 1}/${maxAttemptsFor(t)}`, 'INFO');
+      if (formatDirectives(t.directives)) {
+        log(`Directives: ${formatDirectives(t.directives)}`, 'INFO');
+      }
+      console.log('-------------------------------------------------------------------------------');
 
-    // 3.5 Check if Playwright is needed for this task
-    checkPlaywrightNeeded(task);
+      // 3.5 Check if Playwright is needed for this task
+      checkPlaywrightNeeded(t);
+    }
 
     // Update session state for observability
     sessionState.running = true;
     sessionState.currentTask = {
-      id: task.id,
-      title: task.title,
-      attempt: attempts + 1,
-      maxAttempts: CONFIG.maxRetriesPerTask
+      id: batch[0].task.id,
+      title: batch[0].task.title,
+      attempt: batch[0].attempts + 1,
+      maxAttempts: maxAttemptsFor(batch[0].task),
+      directives: formatDirectives(batch[0].task.directives) || null
     };
+    sessionState.activeTasks = batch.map(({ task: t, attempts, model }) => ({
+      id: t.id,
+      title: t.title,
+      attempt: attempts + 1,
+      maxAttempts: maxAttemptsFor(t),
+      model: model.name,
+      directives: formatDirectives(t.directives) || null
+    }));
     sessionState.taskStartTime = Date.now();
-    sessionState.model = model.name;
-
-    // 4. Prepare prompt
-    const prompt = constructPrompt(task);
-    fs.writeFileSync(CONFIG.paths.prompt, prompt);
-
-    // 5. Execute agent (Claude Code or Aider)
-    // Cross-platform: use .bat on Windows, .sh on Linux/macOS
-    const scriptExt = process.platform === 'win32' ? '.bat' : '.sh';
-    const scriptName = (process.env.AI_PROVIDER || 'subscription').toLowerCase() === 'aider'
-      ? 'run-with-aider'
-      : 'run-with-prompt';
-    const batFile = path.join(__dirname, `${scriptName}${scriptExt}`);
-
-    // Note: No chmod needed — spawn uses shell: true which bypasses the execute bit
-
-    // Save credentials BEFORE clearing (clearProviderEnv deletes them from process.env)
-    const savedCredentials = {
-      AWS_ACCESS_KEY_ID: process.env.AWS_ACCESS_KEY_ID,
-      AWS_SECRET_ACCESS_KEY: process.env.AWS_SECRET_ACCESS_KEY,
-      AWS_REGION: process.env.AWS_REGION,
-      ANTHROPIC_API_KEY: process.env.ANTHROPIC_API_KEY,
-      ANTHROPIC_FOUNDRY_API_KEY: process.env.ANTHROPIC_FOUNDRY_API_KEY,
-      // Foundry: single resource (legacy)
-      ANTHROPIC_FOUNDRY_RESOURCE: process.env.ANTHROPIC_FOUNDRY_RESOURCE,
-      ANTHROPIC_FOUNDRY_BASE_URL: process.env.ANTHROPIC_FOUNDRY_BASE_URL,
-      // Foundry: per-model resources
-      ANTHROPIC_FOUNDRY_RESOURCE_OPUS: process.env.ANTHROPIC_FOUNDRY_RESOURCE_OPUS,
-      ANTHROPIC_FOUNDRY_RESOURCE_SONNET: process.env.ANTHROPIC_FOUNDRY_RESOURCE_SONNET,
-      ANTHROPIC_FOUNDRY_RESOURCE_HAIKU: process.env.ANTHROPIC_FOUNDRY_RESOURCE_HAIKU,
-      ANTHROPIC_FOUNDRY_BASE_URL_OPUS: process.env.ANTHROPIC_FOUNDRY_BASE_URL_OPUS,
-      ANTHROPIC_FOUNDRY_BASE_URL_SONNET: process.env.ANTHROPIC_FOUNDRY_BASE_URL_SONNET,
-      ANTHROPIC_FOUNDRY_BASE_URL_HAIKU: process.env.ANTHROPIC_FOUNDRY_BASE_URL_HAIKU,
-      // Aider / Azure OpenAI
-      AIDER_MODEL: process.env.AIDER_MODEL,
-      AIDER_MODEL_OPUS: process.env.AIDER_MODEL_OPUS,
-      AIDER_MODEL_SONNET: process.env.AIDER_MODEL_SONNET,
-      AIDER_MODEL_HAIKU: process.env.AIDER_MODEL_HAIKU,
-      AZURE_API_KEY: process.env.AZURE_API_KEY,
-      AZURE_API_BASE: process.env.AZURE_API_BASE,
-      AZURE_API_VERSION: process.env.AZURE_API_VERSION,
-      AZURE_AI_API_KEY: process.env.AZURE_AI_API_KEY,
-      AZURE_AI_API_BASE: process.env.AZURE_AI_API_BASE,
-      OPENAI_API_KEY: process.env.OPENAI_API_KEY
-    };
-
-    // Clear ALL provider environment variables first
-    // Skip for aider — it uses different vars (AZURE_API_KEY etc) that don't
-    // conflict with Claude Code vars, and clearProviderEnv would wipe them on retry
-    const provider = (process.env.AI_PROVIDER || 'subscription').toLowerCase();
-    if (provider !== 'aider') {
-      clearProviderEnv();
+    sessionState.model = batch.map(b => b.model.name).join(', ');
+    const startedAt = new Date().toISOString();
+    for (const { task: t, model, routedModel, escalated, attempts } of batch) {
+      startAttempt(loopState, t, { attempt: attempts + 1, model, routedModel, escalated, startedAt });
+      emitEvent('task_start', { taskId: t.id, attempt: attempts + 1, title: t.title, maxAttempts: maxAttemptsFor(t) });
+      emitEvent('model_selected', {
+        taskId: t.id,
+        attempt: attempts + 1,
+        model: model.name,
+        modelId: model.id,
+        tier: getModelTier(model),
+        routedModel: routedModel.name,
+        escalated: !!escalated
+      });
     }
 
-    const env = {
-      ...process.env,  // Start fresh after clearProviderEnv()
-      CLAUDE_CODE_MAX_OUTPUT_TOKENS: String(model.maxOutput || 20000),
-      CLAUDE_CODE_MAX_THINKING_TOKENS: String(model.maxThinking || 0),
-      FORCE_COLOR: '1'
-    };
-
-    // Provider-specific configuration
-    if (provider === 'bedrock') {
-      // AWS Bedrock - Set Bedrock-specific vars
-      env.ANTHROPIC_MODEL = model.id;
-      env.CLAUDE_CODE_USE_BEDROCK = '1';
-      env.AWS_REGION = savedCredentials.AWS_REGION || 'us-east-1';
-      env.AWS_ACCESS_KEY_ID = savedCredentials.AWS_ACCESS_KEY_ID;
-      env.AWS_SECRET_ACCESS_KEY = savedCredentials.AWS_SECRET_ACCESS_KEY;
-      log(`Using AWS Bedrock with model: ${model.id}`, 'INFO');
-
-    } else if (provider === 'foundry') {
-      // Microsoft Foundry - Set Foundry-specific vars
-      // Determine which model tier we're using (OPUS, SONNET, or HAIKU)
-      const modelKey = Object.keys(CONFIG.models).find(k => CONFIG.models[k] === model) || 'HAIKU';
-      const foundryConfig = getFoundryResource(modelKey);
-
-      env.ANTHROPIC_MODEL = model.id;
-      env.CLAUDE_CODE_USE_FOUNDRY = '1';
-      env.ANTHROPIC_FOUNDRY_API_KEY = savedCredentials.ANTHROPIC_FOUNDRY_API_KEY;
-
-      // Use model-specific resource/URL (with fallback to single resource)
-      if (foundryConfig.resource) {
-        env.ANTHROPIC_FOUNDRY_RESOURCE = foundryConfig.resource;
+    if (parallel > 1) {
+      // 4-6. Execute the batch in worktrees and merge the results
+      const results = await runParallelBatch(batch, sessionBranch);
+      for (const result of results) {
+        const { model, routedModel, escalated, attempts } = batch.find(b => b.task.id === result.task.id);
+        let outcome = 'error';
+        if (result.completed) outcome = 'completed';
+        else if (result.skipped) outcome = 'skipped';
+        else if (result.verification) outcome = 'verification-failed';
+        else if (result.protectedViolation) outcome = 'protected-path';
+        else if (result.overBudget) outcome = 'over-budget';
+        else if (result.secretFiles) outcome = 'secret-detected';
+        else if (!result.error) outcome = 'incomplete';
+        recordAttempt(loopState, result.task, {
+          attempt: attempts + 1, model, routedModel, escalated, startedAt,
+          outcome, error: result.error, context: result.context
+        });
+        if (outcome !== 'completed' && outcome !== 'skipped') {
+          await runTaskFailHook(result.task, model, attempts + 1, { outcome, error: result.error, attemptCost: result.cost });
+        }
       }
-      if (foundryConfig.baseUrl) {
-        env.ANTHROPIC_FOUNDRY_BASE_URL = foundryConfig.baseUrl;
+      const conflicted = results.filter(r => r.conflicts.length > 0);
+      if (conflicted.length > 0) {
+        log(`Merge conflicts this batch: ${conflicted.map(r => `Task ${r.task.id} (${r.conflicts.join(', ')})`).join('; ')}`, 'WARN');
       }
-      log(`Using Microsoft Foundry with model: ${model.id} (resource: ${foundryConfig.resource || foundryConfig.baseUrl})`, 'INFO');
-
-    } else if (provider === 'anthropic') {
-      // Anthropic API - Set ONLY API key (no ANTHROPIC_MODEL)
-      env.ANTHROPIC_API_KEY = savedCredentials.ANTHROPIC_API_KEY;
-      log(`Using Anthropic API with model: ${model.id}`, 'INFO');
-
-    } else if (provider === 'subscription') {
-      // Claude Code Subscription - Set NO auth variables
-      // Claude Code will use logged-in claude.ai account
-      log(`Using Claude Subscription with model: ${model.id}`, 'INFO');
-
-    } else if (provider === 'aider') {
-      // Aider - resolve per-tier model, falling back to AIDER_MODEL
-      const modelKey = Object.keys(CONFIG.models).find(k => CONFIG.models[k] === model) || 'HAIKU';
-      const tierVar = `AIDER_MODEL_${modelKey}`;
-      const resolvedModel = savedCredentials[tierVar] || savedCredentials.AIDER_MODEL || model.id;
-      env.AIDER_MODEL = resolvedModel;
-      // azure/* models (gpt-*, o3) → cognitiveservices.azure.com
-      env.AZURE_API_KEY = savedCredentials.AZURE_API_KEY;
-      env.AZURE_API_BASE = savedCredentials.AZURE_API_BASE;
-      env.AZURE_API_VERSION = savedCredentials.AZURE_API_VERSION;
-      // azure_ai/* models (GLM-5, Kimi, DeepSeek, MiniMax, etc.) → services.ai.azure.com/models
-      env.AZURE_AI_API_KEY = savedCredentials.AZURE_AI_API_KEY || savedCredentials.AZURE_API_KEY;
-      env.AZURE_AI_API_BASE = savedCredentials.AZURE_AI_API_BASE;
-      env.OPENAI_API_KEY = savedCredentials.OPENAI_API_KEY;
-      log(`Using Aider [${modelKey}] with model: ${resolvedModel}`, 'INFO');
-
     } else {
-      log(`Invalid AI_PROVIDER: ${provider}. Valid options: bedrock, foundry, anthropic, subscription, aider`, 'ERROR');
-      process.exit(1);
-    }
+      const { model, routedModel, escalated, attempts, previousAttempt } = batch[0];
+      const attemptRecord = { attempt: attempts + 1, model, routedModel, escalated, startedAt };
+      const checkpoint = checkpointBeforeAttempt(CONFIG.paths.projectRoot, task);
+      const failureContext = info => ({
+        ...buildAttemptContext({ ...info, cwd: CONFIG.paths.projectRoot }),
+        ...discardFailedAttempt(task, attempts + 1, checkpoint)
+      });
 
-    // For aider: resolve files from the task's **Files:** section and pass as --file args.
-    // This prevents Aider from asking "please add these files to the chat" on attempt 1.
-    const aiderFileArgs = [];
-    if (provider === 'aider') {
-      const taskFiles = extractFilesFromTask(task.details || '');
-      for (const f of taskFiles) {
-        const absPath = path.resolve(CONFIG.paths.projectRoot, f.trim());
-        if (fs.existsSync(absPath)) {
-          aiderFileArgs.push(absPath);
-        }
-      }
-      if (aiderFileArgs.length > 0) {
-        log(`Passing ${aiderFileArgs.length} file(s) to Aider: ${aiderFileArgs.map(f => path.relative(CONFIG.paths.projectRoot, f)).join(', ')}`, 'INFO');
+      // 4. Prepare prompt
+      const prompt = constructPrompt(task, previousAttempt);
+      if (previousAttempt && CONFIG.retryContextTokens > 0) {
+        log(`Retrying with context from attempt ${previousAttempt.attempt}: ${previousAttempt.exitReason}`, 'INFO');
       }
-    }
-
-    log('Spawning Claude Code agent...', 'INFO');
-
-    try {
-      let outputBuffer = '';
-      let childProcess = null;
+      fs.writeFileSync(CONFIG.paths.prompt, prompt);
 
-      // Create timeout promise
-      const timeoutPromise = new Promise((_, reject) => {
-        setTimeout(() => {
-          reject(new Error(`Task execution timeout after ${CONFIG.taskTimeoutMs / 1000}s`));
-        }, CONFIG.taskTimeoutMs);
-      });
+      let failure = null;
+      let attemptCost = null;
+      let protectedSnapshot = null;
+      let agentStarted = false;
+      try {
+        const beforeTask = await runLifecycleHook('beforeTask', buildHookPayload({ task, model, attempt: attempts + 1 }), CONFIG.paths.projectRoot);
+        if (!beforeTask.ok) {
+          throw Object.assign(new Error(beforeTask.error), { output: beforeTask.output });
+        }
 
-      // Create execution promise with heartbeat monitoring
-      const executionPromise = new Promise((resolve, reject) => {
-        childProcess = spawn(batFile, [CONFIG.paths.prompt, ...aiderFileArgs], {
-          env,
+        // 5. Execute agent (see oreo-agents.js)
+        protectedSnapshot = snapshotBeforeAttempt(CONFIG.paths.projectRoot);
+        agentStarted = true;
+        const { output: outputBuffer, usage } = await runAgent({
+          task,
+          model,
           cwd: CONFIG.paths.projectRoot,
-          shell: true,
-          stdio: ['ignore', 'pipe', 'pipe']
+          promptPath: CONFIG.paths.prompt,
+          tasksPath: CONFIG.paths.tasks,
+          attempt: attempts + 1
         });
 
-        // Store reference for graceful shutdown
-        currentChildProcess = childProcess;
-
-        // Log PID for debugging
-        log(`Agent spawned (PID: ${childProcess.pid})`, 'INFO');
+        log('Agent completed successfully', 'INFO');
 
-        let lastOutputTime = Date.now();
+        // Protected files the agent touched are put back before anything else looks at the tree
+        const protectedViolation = enforceProtectedPaths(task, attempts + 1, protectedSnapshot);
+        const overBudget = enforceChangeBudget(task, attempts + 1, checkpoint);
 
-        // Heartbeat check - detect silent hangs AND completed-but-stuck agents
-        const heartbeatInterval = setInterval(() => {
-          const silentTime = Date.now() - lastOutputTime;
+        // 6. Post-execution check
+        log('Post-execution: Checking task completion status...', 'INFO');
 
-          // Check if task was already marked complete in cookie-crumbs.md
-          let currentTasks = [];
-          try {
-            currentTasks = parseTasks();
-            const currentTask = currentTasks.find(t => t.id === task.id);
-            if (currentTask && currentTask.completed) {
-              log(`Task ${task.id} marked complete but agent still running - killing zombie (PID: ${childProcess.pid})`, 'WARN');
-              clearInterval(heartbeatInterval);
-              try {
-                process.kill(childProcess.pid, 'SIGTERM');
-                setTimeout(() => {
-                  try { process.kill(childProcess.pid, 'SIGKILL'); } catch (e) {}
-                }, 5000);
-              } catch (e) {}
-              resolve();
-              return;
-            }
-          } catch (e) {
-            // If parsing fails, continue with normal heartbeat
-          }
+        markAgentCompletion(task, outputBuffer, CONFIG.paths.tasks);
 
-          if (silentTime > CONFIG.silentWarningMs) {
-            log(`WARNING: No output from agent for ${Math.floor(silentTime / 1000)}s (PID: ${childProcess.pid})`, 'WARN');
-          }
+        const updatedTasks = parseTasks();
+        let isComplete = updatedTasks.find(t => t.id === task.id)?.completed;
+        log(`Post-execution: Task ${task.id} completion status: ${isComplete ? 'COMPLETE' : 'INCOMPLETE'}`, 'INFO');
 
-          // --- Improvement 4: Elapsed time vs expected ---
-          const elapsedMs = Date.now() - (sessionState.taskStartTime || Date.now());
-          const elapsedMin = Math.floor(elapsedMs / 60000);
-          const expectedMin = Math.floor(CONFIG.expectedTaskDurationMs / 60000);
-          if (elapsedMs <= CONFIG.expectedTaskDurationMs) {
-            const pct = Math.round((elapsedMs / CONFIG.expectedTaskDurationMs) * 100);
-            log(`[HEARTBEAT] Elapsed: ${elapsedMin}m/${expectedMin}m expected (${pct}%)`, 'INFO');
-          } else {
-            log(`[HEARTBEAT] Elapsed: ${elapsedMin}m (over ${expectedMin}m expected)`, 'WARN');
-          }
+        // Track cost
+        log('Post-execution: Tracking cost...', 'INFO');
+        attemptCost = trackCost(task, model, prompt, outputBuffer, { attempt: attempts + 1, routedModel, escalated }, usage);
 
-          // --- Improvement 3: Cookie-Crumbs task status ---
-          try {
-            const totalTasks = currentTasks.length;
-            const completedTasks = currentTasks.filter(t => t.completed).length;
-            const current = currentTasks.find(t => !t.completed);
-            const currentLabel = current
-              ? `Task ${current.id} - ${current.title.substring(0, 50)}`
-              : 'none';
-            log(`[HEARTBEAT] Tasks: ${completedTasks}/${totalTasks} | Current: ${currentLabel}`, 'INFO');
-          } catch (e) {
-            // Silently ignore
-          }
+        if ((protectedViolation || overBudget) && isComplete) {
+          setTaskChecked(CONFIG.paths.tasks, task.id, false);
+          isComplete = false;
+        }
 
-          // --- Improvement 1: Progress file tail ---
-          try {
-            const progressPath = CONFIG.paths.progress;
-            if (fs.existsSync(progressPath)) {
-              const progressContent = fs.readFileSync(progressPath, 'utf8');
-              const progressLines = progressContent.trim().split('\n');
-              const tail = progressLines.slice(-3).map(l => l.trim()).join(' | ');
-              if (tail) {
-                log(`[HEARTBEAT] Progress tail: ${tail}`, 'INFO');
-              }
-            }
-          } catch (e) {
-            // File may not exist yet, silently ignore
+        // Don't take the checkbox on trust - run the task's Verification commands
+        let verification = null;
+        if (isComplete) {
+          verification = await runVerification(task, CONFIG.paths.projectRoot);
+          if (!verification.passed) {
+            setTaskChecked(CONFIG.paths.tasks, task.id, false);
+            isComplete = false;
           }
+        }
 
-          // --- Improvement 2: Recently modified files ---
-          try {
-            const findCmd = `find "${CONFIG.paths.projectRoot}" -type f -mmin -2 -not -path "*/node_modules/*" -not -path "*/.git/*" -not -path "*/oroboreo/archives/*" 2>/dev/null`;
-            const modifiedFiles = execSync(findCmd, { timeout: 5000 }).toString().trim();
-            if (modifiedFiles) {
-              const files = modifiedFiles.split('\n').filter(Boolean);
-              const latest = path.basename(files[files.length - 1]);
-              log(`[HEARTBEAT] Files modified (last 2m): ${files.length} | Latest: ${latest}`, 'INFO');
-            }
-          } catch (e) {
-            // Silently ignore
+        // Project hook gets the last word before the commit
+        let afterTask = null;
+        if (isComplete) {
+          afterTask = await runLifecycleHook('afterTask', buildHookPayload({
+            task, model, attempt: attempts + 1, attemptCost, outcome: 'completed'
+          }), CONFIG.paths.projectRoot);
+          if (!afterTask.ok) {
+            setTaskChecked(CONFIG.paths.tasks, task.id, false);
+            isComplete = false;
           }
+        }
 
-        }, CONFIG.heartbeatIntervalMs);
-
-        childProcess.stdout.on('data', (data) => {
-          lastOutputTime = Date.now();
-          const str = data.toString();
-          process.stdout.write(str);
-          outputBuffer += str;
-          fs.appendFileSync(CONFIG.paths.log, str);
-        });
-
-        childProcess.stderr.on('data', (data) => {
-          lastOutputTime = Date.now();
-          const str = data.toString();
-          process.stderr.write(str);
-          outputBuffer += str;
-          fs.appendFileSync(CONFIG.paths.log, str);
-        });
-
-        childProcess.on('exit', (code) => {
-          clearInterval(heartbeatInterval);
-          log(`Agent exited (PID: ${childProcess.pid}, code: ${code})`, 'INFO');
-          if (code === 0) resolve();
-          else reject(new Error(`Exit code ${code}`));
-        });
-
-        childProcess.on('error', (err) => {
-          clearInterval(heartbeatInterval);
-          log(`Agent spawn error (PID: ${childProcess.pid}): ${err.message}`, 'ERROR');
-          reject(err);
-        });
-      });
-
-      // Race between execution and timeout
-      await Promise.race([executionPromise, timeoutPromise]).catch((err) => {
-        if (err.message.includes('timeout')) {
-          log(`Agent timeout detected - attempting to kill process (PID: ${childProcess ? childProcess.pid : 'unknown'})`, 'ERROR');
-          if (childProcess && childProcess.pid) {
-            try {
-              process.kill(childProcess.pid, 'SIGTERM');
-              setTimeout(() => {
-                try {
-                  // Force kill if still alive after 5s
-                  process.kill(childProcess.pid, 'SIGKILL');
-                  log(`Force killed hung process (PID: ${childProcess.pid})`, 'ERROR');
-                } catch (killErr) {
-                  // Process already dead
-                }
-              }, 5000);
-            } catch (killErr) {
-              log(`Failed to kill hung process: ${killErr.message}`, 'ERROR');
-            }
+        // A secret in the changes blocks the commit and fails the attempt
+        let secretFiles = [];
+        if (isComplete && CONFIG.git.commitOnSuccess) {
+          log('Post-execution: Committing changes to git...', 'INFO');
+          secretFiles = gitCommit(task);
+          if (secretFiles.length > 0) {
+            setTaskChecked(CONFIG.paths.tasks, task.id, false);
+            isComplete = false;
+          } else {
+            log('Post-execution: Git commit complete', 'INFO');
           }
         }
-        throw err;
-      });
 
-      log('Agent completed successfully', 'INFO');
-
-      // 6. Post-execution check
-      log('Post-execution: Checking task completion status...', 'INFO');
-
-      // Aider cannot mark its own tasks complete — do it on its behalf after clean exit,
-      // but only if Aider actually modified project files (not just oroboreo housekeeping files)
-      if (provider === 'aider') {
-        const aiderModifiedFiles = outputBuffer.match(/^Applied edit to (.+)$/m);
-        if (aiderModifiedFiles) {
-          const cookiePath = path.join(CONFIG.paths.projectRoot, 'oroboreo', 'cookie-crumbs.md');
-          const content = fs.readFileSync(cookiePath, 'utf8');
-          const taskPattern = new RegExp(`(- )\\[ \\]( \\*\\*Task ${task.id}:)`);
-          if (taskPattern.test(content)) {
-            fs.writeFileSync(cookiePath, content.replace(taskPattern, '$1[x]$2'), 'utf8');
-            log(`Aider provider: marked Task ${task.id} complete (edited: ${aiderModifiedFiles[1]})`, 'INFO');
-          }
+        if (isComplete) {
+          log(`Task ${task.id} COMPLETED!`, 'SUCCESS');
+          recordAttempt(loopState, task, { ...attemptRecord, outcome: 'completed' });
+        } else if (secretFiles.length > 0) {
+          log(`Task ${task.id} left a secret in its changes - unchecked, retrying...`, 'WARN');
+          failure = { outcome: 'secret-detected', error: `Secret scan hit in ${secretFiles.join(', ')}` };
+          recordAttempt(loopState, task, {
+            ...attemptRecord,
+            ...failure,
+            context: failureContext({ outcome: 'secret-detected', exitReason: failure.error, output: outputBuffer })
+          });
+        } else if (protectedViolation) {
+          log(`Task ${task.id} changed protected files - failing the attempt, retrying...`, 'WARN');
+          failure = { outcome: 'protected-path', error: protectedViolation };
+          recordAttempt(loopState, task, {
+            ...attemptRecord,
+            ...failure,
+            context: failureContext({ outcome: 'protected-path', exitReason: protectedViolation, output: outputBuffer })
+          });
+        } else if (overBudget) {
+          log(`Task ${task.id} went over its change budget - failing the attempt, retrying...`, 'WARN');
+          failure = { outcome: 'over-budget', error: overBudget };
+          recordAttempt(loopState, task, {
+            ...attemptRecord,
+            ...failure,
+            context: failureContext({ outcome: 'over-budget', exitReason: overBudget, output: outputBuffer })
+          });
+        } else if (afterTask) {
+          log(`Task ${task.id} failed its afterTask hook - unchecked, retrying...`, 'WARN');
+          failure = { outcome: 'error', error: afterTask.error };
+          recordAttempt(loopState, task, {
+            ...attemptRecord,
+            ...failure,
+            context: failureContext({ outcome: 'error', exitReason: afterTask.error, output: afterTask.output || outputBuffer })
+          });
+        } else if (verification) {
+          log(`Task ${task.id} failed verification - unchecked, retrying...`, 'WARN');
+          failure = { outcome: 'verification-failed', error: 'Verification failed' };
+          recordAttempt(loopState, task, {
+            ...attemptRecord,
+            ...failure,
+            context: failureContext({ outcome: 'verification-failed', output: outputBuffer, verification })
+          });
         } else {
-          log(`Aider provider: no file edits detected for Task ${task.id} — will retry`, 'WARN');
+          log(`Task ${task.id} not marked complete, retrying...`, 'WARN');
+          failure = { outcome: 'incomplete' };
+          recordAttempt(loopState, task, {
+            ...attemptRecord,
+            ...failure,
+            context: failureContext({ outcome: 'incomplete', output: outputBuffer })
+          });
         }
-      }
-
-      const updatedTasks = parseTasks();
-      const isComplete = updatedTasks.find(t => t.id === task.id)?.completed;
-      log(`Post-execution: Task ${task.id} completion status: ${isComplete ? 'COMPLETE' : 'INCOMPLETE'}`, 'INFO');
 
-      // Track cost
-      log('Post-execution: Tracking cost...', 'INFO');
-      trackCost(task, model, prompt, outputBuffer);
+        log(`Post-execution: Task ${task.id} cycle complete`, 'INFO');
 
-      if (isComplete) {
-        log(`Task ${task.id} COMPLETED!`, 'SUCCESS');
-        delete taskAttempts[task.id];
-
-        if (CONFIG.git.commitOnSuccess) {
-          log('Post-execution: Committing changes to git...', 'INFO');
-          gitCommit(task);
-          log('Post-execution: Git commit complete', 'INFO');
+      } catch (e) {
+        log(`Execution failed: ${e.message}`, 'ERROR');
+        // A failed, timed-out or aborted run still spent tokens - cost it so the spend limits see it
+        if (agentStarted && attemptCost === null) {
+          attemptCost = trackCost(task, model, prompt, e.output || '', { attempt: attempts + 1, routedModel, escalated }, e.usage || null);
         }
-      } else {
-        log(`Task ${task.id} not marked complete, retrying...`, 'WARN');
-        taskAttempts[task.id] = attempts + 1;
+        const protectedViolation = enforceProtectedPaths(task, attempts + 1, protectedSnapshot);
+        if (protectedViolation) e.message = `${e.message}; ${protectedViolation}`;
+        // A task skipped via oro-ctl while running isn't a failed attempt
+        const skipped = parseTasks().find(t => t.id === task.id)?.skipped;
+        recordAttempt(loopState, task, {
+          ...attemptRecord,
+          outcome: skipped ? 'skipped' : 'error',
+          error: e.message,
+          context: skipped ? null : failureContext({ outcome: 'error', exitReason: e.message, output: e.output })
+        });
+        if (!skipped) failure = { outcome: 'error', error: e.message };
       }
 
-      log(`Post-execution: Task ${task.id} cycle complete`, 'INFO');
+      if (failure) {
+        await runTaskFailHook(task, model, attempts + 1, { ...failure, attemptCost });
+      }
+    }
 
-    } catch (e) {
-      log(`Execution failed: ${e.message}`, 'ERROR');
-      taskAttempts[task.id] = attempts + 1;
+    // Stop before the next iteration if this one crossed a hard limit
+    for (const { task: t } of batch) {
+      const budget = getBudgetStatus(t);
+      if (budget.hardLimit) {
+        await haltOnBudget(t, budget.hardLimit, loopState);
+      }
     }
 
     // Cooldown
@@ -1252,9 +3768,13 @@ async function main() {
   }
 
   log(`Max loops (${CONFIG.maxGlobalLoops}) reached. Stopping.`, 'WARN');
+  await endSession('max-loops', 0);
 }
 
-main().catch(e => {
-  console.error('Fatal Error:', e.message);
-  process.exit(1);
-});
+// Only run the loop when executed directly (oreo-status.js requires this module)
+if (require.main === module) {
+  main().catch(e => {
+    console.error('Fatal Error:', e.message);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,204 @@
+/**
+ * OREO-SECRETS - Secret Scan of Staged Changes
+ *
+ * Every commit Oroboreo makes starts with `git add .`, so a key an agent
+ * pasted into a config file would be committed (and, on archive, pushed).
+ * Before each commit the staged diff is scanned; files with a hit are
+ * unstaged, and the caller logs the incident and skips the commit.
+ * "No Secrets in Code" is Universal Law #2 in creme-filling.md - this is the
+ * part the runner can enforce.
+ *
+ * Only added lines are scanned. Rules:
+ *   aws-access-key-id     AKIA.../ASIA... key IDs
+ *   aws-secret-key        40-character secret assigned to an aws...secret name
+ *   anthropic-api-key     sk-ant-...
+ *   openai-api-key        sk-... / sk-proj-...
+ *   azure-storage-key     AccountKey=... in a connection string
+ *   azure-api-key         32-hex key assigned to an azure...key name
+ *   private-key           -----BEGIN ... PRIVATE KEY-----
+ *   env-value             Value of a KEY/SECRET/TOKEN/PASSWORD/CREDENTIAL/AUTH
+ *                         variable from oroboreo/.env
+ *   high-entropy-string   32+ characters of mixed-case letters and digits with
+ *                         Shannon entropy >= 4.5 bits (lockfiles, source maps and
+ *                         sha/base64 data URIs are skipped)
+ *
+ * A line containing `oreo:allow-secret` is never reported (for test fixtures).
+ *
+ * Usage:
+ *   const { loadEnvSecrets, unstageSecrets } = require('./oreo-secrets.js');
+ *   const { findings, unstaged } = unstageSecrets(cwd, { envSecrets: loadEnvSecrets(envPath) });
+ *
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execSync } = require('child_process');
+
+const ALLOW_MARKER = 'oreo:allow-secret';
+
+const SECRET_RULES = [
+  { rule: 'aws-access-key-id', regex: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/ },
+  { rule: 'aws-secret-key', regex: /aws.{0,20}secret.{0,20}?['"]?\s*[:=]\s*['"]?([A-Za-z0-9/+]{40})(?![A-Za-z0-9/+])/i },
+  { rule: 'anthropic-api-key', regex: /\bsk-ant-[A-Za-z0-9_-]{20,}/ },
+  { rule: 'openai-api-key', regex: /\bsk-(?!ant-)(?:proj-|svcacct-)?(?=[\w-]*\d)(?=[\w-]*[A-Z])[A-Za-z0-9_-]{20,}/ },
+  { rule: 'azure-storage-key', regex: /AccountKey=[A-Za-z0-9+/=]{40,}/ },
+  { rule: 'azure-api-key', regex: /azure.{0,30}key.{0,10}?['"]?\s*[:=]\s*['"]?[a-f0-9]{32}\b/i },
+  { rule: 'private-key', regex: /-----BEGIN (?:[A-Z]+ )?PRIVATE KEY(?: BLOCK)?-----/ }
+];
+
+// .env variables whose values count as secrets
+const SECRET_ENV_NAME = /KEY|SECRET|TOKEN|PASSWORD|PASSWD|CREDENTIAL|AUTH/i;
+const MIN_ENV_SECRET_LENGTH = 8;
+
+const ENTROPY_MIN_LENGTH = 32;
+const ENTROPY_THRESHOLD = 4.5;
+const ENTROPY_SKIPPED_FILES = /(?:^|\/)(?:package-lock\.json|npm-shrinkwrap\.json|yarn\.lock|pnpm-lock\.yaml|[^/]+\.lock|[^/]+\.map|[^/]+\.min\.js)$/;
+
+// ============================================================================
+// DETECTION
+// ============================================================================
+
+/**
+ * Values of secret-looking variables in a .env file.
+ * @param {string} envPath - Path to the .env file
+ * @returns {string[]} Values ([] if the file does not exist)
+ */
+function loadEnvSecrets(envPath) {
+  if (!envPath || !fs.existsSync(envPath)) return [];
+  const values = [];
+  for (const line of fs.readFileSync(envPath, 'utf8').split('\n')) {
+    if (line.trim().startsWith('#') || !line.includes('=')) continue;
+    const [key, ...rest] = line.split('=');
+    const value = rest.join('=').trim().replace(/^(['"])(.*)\1$/, '$2');
+    if (SECRET_ENV_NAME.test(key) && value.length >= MIN_ENV_SECRET_LENGTH) {
+      values.push(value);
+    }
+  }
+  return values;
+}
+
+function shannonEntropy(text) {
+  const counts = new Map();
+  for (const char of text) counts.set(char, (counts.get(char) || 0) + 1);
+  let entropy = 0;
+  for (const count of counts.values()) {
+    const p = count / text.length;
+    entropy -= p * Math.log2(p);
+  }
+  return entropy;
+}
+
+function findHighEntropyString(line) {
+  for (const match of line.matchAll(/[A-Za-z0-9+/_=-]{32,}/g)) {
+    const token = match[0].replace(/=+$/, '');
+    const before = line.slice(Math.max(0, match.index - 8), match.index);
+    if (token.length < ENTROPY_MIN_LENGTH || /base64,$/.test(before) || /^sha\d+-/.test(token)) continue;
+    if (!/[a-z]/.test(token) || !/[A-Z]/.test(token) || !/[0-9]/.test(token)) continue;
+    if (shannonEntropy(token) >= ENTROPY_THRESHOLD) return token;
+  }
+  return null;
+}
+
+/**
+ * Hide all but the first characters of a secret for logs.
+ */
+function maskSecret(secret) {
+  return `${secret.slice(0, 4)}... (${secret.length} chars)`;
+}
+
+/**
+ * Check one added line.
+ * @returns {{ rule: string, excerpt: string }|null}
+ */
+function scanLine(line, file, envSecrets) {
+  if (line.includes(ALLOW_MARKER)) return null;
+
+  for (const { rule, regex } of SECRET_RULES) {
+    const match = line.match(regex);
+    if (match) return { rule, excerpt: maskSecret(match[1] || match[0]) };
+  }
+  const envValue = envSecrets.find(value => line.includes(value));
+  if (envValue) return { rule: 'env-value', excerpt: maskSecret(envValue) };
+
+  if (!ENTROPY_SKIPPED_FILES.test(file)) {
+    const token = findHighEntropyString(line);
+    if (token) return { rule: 'high-entropy-string', excerpt: maskSecret(token) };
+  }
+  return null;
+}
+
+// ============================================================================
+// STAGED CHANGES
+// ============================================================================
+
+function git(command, cwd, timeoutMs) {
+  return execSync(`git ${command}`, {
+    cwd,
+    timeout: timeoutMs,
+    maxBuffer: 50 * 1024 * 1024,
+    stdio: ['ignore', 'pipe', 'pipe']
+  }).toString();
+}
+
+/**
+ * Scan the lines added by the staged changes.
+ * @param {string} cwd - Repository checkout
+ * @param {Object} [options] - { envSecrets: string[], timeoutMs: number }
+ * @returns {Array<{ file: string, line: number, rule: string, excerpt: string }>}
+ *   One finding per file (the first hit); excerpt is masked
+ */
+function scanStagedChanges(cwd, { envSecrets = [], timeoutMs = 60000 } = {}) {
+  const diff = git('diff --cached --no-color --no-ext-diff -U0', cwd, timeoutMs);
+  const findings = [];
+  let file = null;
+  let lineNumber = 0;
+  let reported = false;
+
+  for (const line of diff.split('\n')) {
+    if (line.startsWith('+++ ')) {
+      file = line === '+++ /dev/null' ? null : line.slice(4).replace(/^b\//, '').replace(/^"b\/(.*)"$/, '$1');
+      reported = false;
+    } else if (line.startsWith('@@')) {
+      const match = line.match(/\+(\d+)/);
+      lineNumber = match ? parseInt(match[1], 10) : 0;
+    } else if (line.startsWith('+') && file) {
+      if (!reported) {
+        const hit = scanLine(line.slice(1), file, envSecrets);
+        if (hit) {
+          findings.push({ file, line: lineNumber, ...hit });
+          reported = true;
+        }
+      }
+      lineNumber++;
+    }
+  }
+  return findings;
+}
+
+/**
+ * Scan the staged changes and unstage every file with a finding, so the
+ * commit that follows leaves them out.
+ * @returns {{ findings: Array, unstaged: string[] }}
+ */
+function unstageSecrets(cwd, options = {}) {
+  const findings = scanStagedChanges(cwd, options);
+  const unstaged = [...new Set(findings.map(f => f.file))];
+  if (unstaged.length > 0) {
+    const files = unstaged.map(f => JSON.stringify(path.normalize(f))).join(' ');
+    try {
+      git(`reset -q -- ${files}`, cwd, options.timeoutMs || 60000);
+    } catch (e) {
+      // No HEAD yet (first commit) - drop the files from the index instead
+      git(`rm -q --cached -- ${files}`, cwd, options.timeoutMs || 60000);
+    }
+  }
+  return { findings, unstaged };
+}
+
+module.exports = {
+  SECRET_RULES,
+  loadEnvSecrets,
+  scanStagedChanges,
+  unstageSecrets
+};
@@ -0,0 +1,189 @@
+/**
+ * OREO-SERVER - HTTP Status & Control API for a Running Session
+ *
+ * `oro-run --serve <port>` starts this server inside the oro-run process, so
+ * a session can be watched (and steered) from a browser, a dashboard or a
+ * chat bot instead of a terminal on the build box.
+ *
+ *   GET  /status                 getSessionStatus() from oreo-status.js
+ *   GET  /tasks                  Tasks from cookie-crumbs.md
+ *   GET  /costs                  costs.json
+ *   GET  /events                 Server-Sent Events: "log" (every log line)
+ *                                plus each oreo-events.jsonl event under its
+ *                                own type (task_start, heartbeat, retry, ...)
+ *   POST /control/pause          Same commands as oro-ctl (see oreo-control.js):
+ *   POST /control/resume         pause, resume, drain, skip/<taskId>,
+ *   POST /control/skip/<taskId>  abort-task[/<taskId>]
+ *
+ * Binds to 127.0.0.1 unless OREO_SERVE_HOST says otherwise. Every request
+ * needs `Authorization: Bearer <token>` (or `?token=<token>`, for EventSource
+ * in browsers) - OREO_SERVE_TOKEN, or one oro-run generates and prints.
+ *
+ * Any web page the user has open can send requests to a local port, so:
+ *   - Requests with an Origin header are refused unless the origin is in
+ *     allowedOrigins (OREO_SERVE_ORIGINS); only those get CORS headers
+ *   - Requests whose Host header is not in allowedHosts are refused, so a
+ *     DNS-rebound hostname cannot reach a server bound to 127.0.0.1
+ *
+ * Usage:
+ *   const { createStatusServer } = require('./oreo-server.js');
+ *   const server = createStatusServer({ getStatus, getTasks, getCosts, onControl, token, allowedOrigins, allowedHosts });
+ *   await server.listen(4700, '127.0.0.1');
+ *   server.broadcast('heartbeat', { taskId: 3, elapsedMs: 60000 });
+ *
+ * @version 1.0.0
+ */
+
+const http = require('http');
+const { validateControlCommand } = require('./oreo-control.js');
+
+const SSE_KEEPALIVE_MS = 15000;
+
+function sendJson(res, statusCode, body, headers = {}) {
+  res.writeHead(statusCode, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Cache-Control': 'no-store',
+    ...headers
+  });
+  res.end(JSON.stringify(body, null, 2));
+}
+
+/**
+ * Hostname of a Host header: "127.0.0.1:4700" -> "127.0.0.1", "[::1]:4700" -> "::1".
+ */
+function hostnameOf(hostHeader) {
+  const match = (hostHeader || '').match(/^\[([^\]]+)\](?::\d+)?$|^([^:]+)(?::\d+)?$/);
+  return match ? (match[1] || match[2]).toLowerCase() : null;
+}
+
+function isAuthorized(req, url, token) {
+  if (!token) return true;
+  const header = req.headers.authorization || '';
+  return header === `Bearer ${token}` || url.searchParams.get('token') === token;
+}
+
+/**
+ * Create the server. Nothing listens until listen() is called.
+ * @param {Object} handlers
+ * @param {Function} handlers.getStatus - () => status object
+ * @param {Function} handlers.getTasks - () => task list
+ * @param {Function} handlers.getCosts - () => cost log
+ * @param {Function} handlers.onControl - ({ command, taskId }) => void, for a validated command
+ * @param {string|null} [handlers.token] - Required bearer token (null = open)
+ * @param {string[]} [handlers.allowedOrigins] - Browser origins allowed to call the API ([] = none)
+ * @param {string[]|null} [handlers.allowedHosts] - Hostnames accepted in the Host header (null = any)
+ * @returns {{ listen: Function, broadcast: Function, close: Function, server: http.Server }}
+ */
+function createStatusServer({ getStatus, getTasks, getCosts, onControl, token = null, allowedOrigins = [], allowedHosts = null }) {
+  const clients = new Set();
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const parts = url.pathname.split('/').filter(Boolean);
+    const origin = req.headers.origin;
+
+    if (allowedHosts && !allowedHosts.includes(hostnameOf(req.headers.host))) {
+      sendJson(res, 403, { error: `Forbidden - unexpected Host "${req.headers.host || ''}"` });
+      return;
+    }
+    if (origin && !allowedOrigins.includes(origin)) {
+      sendJson(res, 403, { error: `Forbidden - origin ${origin} is not in OREO_SERVE_ORIGINS` });
+      return;
+    }
+    const cors = origin ? { 'Access-Control-Allow-Origin': origin, 'Vary': 'Origin' } : {};
+    const send = (statusCode, body) => sendJson(res, statusCode, body, cors);
+
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204, {
+        ...cors,
+        'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+        'Access-Control-Allow-Headers': 'Authorization'
+      });
+      res.end();
+      return;
+    }
+    if (!isAuthorized(req, url, token)) {
+      send(401, { error: 'Unauthorized - send Authorization: Bearer <OREO_SERVE_TOKEN>' });
+      return;
+    }
+
+    try {
+      if (req.method === 'GET' && url.pathname === '/status') {
+        send(200, getStatus());
+      } else if (req.method === 'GET' && url.pathname === '/tasks') {
+        send(200, getTasks());
+      } else if (req.method === 'GET' && url.pathname === '/costs') {
+        send(200, getCosts());
+      } else if (req.method === 'GET' && url.pathname === '/events') {
+        res.writeHead(200, {
+          'Content-Type': 'text/event-stream',
+          'Cache-Control': 'no-store',
+          'Connection': 'keep-alive',
+          ...cors
+        });
+        res.write(': connected\n\n');
+        clients.add(res);
+        req.on('close', () => clients.delete(res));
+      } else if (req.method === 'POST' && parts[0] === 'control' && parts.length >= 2 && parts.length <= 3) {
+        const [, command, taskArg] = parts;
+        const args = taskArg !== undefined ? [taskArg] : [];
+        const error = validateControlCommand(command, args);
+        if (error) {
+          send(400, { error });
+          return;
+        }
+        const taskId = args.length > 0 ? parseInt(args[0], 10) : null;
+        onControl({ command, taskId });
+        send(202, { accepted: true, command, taskId });
+      } else {
+        send(404, { error: `Not found: ${req.method} ${url.pathname}` });
+      }
+    } catch (e) {
+      send(500, { error: e.message });
+    }
+  });
+
+  // Comment lines keep proxies from closing idle streams
+  const keepalive = setInterval(() => {
+    for (const client of clients) client.write(': keepalive\n\n');
+  }, SSE_KEEPALIVE_MS);
+  keepalive.unref();
+
+  return {
+    server,
+
+    /**
+     * Start listening.
+     * @returns {Promise<number>} Port actually bound (useful with port 0)
+     */
+    listen(port, host = '127.0.0.1') {
+      return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, () => {
+          server.off('error', reject);
+          resolve(server.address().port);
+        });
+      });
+    },
+
+    /**
+     * Send one event to every /events subscriber.
+     */
+    broadcast(type, data) {
+      if (clients.size === 0) return;
+      const frame = `event: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+      for (const client of clients) client.write(frame);
+    },
+
+    close() {
+      clearInterval(keepalive);
+      for (const client of clients) client.end();
+      clients.clear();
+      server.close();
+    }
+  };
+}
+
+module.exports = {
+  createStatusServer
+};
@@ -1,22 +1,35 @@
+#!/usr/bin/env node
 /**
  * OREO-STATUS - Enriched Session Status Module
  *
  * Provides a snapshot of the current Oroboreo execution state.
  * Can be imported by any bridge/API for real-time observability.
+ * Outside the oreo-run process, the live state comes from
+ * oroboreo/.oreo-status.json (written by oro-run on every event and
+ * heartbeat), falling back to oreo-events.jsonl for older sessions.
+ *
+ * ============================================================================
+ * USAGE
+ * ============================================================================
+ *
+ *   oro-status                # Current task, model, cost and progress
+ *   oro-status --json         # getSessionStatus() as JSON
+ *   oro-status --watch        # Refresh every 2s (Ctrl+C to stop)
+ *   oro-status --watch 10     # Refresh every 10s
  *
- * Usage:
  *   const { getSessionStatus } = require('./oreo-status.js');
  *   const status = getSessionStatus();
  *
+ * @author Oroboreo- The Golden Loop
  * @version 1.0.0
  */
 
 const fs = require('fs');
 const path = require('path');
-const { execSync } = require('child_process');
 
-// Import shared state from oreo-run (if loaded as part of the same process)
-// Falls back to reading files directly if oreo-run isn't loaded
+// Import shared state from oreo-run. Requiring it does not start the loop, and
+// its sessionState is only live inside the oro-run process itself - anywhere
+// else the state is read from .oreo-status.json
 let oreoRun = null;
 try {
   oreoRun = require('./oreo-run.js');
@@ -24,7 +37,9 @@ try {
   // oreo-run may not be loaded (e.g., standalone bridge usage)
 }
 
-const { getPaths } = require('./oreo-config.js');
+const { getPaths, findRecentFiles } = require('./oreo-config.js');
+const { readEvents, summarizeTasks } = require('./oreo-events.js');
+const { parseDirectives, formatDirectives } = require('./oreo-directives.js');
 
 /**
  * Format milliseconds into a human-readable string
@@ -69,21 +84,94 @@ function tailFile(filePath, n = 5) {
  * @returns {{ file: string, agoSeconds: number } | null}
  */
 function getLastModifiedFile(projectRoot) {
+  const [latest] = findRecentFiles(projectRoot, 120 * 60000);
+  if (!latest) return null;
+  return {
+    file: path.basename(latest.path),
+    agoSeconds: Math.floor((Date.now() - latest.mtimeMs) / 1000)
+  };
+}
+
+/**
+ * Whether a process with this PID exists
+ * @param {number} pid - Process ID
+ * @returns {boolean}
+ */
+function isProcessAlive(pid) {
+  if (!pid) return false;
   try {
-    const findCmd = `find "${projectRoot}" -type f -mmin -120 -not -path "*/node_modules/*" -not -path "*/.git/*" -not -path "*/oroboreo/archives/*" -printf '%T@ %p\\n' 2>/dev/null | sort -rn | head -1`;
-    const result = execSync(findCmd, { timeout: 5000 }).toString().trim();
-    if (!result) return null;
-
-    const [timestamp, ...fileParts] = result.split(' ');
-    const filePath = fileParts.join(' ');
-    const agoSeconds = Math.floor(Date.now() / 1000 - parseFloat(timestamp));
-    return {
-      file: path.basename(filePath),
-      agoSeconds
-    };
+    process.kill(pid, 0);
+    return true;
+  } catch (e) {
+    return e.code === 'EPERM';  // Exists, owned by another user
+  }
+}
+
+/**
+ * Session state from oroboreo/.oreo-status.json
+ * A file whose oro-run PID is gone without a session end is reported as
+ * stale (oro-run crashed or was killed with SIGKILL).
+ * @param {string} statusPath - Path to .oreo-status.json
+ * @returns {Object|null} The file's contents plus { stale, running }, or null without a file
+ */
+function getStatusFileState(statusPath) {
+  let state;
+  try {
+    if (!fs.existsSync(statusPath)) return null;
+    state = JSON.parse(fs.readFileSync(statusPath, 'utf8'));
   } catch (e) {
     return null;
   }
+
+  const stale = !state.endStatus && !isProcessAlive(state.pid);
+  const live = !state.endStatus && !stale;
+  return {
+    ...state,
+    stale,
+    running: live && !!state.running,
+    currentTask: live ? state.currentTask : null,
+    activeTasks: live ? (state.activeTasks || []) : [],
+    taskStartTime: live ? state.taskStartTime : null
+  };
+}
+
+/**
+ * Live session state from oreo-events.jsonl (latest session only)
+ * @param {string} eventsPath - Path to oreo-events.jsonl
+ * @returns {Object|null} { running, currentTask, taskStartTime, provider, model, lastEvent }, or null without events
+ */
+function getEventState(eventsPath) {
+  const events = readEvents(eventsPath);
+  if (events.length === 0) return null;
+
+  let start = events.length - 1;
+  while (start > 0 && events[start].type !== 'session_start') start--;
+  const sessionEvents = events.slice(start);
+  const lastEvent = events[events.length - 1];
+  const running = lastEvent.type !== 'session_end';
+
+  // The running task whose latest attempt started last
+  let current = null;
+  for (const task of summarizeTasks(sessionEvents)) {
+    const attempt = task.attempts[task.attempts.length - 1];
+    if (task.status !== 'running' || !attempt || attempt.outcome) continue;
+    if (!current || attempt.startedAt > current.attempt.startedAt) current = { task, attempt };
+  }
+  const maxAttempts = (sessionEvents.find(e => e.type === 'task_start') || {}).maxAttempts || 5;
+
+  return {
+    running,
+    currentTask: running && current ? {
+      id: current.task.id,
+      title: current.task.title,
+      attempt: current.attempt.attempt,
+      maxAttempts
+    } : null,
+    taskStartTime: running && current ? new Date(current.attempt.startedAt).getTime() : null,
+    provider: sessionEvents[0].type === 'session_start' ? sessionEvents[0].provider : null,
+    model: running && current ? current.attempt.model : null,
+    lastEvent: { type: lastEvent.type, ts: lastEvent.ts, taskId: lastEvent.taskId }
+  };
 }
 
 /**
@@ -106,14 +194,16 @@ function getTasksStatus(tasksPath) {
     const lines = content.split('\n');
 
     for (let i = 0; i < lines.length; i++) {
-      const match = lines[i].match(/^-\s*\[([ x])\]\s*\*\*Task\s+(\d+):\s*(.+?)\*\*(?:\s*(\[.+?\]))?/i);
+      const match = lines[i].match(/^-\s*\[([ x])\]\s*\*\*Task\s+(\d+):\s*(.+?)\*\*(.*)$/i);
       if (match) {
-        const [, checkmark, id, title, tag] = match;
-        const fullTitle = tag ? `${title.trim()} ${tag}` : title.trim();
+        const [, checkmark, id, title, after] = match;
+        const { directives, rest } = parseDirectives(after);
+        const tag = rest.match(/\[.+?\]/);
         tasks.push({
           id: parseInt(id, 10),
-          title: fullTitle,
-          completed: checkmark.toLowerCase() === 'x'
+          title: tag ? `${title.trim()} ${tag[0]}` : title.trim(),
+          completed: checkmark.toLowerCase() === 'x',
+          directives
         });
       }
     }
@@ -134,8 +224,12 @@ function getSessionStatus() {
   const costsPath = paths.costs;
   const tasksPath = paths.tasks;
 
-  // Get session state from oreo-run if available
-  const state = (oreoRun && oreoRun.sessionState) || {};
+  // Get session state from oreo-run if available, else from the status file
+  // or the event log
+  const eventState = getEventState(paths.events);
+  const fileState = getStatusFileState(paths.status);
+  const inProcess = !!(oreoRun && oreoRun.sessionState && oreoRun.sessionState.running);
+  const state = inProcess ? oreoRun.sessionState : (fileState || eventState || {});
   const config = (oreoRun && oreoRun.CONFIG) || {};
 
   // Tasks
@@ -173,7 +267,8 @@ function getSessionStatus() {
       id: currentTask.id,
       title: currentTask.title,
       attempt: 1,
-      maxAttempts: 5
+      maxAttempts: (currentTask.directives && currentTask.directives.retries) || 5,
+      directives: formatDirectives(currentTask.directives) || null
     } : null),
     tasksComplete: `${completedTasks}/${totalTasks}`,
     lastFileModified: getLastModifiedFile(paths.projectRoot || process.cwd()),
@@ -185,8 +280,114 @@ function getSessionStatus() {
     expectedMs,
     provider,
     model,
-    sessionCost
+    sessionCost,
+    pid: inProcess ? process.pid : (fileState ? fileState.pid : null),
+    stale: !inProcess && !!(fileState && fileState.stale),
+    paused: !!(state.control && state.control.paused),
+    endStatus: inProcess ? null : (fileState ? fileState.endStatus : null),
+    activeTasks: state.activeTasks || [],
+    sessionStartTime: state.sessionStartTime || null,
+    updatedAt: fileState ? fileState.updatedAt : null,
+    lastEvent: (fileState && fileState.lastEvent) || (eventState ? eventState.lastEvent : null)
+  };
+}
+
+// ============================================================================
+// CLI (oro-status)
+// ============================================================================
+
+const colors = {
+  reset: '\x1b[0m',
+  bright: '\x1b[1m',
+  yellow: '\x1b[33m',
+  green: '\x1b[32m',
+  cyan: '\x1b[36m',
+  red: '\x1b[31m'
+};
+
+function agoText(isoTime) {
+  return isoTime ? `${formatElapsed(Date.now() - new Date(isoTime).getTime())} ago` : 'never';
+}
+
+/**
+ * Human-readable status lines
+ * @param {Object} status - From getSessionStatus()
+ * @returns {string[]}
+ */
+function formatStatus(status) {
+  const lines = [];
+  let session;
+  if (status.stale) {
+    session = `${colors.red}stale${colors.reset} - oro-run (PID ${status.pid}) is gone, last update ${agoText(status.updatedAt)}`;
+  } else if (status.endStatus) {
+    session = `ended (${status.endStatus})`;
+  } else if (status.paused) {
+    session = `${colors.yellow}paused${colors.reset} (PID ${status.pid})`;
+  } else if (status.pid) {
+    session = `${colors.green}running${colors.reset} (PID ${status.pid})`;
+  } else {
+    session = status.running ? `${colors.green}running${colors.reset}` : 'not running';
+  }
+  lines.push(`${colors.bright}Session:${colors.reset}  ${session}`);
+
+  if (status.activeTasks.length > 1) {
+    lines.push(`Tasks:    ${status.activeTasks.map(t => `Task ${t.id} (attempt ${t.attempt})${t.directives ? ` ${t.directives}` : ''}`).join(', ')}`);
+  } else if (status.currentTask) {
+    const task = status.currentTask;
+    const label = status.running ? 'Task:    ' : 'Next:    ';
+    lines.push(`${label} ${task.id} - ${task.title}${status.running ? ` (attempt ${task.attempt}/${task.maxAttempts})` : ''}`);
+    if (task.directives) lines.push(`Directives: ${task.directives}`);
+  }
+  if (status.running) {
+    lines.push(`Elapsed:  ${status.elapsed.formatted} (expected ${formatElapsed(status.expectedMs)})`);
+    lines.push(`Model:    ${status.model}`);
+  }
+  lines.push(`Provider: ${status.provider}`);
+  lines.push(`Progress: ${status.tasksComplete} tasks complete`);
+  lines.push(`Cost:     $${(status.sessionCost || 0).toFixed(2)}`);
+  if (status.lastEvent) {
+    const task = status.lastEvent.taskId !== null && status.lastEvent.taskId !== undefined
+      ? ` (Task ${status.lastEvent.taskId})` : '';
+    lines.push(`Last event: ${status.lastEvent.type}${task}, ${agoText(status.lastEvent.ts)}`);
+  }
+  if (status.lastFileModified) {
+    lines.push(`Last file:  ${status.lastFileModified.file}, ${formatElapsed(status.lastFileModified.agoSeconds * 1000)} ago`);
+  }
+  if (status.progressTail.length > 0) {
+    lines.push('', `${colors.cyan}progress.txt:${colors.reset}`, ...status.progressTail.map(l => `  ${l}`));
+  }
+  return lines;
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  if (args.includes('--help') || args.includes('-h')) {
+    console.log('Usage: oro-status [--json] [--watch [seconds]]');
+    process.exit(0);
+  }
+
+  const json = args.includes('--json');
+  const watchIndex = args.indexOf('--watch');
+  const watch = watchIndex !== -1;
+  const intervalSec = watch && /^\d+$/.test(args[watchIndex + 1] || '') ? parseInt(args[watchIndex + 1], 10) : 2;
+
+  const print = () => {
+    const status = getSessionStatus();
+    if (json) {
+      console.log(watch ? JSON.stringify(status) : JSON.stringify(status, null, 2));
+      return;
+    }
+    if (watch) process.stdout.write('\x1b[2J\x1b[H');
+    console.log(formatStatus(status).join('\n'));
+    if (watch) console.log(`\n(refreshing every ${intervalSec}s - Ctrl+C to stop)`);
   };
+
+  print();
+  if (watch) setInterval(print, Math.max(intervalSec, 1) * 1000);
+}
+
+if (require.main === module) {
+  main();
 }
 
-module.exports = { getSessionStatus };
+module.exports = { getSessionStatus, getStatusFileState, isProcessAlive };
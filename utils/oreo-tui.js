@@ -0,0 +1,373 @@
+/**
+ * OREO-TUI - Full-Screen Terminal Dashboard for oro-run
+ *
+ * `oro-run --tui` replaces the scrolling log with one screen:
+ *
+ *   header        branch, provider, session time, control state
+ *   TASKS         every task in cookie-crumbs.md with its state
+ *   NOW           current task(s), attempt, model, elapsed vs expected
+ *                 time, session cost, progress.txt tail, recently
+ *                 modified files
+ *   OUTPUT        agent output and oro-run's own log lines, scrollable
+ *
+ * Plain ANSI escape codes only (alternate screen, cursor moves, colours).
+ * While the dashboard runs, everything written to stdout/stderr goes into
+ * the OUTPUT pane instead of the terminal; oreo-execution.log still gets
+ * the full log. When it stops, the terminal is restored and the last
+ * output lines are printed so the end of the session stays visible.
+ *
+ * Keys: Up/Down (or k/j) scroll a line, PgUp/PgDn a page, Home/g to the
+ * top, End/G back to following new output, q or Ctrl+C to stop oro-run.
+ *
+ * Usage:
+ *   const { createDashboard } = require('./oreo-tui.js');
+ *   const dashboard = createDashboard({ getState, onQuit });
+ *   dashboard.start();
+ *   ...
+ *   dashboard.stop();
+ *
+ * getState() returns:
+ *   {
+ *     header: ['branch oreo/...', 'fake', ...],
+ *     status: 'running' | 'paused' | 'draining' | 'idle',
+ *     tasks: [{ id, title, state, note }],   state: done, running, pending,
+ *                                            waiting, skipped, quarantined
+ *     active: [{ id, title, attempt, maxAttempts, model }],
+ *     taskElapsedMs, expectedMs, sessionElapsedMs,
+ *     sessionCost, costLimit,                 costLimit null = no limit
+ *     progressTail: ['...'], recentFiles: ['src/a.js', ...]
+ *   }
+ *
+ * @version 1.0.0
+ */
+
+const OUTPUT_LINE_LIMIT = 5000;   // Lines kept for scrolling back
+const EXIT_TAIL_LINES = 30;       // Output lines reprinted after the dashboard closes
+const DEFAULT_REFRESH_MS = 1000;
+
+const ESC = '\x1b[';
+const style = {
+  reset: `${ESC}0m`,
+  bold: `${ESC}1m`,
+  dim: `${ESC}2m`,
+  inverse: `${ESC}7m`,
+  red: `${ESC}31m`,
+  green: `${ESC}32m`,
+  yellow: `${ESC}33m`,
+  cyan: `${ESC}36m`
+};
+
+// Checkbox markers match cookie-crumbs.md ([>] and [.] exist only here)
+const TASK_MARKERS = {
+  done: { marker: '[x]', color: style.green },
+  running: { marker: '[>]', color: style.cyan + style.bold },
+  pending: { marker: '[ ]', color: '' },
+  waiting: { marker: '[.]', color: style.dim },
+  skipped: { marker: '[-]', color: style.yellow },
+  quarantined: { marker: '[!]', color: style.red }
+};
+
+// ============================================================================
+// TEXT HELPERS
+// ============================================================================
+
+function stripAnsi(text) {
+  return text
+    .replace(/\x1b\[[0-9;?]*[ -\/]*[@-~]/g, '')
+    .replace(/\x1b[()][0-9A-Za-z]/g, '')
+    .replace(/\x1b\][^\x07]*\x07/g, '');
+}
+
+/**
+ * Terminal columns taken by one character (0 for combining marks and
+ * variation selectors, 2 for CJK and most emoji).
+ */
+function charWidth(char) {
+  const code = char.codePointAt(0);
+  if (code < 32 || (code >= 0x300 && code <= 0x36f) || (code >= 0xfe00 && code <= 0xfe0f) || code === 0x200d) {
+    return 0;
+  }
+  if ((code >= 0x1100 && code <= 0x115f) || (code >= 0x2e80 && code <= 0xa4cf) ||
+      (code >= 0xac00 && code <= 0xd7a3) || (code >= 0xf900 && code <= 0xfaff) ||
+      (code >= 0xff00 && code <= 0xff60) || (code >= 0x1f300 && code <= 0x1faff) ||
+      (code >= 0x2600 && code <= 0x27bf)) {
+    return 2;
+  }
+  return 1;
+}
+
+/**
+ * Cut plain text to exactly `width` columns (padding with spaces).
+ */
+function fit(text, width) {
+  if (width <= 0) return '';
+  let out = '';
+  let used = 0;
+  for (const char of text) {
+    const w = charWidth(char);
+    if (used + w > width) break;
+    out += char;
+    used += w;
+  }
+  return out + ' '.repeat(width - used);
+}
+
+function formatDuration(ms) {
+  const totalSeconds = Math.max(0, Math.floor(ms / 1000));
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor(totalSeconds / 60) % 60;
+  const seconds = totalSeconds % 60;
+  if (hours > 0) return `${hours}h ${minutes}m`;
+  if (minutes > 0) return `${minutes}m ${seconds}s`;
+  return `${seconds}s`;
+}
+
+// A cell is plain text plus the style to draw it in
+function cell(text, color = '') {
+  return { text, color };
+}
+
+// ============================================================================
+// DASHBOARD
+// ============================================================================
+
+/**
+ * Create the dashboard. Nothing is captured or drawn until start().
+ * @param {Object} options
+ * @param {Function} options.getState - () => state object (see header)
+ * @param {Function} [options.onQuit] - Called on q / Ctrl+C
+ * @param {number} [options.refreshMs] - Redraw interval (default 1000)
+ * @returns {{ start: Function, stop: Function, isActive: Function }}
+ */
+function createDashboard({ getState, onQuit = () => {}, refreshMs = DEFAULT_REFRESH_MS }) {
+  const stdout = process.stdout;
+  const stdin = process.stdin;
+  const realStdoutWrite = stdout.write.bind(stdout);
+  const realStderrWrite = process.stderr.write.bind(process.stderr);
+
+  const outputLines = [];
+  let partialLine = '';
+  let scrollOffset = 0;         // Lines up from the bottom; 0 = following
+  let outputPaneHeight = 10;
+  let active = false;
+  let timer = null;
+  let renderPending = false;
+
+  function capture(chunk, encoding, callback) {
+    const text = stripAnsi(Buffer.isBuffer(chunk) ? chunk.toString() : String(chunk));
+    const pieces = (partialLine + text).split('\n');
+    partialLine = pieces.pop();
+    for (const piece of pieces) {
+      // A carriage return redraws the line (spinners, progress bars)
+      const line = piece.split('\r').filter(Boolean).pop() || '';
+      outputLines.push(line.replace(/\t/g, '  '));
+      if (scrollOffset > 0) scrollOffset++;   // Keep the scrolled-back view still
+    }
+    if (outputLines.length > OUTPUT_LINE_LIMIT) {
+      outputLines.splice(0, outputLines.length - OUTPUT_LINE_LIMIT);
+    }
+    scheduleRender();
+    if (typeof encoding === 'function') encoding();
+    else if (typeof callback === 'function') callback();
+    return true;
+  }
+
+  function scheduleRender() {
+    if (renderPending || !active) return;
+    renderPending = true;
+    setTimeout(() => {
+      renderPending = false;
+      render();
+    }, 100).unref();
+  }
+
+  function scroll(lines) {
+    const maxOffset = Math.max(0, outputLines.length - outputPaneHeight);
+    scrollOffset = Math.min(maxOffset, Math.max(0, scrollOffset + lines));
+    render();
+  }
+
+  function onInput(data) {
+    // Several keys can arrive in one chunk (typing fast, pasted input)
+    const keys = data.toString().match(/\x1b\[[0-9]*[~A-Z]|[\s\S]/g) || [];
+    keys.forEach(onKey);
+  }
+
+  function onKey(key) {
+    if (key === 'q' || key === '\u0003') onQuit();
+    else if (key === `${ESC}A` || key === 'k') scroll(1);
+    else if (key === `${ESC}B` || key === 'j') scroll(-1);
+    else if (key === `${ESC}5~`) scroll(outputPaneHeight);
+    else if (key === `${ESC}6~` || key === ' ') scroll(-outputPaneHeight);
+    else if (key === `${ESC}H` || key === `${ESC}1~` || key === 'g') scroll(outputLines.length);
+    else if (key === `${ESC}F` || key === `${ESC}4~` || key === 'G') scroll(-outputLines.length);
+  }
+
+  function taskCells(state) {
+    return state.tasks.map(task => {
+      const { marker, color } = TASK_MARKERS[task.state] || TASK_MARKERS.pending;
+      const note = task.note ? ` (${task.note})` : '';
+      return cell(`${marker} ${task.id}. ${task.title}${note}`, color);
+    });
+  }
+
+  function nowCells(state, width) {
+    const cells = [];
+    if (state.active.length === 0) {
+      cells.push(cell(state.status === 'paused' ? 'Paused - waiting for `oro-ctl resume`' : 'No task running', style.dim));
+    }
+    for (const task of state.active) {
+      cells.push(cell(`Task ${task.id}: ${task.title}`, style.bold));
+      cells.push(cell(`  Attempt ${task.attempt}/${task.maxAttempts} - ${task.model}`));
+    }
+
+    if (state.active.length > 0) {
+      const ratio = state.expectedMs > 0 ? state.taskElapsedMs / state.expectedMs : 0;
+      const barWidth = Math.max(10, Math.min(30, width - 40));
+      const filled = Math.min(barWidth, Math.round(ratio * barWidth));
+      const bar = '#'.repeat(filled) + '-'.repeat(barWidth - filled);
+      const over = ratio > 1;
+      cells.push(cell(
+        `Elapsed  [${bar}] ${formatDuration(state.taskElapsedMs)} / ${formatDuration(state.expectedMs)}${over ? ' OVER' : ` ${Math.round(ratio * 100)}%`}`,
+        over ? style.red : ''
+      ));
+    }
+
+    const limit = state.costLimit ? ` of $${state.costLimit.toFixed(2)}` : '';
+    const nearLimit = state.costLimit && state.sessionCost >= state.costLimit * 0.8;
+    cells.push(cell(`Cost     $${state.sessionCost.toFixed(2)}${limit}`, nearLimit ? style.yellow : ''));
+
+    cells.push(cell(''));
+    cells.push(cell('progress.txt', style.cyan));
+    const progress = state.progressTail.length > 0 ? state.progressTail : ['(empty)'];
+    for (const line of progress) cells.push(cell(`  ${line}`, style.dim));
+
+    cells.push(cell(''));
+    cells.push(cell('Recently modified', style.cyan));
+    const files = state.recentFiles.length > 0 ? state.recentFiles : ['(none in the last 2 minutes)'];
+    for (const file of files) cells.push(cell(`  ${file}`, style.dim));
+    return cells;
+  }
+
+  function render() {
+    if (!active) return;
+    let state;
+    try {
+      state = getState();
+    } catch (e) {
+      return;  // Try again on the next tick
+    }
+
+    const width = Math.max(40, stdout.columns || 80);
+    const height = Math.max(12, stdout.rows || 24);
+    const lines = [];
+
+    // Header
+    const status = state.status.toUpperCase();
+    const header = ` OROBOREO  ${status}  |  ${[...state.header, `session ${formatDuration(state.sessionElapsedMs)}`].join('  |  ')}`;
+    const statusColor = state.status === 'paused' || state.status === 'draining' ? style.yellow : '';
+    lines.push(statusColor + style.inverse + fit(header, width) + style.reset);
+
+    // Top area: tasks | now
+    const leftWidth = Math.max(20, Math.floor(width * 0.4));
+    const rightWidth = width - leftWidth - 3;
+    const done = state.tasks.filter(t => t.state === 'done').length;
+    const tasks = taskCells(state);
+    const now = nowCells(state, rightWidth);
+    const topHeight = Math.min(Math.max(tasks.length, now.length, 6), Math.floor((height - 4) * 0.5));
+
+    lines.push(style.bold + fit(` TASKS ${done}/${state.tasks.length}`, leftWidth) + style.reset + ' | ' +
+      style.bold + fit('NOW', rightWidth) + style.reset);
+
+    // Keep the running task in view when the list is longer than the pane
+    const runningIndex = state.tasks.findIndex(t => t.state === 'running');
+    const taskStart = runningIndex >= topHeight ? Math.min(runningIndex - Math.floor(topHeight / 2), tasks.length - topHeight) : 0;
+    for (let i = 0; i < topHeight; i++) {
+      const left = tasks[taskStart + i] || cell('');
+      const right = now[i] || cell('');
+      lines.push(left.color + fit(` ${left.text}`, leftWidth) + style.reset + ' | ' +
+        right.color + fit(right.text, rightWidth) + style.reset);
+    }
+
+    // Output pane
+    outputPaneHeight = Math.max(1, height - lines.length - 2);
+    const following = scrollOffset === 0;
+    const title = following ? ' OUTPUT (following) ' : ` OUTPUT (scrolled back ${scrollOffset} lines - End to follow) `;
+    lines.push(style.bold + fit(`--${title}${'-'.repeat(width)}`, width) + style.reset);
+
+    const visible = partialLine ? [...outputLines, stripAnsi(partialLine)] : outputLines;
+    const end = visible.length - scrollOffset;
+    const start = Math.max(0, end - outputPaneHeight);
+    for (let i = start; i < start + outputPaneHeight; i++) {
+      lines.push(fit(visible[i] !== undefined && i < end ? ` ${visible[i]}` : '', width));
+    }
+
+    lines.push(style.dim + fit(' Up/Down PgUp/PgDn scroll - Home top - End follow - q quit', width) + style.reset);
+
+    realStdoutWrite(`${ESC}H` + lines.map(line => line + `${ESC}K`).join('\r\n') + `${ESC}J`);
+  }
+
+  function onResize() {
+    realStdoutWrite(`${ESC}2J`);
+    render();
+  }
+
+  return {
+    /**
+     * Take over the terminal. Returns false (and does nothing) when stdout
+     * is not a terminal.
+     * @returns {boolean}
+     */
+    start() {
+      if (active) return true;
+      if (!stdout.isTTY) return false;
+      active = true;
+
+      realStdoutWrite(`${ESC}?1049h${ESC}?25l${ESC}2J`);
+      stdout.write = capture;
+      process.stderr.write = capture;
+      stdout.on('resize', onResize);
+      if (stdin.isTTY) {
+        stdin.setRawMode(true);
+        stdin.resume();
+        stdin.on('data', onInput);
+      }
+
+      timer = setInterval(render, refreshMs);
+      timer.unref();
+      render();
+      return true;
+    },
+
+    /**
+     * Give the terminal back and reprint the last output lines.
+     * Safe to call more than once (it also runs on process exit).
+     */
+    stop() {
+      if (!active) return;
+      active = false;
+      clearInterval(timer);
+      stdout.off('resize', onResize);
+      if (stdin.isTTY) {
+        stdin.off('data', onInput);
+        stdin.setRawMode(false);
+        stdin.pause();
+      }
+      stdout.write = realStdoutWrite;
+      process.stderr.write = realStderrWrite;
+      realStdoutWrite(`${ESC}?25h${ESC}?1049l`);
+
+      const tail = outputLines.slice(-EXIT_TAIL_LINES);
+      if (partialLine) tail.push(stripAnsi(partialLine));
+      if (tail.length > 0) realStdoutWrite(tail.join('\n') + '\n');
+    },
+
+    isActive() {
+      return active;
+    }
+  };
+}
+
+module.exports = {
+  createDashboard
+};
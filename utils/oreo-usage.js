@@ -0,0 +1,267 @@
+/**
+ * OREO-USAGE - Real Token & Cost Accounting
+ *
+ * Claude Code runs with `--output-format stream-json`, which prints one JSON
+ * event per line and finishes with a `result` event carrying the real token
+ * usage and cost of the run. This module turns that stream back into readable
+ * console output and extracts the usage for costs.json.
+ *
+ * Aider instead prints a footer after every message:
+ *   Tokens: 12k sent, 3.1k cache hit, 1.2k received. Cost: $0.04 message, $0.12 session.
+ * parseAiderUsage() turns those footers into the same usage record.
+ *
+ * When no usage is available (older CLI, crash, unknown pricing) the callers
+ * fall back to their chars/4 estimates and flag the entry `estimated: true`.
+ *
+ * Usage:
+ *   const { createClaudeOutputParser, buildCostFields } = require('./oreo-usage.js');
+ *   const parser = createClaudeOutputParser();
+ *   child.stdout.on('data', d => process.stdout.write(parser.write(d)));
+ *   ...
+ *   const fields = buildCostFields(parser.getUsage(), model, estimate);
+ *
+ * @version 1.0.0
+ */
+
+// Anthropic pricing multipliers for prompt caching, relative to the input price
+const CACHE_WRITE_MULTIPLIER = 1.25;
+const CACHE_READ_MULTIPLIER = 0.1;
+
+/**
+ * Convert a stream-json `result` event into a usage record.
+ * @param {Object} event - Parsed result event
+ * @returns {Object} { inputTokens, outputTokens, cacheCreationTokens, cacheReadTokens, costUSD, resultText, numTurns, durationMs }
+ */
+function usageFromResultEvent(event) {
+  const usage = event.usage || {};
+  return {
+    inputTokens: usage.input_tokens || 0,
+    outputTokens: usage.output_tokens || 0,
+    cacheCreationTokens: usage.cache_creation_input_tokens || 0,
+    cacheReadTokens: usage.cache_read_input_tokens || 0,
+    costUSD: typeof event.total_cost_usd === 'number' ? event.total_cost_usd
+      : (typeof event.cost_usd === 'number' ? event.cost_usd : null),
+    resultText: typeof event.result === 'string' ? event.result : '',
+    numTurns: event.num_turns || 0,
+    durationMs: event.duration_ms || 0,
+    isError: !!event.is_error
+  };
+}
+
+/**
+ * Find the final result event in captured Claude Code output.
+ * @param {string} output - Raw stdout (stream-json or single json)
+ * @returns {Object|null} Usage record, or null if no result event was found
+ */
+function parseClaudeResult(output) {
+  const lines = (output || '').split('\n');
+  for (let i = lines.length - 1; i >= 0; i--) {
+    const line = lines[i].trim();
+    if (!line.startsWith('{')) continue;
+    try {
+      const event = JSON.parse(line);
+      if (event.type === 'result') return usageFromResultEvent(event);
+    } catch (e) {
+      // Not a JSON event line
+    }
+  }
+  return null;
+}
+
+/**
+ * Parse an Aider token count like "950", "1,234", "12k" or "2.5M".
+ */
+function parseAiderCount(value) {
+  const match = String(value).replace(/,/g, '').match(/^([\d.]+)\s*([kKmM]?)$/);
+  if (!match) return 0;
+  const multiplier = { k: 1000, m: 1000000 }[match[2].toLowerCase()] || 1;
+  return Math.round(parseFloat(match[1]) * multiplier);
+}
+
+/**
+ * Sum the Tokens:/Cost: footers Aider prints after each message.
+ * The cost is the last reported session total (it is cumulative for the
+ * Aider process); null when Aider didn't know the model's price.
+ * Aider's "sent" count includes cache hits; they are taken out of
+ * inputTokens so the record means the same as a stream-json one.
+ * @param {string} output - Captured Aider stdout/stderr
+ * @returns {Object|null} Usage record, or null if no Tokens: footer was found
+ */
+function parseAiderUsage(output) {
+  const usage = {
+    inputTokens: 0,
+    outputTokens: 0,
+    cacheCreationTokens: 0,
+    cacheReadTokens: 0,
+    costUSD: null,
+    resultText: '',
+    numTurns: 0,
+    durationMs: 0,
+    isError: false
+  };
+  let messageCostTotal = null;
+
+  for (const line of (output || '').split('\n')) {
+    const tokens = line.match(/^\s*Tokens:\s*(.+?)(?:\.\s*Cost:|\.?\s*$)/);
+    if (tokens) {
+      usage.numTurns++;
+      for (const part of tokens[1].split(/,\s+/)) {
+        const [, count, kind] = part.trim().match(/^([\d.,]+[kKmM]?)\s+(.+)$/) || [];
+        if (!kind) continue;
+        if (kind === 'sent') usage.inputTokens += parseAiderCount(count);
+        else if (kind === 'received') usage.outputTokens += parseAiderCount(count);
+        else if (kind === 'cache write') usage.cacheCreationTokens += parseAiderCount(count);
+        else if (kind === 'cache hit') usage.cacheReadTokens += parseAiderCount(count);
+      }
+    }
+
+    const session = line.match(/\$([\d.]+)\s+session/);
+    if (session) usage.costUSD = parseFloat(session[1]);
+    const message = line.match(/Cost:\s*\$([\d.]+)\s+message/);
+    if (message) messageCostTotal = (messageCostTotal || 0) + parseFloat(message[1]);
+  }
+
+  if (usage.numTurns === 0) return null;
+  usage.inputTokens = Math.max(0, usage.inputTokens - usage.cacheReadTokens);
+  if (usage.costUSD === null) usage.costUSD = messageCostTotal;
+  return usage;
+}
+
+/**
+ * Short one-line description of a tool call for the console.
+ */
+function describeToolUse(block) {
+  const input = block.input || {};
+  const detail = input.file_path || input.path || input.command || input.pattern || input.url || '';
+  const oneLine = String(detail).replace(/\s+/g, ' ').trim();
+  return `[${block.name}]${oneLine ? ` ${oneLine.substring(0, 120)}` : ''}`;
+}
+
+/**
+ * Render one stream-json event as console text ('' for events we don't show).
+ */
+function renderEvent(event) {
+  if (event.type === 'assistant' && event.message && Array.isArray(event.message.content)) {
+    return event.message.content.map(block => {
+      if (block.type === 'text' && block.text) return `${block.text.trim()}\n`;
+      if (block.type === 'tool_use') return `${describeToolUse(block)}\n`;
+      return '';
+    }).join('');
+  }
+  if (event.type === 'result' && event.is_error && event.result) {
+    return `${event.result}\n`;
+  }
+  return '';
+}
+
+/**
+ * Incremental parser for Claude Code stream-json output.
+ * write() takes raw stdout chunks and returns the readable text to display;
+ * lines that are not JSON events pass through unchanged.
+ * @returns {{ write: Function, end: Function, getUsage: Function, getText: Function }}
+ */
+function createClaudeOutputParser() {
+  let pending = '';
+  let usage = null;
+  let text = '';
+
+  function handleLine(line) {
+    const trimmed = line.trim();
+    if (trimmed.startsWith('{')) {
+      try {
+        const event = JSON.parse(trimmed);
+        if (event.type === 'result') usage = usageFromResultEvent(event);
+        return renderEvent(event);
+      } catch (e) {
+        // Fall through - not a complete JSON event
+      }
+    }
+    return `${line}\n`;
+  }
+
+  return {
+    write(chunk) {
+      pending += chunk.toString();
+      const lines = pending.split('\n');
+      pending = lines.pop();
+      const rendered = lines.map(handleLine).join('');
+      text += rendered;
+      return rendered;
+    },
+    end() {
+      const rendered = pending ? handleLine(pending) : '';
+      pending = '';
+      text += rendered;
+      return rendered;
+    },
+    getUsage: () => usage,
+    getText: () => text
+  };
+}
+
+/**
+ * Price a usage record with a model's per-1M token prices.
+ * Used when the CLI did not report a cost itself.
+ */
+function priceUsage(usage, model) {
+  const inputPrice = model.inputCost || 0;
+  const outputPrice = model.outputCost || 0;
+  return (
+    usage.inputTokens * inputPrice +
+    usage.cacheCreationTokens * inputPrice * CACHE_WRITE_MULTIPLIER +
+    usage.cacheReadTokens * inputPrice * CACHE_READ_MULTIPLIER +
+    usage.outputTokens * outputPrice
+  ) / 1000000;
+}
+
+/**
+ * Token and cost fields for a costs.json entry.
+ * Real usage wins; the estimate is only used when usage is missing.
+ * Real tokens priced with our own table (no cost from the CLI) still count
+ * as estimated.
+ * @param {Object|null} usage - From parseClaudeResult() / parser.getUsage()
+ * @param {Object} model - Model config (inputCost/outputCost per 1M tokens)
+ * @param {{ inputTokens: number, outputTokens: number }} estimate - chars/4 fallback
+ * @returns {Object} { inputTokens, outputTokens, cacheCreationTokens, cacheReadTokens, totalCostUSD, estimated }
+ */
+function buildCostFields(usage, model, estimate) {
+  if (usage) {
+    const reported = usage.costUSD !== null && usage.costUSD !== undefined;
+    return {
+      inputTokens: usage.inputTokens,
+      outputTokens: usage.outputTokens,
+      cacheCreationTokens: usage.cacheCreationTokens,
+      cacheReadTokens: usage.cacheReadTokens,
+      totalCostUSD: reported ? usage.costUSD : priceUsage(usage, model),
+      estimated: !reported
+    };
+  }
+
+  return {
+    inputTokens: estimate.inputTokens,
+    outputTokens: estimate.outputTokens,
+    cacheCreationTokens: 0,
+    cacheReadTokens: 0,
+    totalCostUSD: (estimate.inputTokens * (model.inputCost || 0) + estimate.outputTokens * (model.outputCost || 0)) / 1000000,
+    estimated: true
+  };
+}
+
+/**
+ * One-line summary of a cost entry for the console.
+ */
+function formatCostFields(fields) {
+  const cache = fields.cacheReadTokens || fields.cacheCreationTokens
+    ? `, Cache read: ${fields.cacheReadTokens}, Cache write: ${fields.cacheCreationTokens}`
+    : '';
+  return `${fields.estimated ? 'Estimated' : 'Actual'}: ${fields.inputTokens} input, ${fields.outputTokens} output tokens${cache}`;
+}
+
+module.exports = {
+  parseClaudeResult,
+  parseAiderUsage,
+  createClaudeOutputParser,
+  buildCostFields,
+  formatCostFields,
+  priceUsage
+};
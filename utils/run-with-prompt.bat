@@ -8,6 +8,9 @@ REM length limits. It's used by oreo-run.js and oreo-feedback.js.
 REM
 REM Usage: run-with-prompt.bat <prompt-file-path> [model-id]
 REM
+REM Output is stream-json (one JSON event per line) so callers can read the
+REM real token usage and cost from the final result event (see oreo-usage.js).
+REM
 REM Arguments:
 REM   %1 - Prompt file path (required)
 REM   %2 - Model ID (optional, for Anthropic direct API)
@@ -24,8 +27,8 @@ REM ============================================================================
 REM Check if model parameter is provided (for Anthropic direct API)
 if "%~2"=="" (
     REM No model specified - use environment variables only (Bedrock mode)
-    type "%~1" | npx @anthropic-ai/claude-code --print --dangerously-skip-permissions
+    type "%~1" | npx @anthropic-ai/claude-code --print --output-format stream-json --verbose --dangerously-skip-permissions
 ) else (
     REM Model specified - use --model flag (Anthropic direct API mode)
-    type "%~1" | npx @anthropic-ai/claude-code --model "%~2" --print --dangerously-skip-permissions
+    type "%~1" | npx @anthropic-ai/claude-code --model "%~2" --print --output-format stream-json --verbose --dangerously-skip-permissions
 )
@@ -8,6 +8,9 @@
 #
 # Usage: run-with-prompt.sh <prompt-file-path> [model-id]
 #
+# Output is stream-json (one JSON event per line) so callers can read the
+# real token usage and cost from the final result event (see oreo-usage.js).
+#
 # Arguments:
 #   $1 - Prompt file path (required)
 #   $2 - Model ID (optional, for Anthropic direct API)
@@ -35,8 +38,8 @@ export CLAUDE_CODE_MAX_THINKING_TOKENS
 # Check if model parameter is provided (for Anthropic direct API)
 if [ -z "$2" ]; then
     # No model specified - use environment variables only (Bedrock mode)
-    cat "$1" | npx @anthropic-ai/claude-code --print --dangerously-skip-permissions
+    cat "$1" | npx @anthropic-ai/claude-code --print --output-format stream-json --verbose --dangerously-skip-permissions
 else
     # Model specified - use --model flag (Anthropic direct API mode)
-    cat "$1" | npx @anthropic-ai/claude-code --model "$2" --print --dangerously-skip-permissions
+    cat "$1" | npx @anthropic-ai/claude-code --model "$2" --print --output-format stream-json --verbose --dangerously-skip-permissions
 fi